@@ -64,6 +64,14 @@ function formatCurrency(amount) {
   }).format(amount);
 }
 
+/**
+ * Round a money amount to paise
+ * @param {number} amount - Amount to round
+ */
+function roundMoney(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
 /**
  * Show loading state
  * @param {HTMLElement} element - Element to show loading on
@@ -83,699 +91,8659 @@ function hideLoading(element, originalContent) {
   element.disabled = false;
 }
 
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay in milliseconds
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Encode bytes or a string as unpadded base64url (RFC 4648 §5)
+ * @param {Uint8Array|string} value - Bytes, or a string to encode as UTF-8
+ */
+function base64UrlEncode(value) {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url to bytes
+ * @param {string} value - base64url text, with or without padding
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), char => char.charCodeAt(0));
+}
+
+/**
+ * Decode base64url to a UTF-8 string
+ * @param {string} value - base64url text, with or without padding
+ */
+function base64UrlDecode(value) {
+  return new TextDecoder().decode(base64UrlToBytes(value));
+}
+
+/**
+ * Offer text or bytes as a file download
+ * @param {string} fileName - Suggested file name
+ * @param {string|Uint8Array} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(fileName, content, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build CSV text (RFC 4180). Text that a spreadsheet would run as a
+ * formula (=, +, -, @) is prefixed with an apostrophe.
+ * @param {Array<Array>} rows - Rows of cell values
+ */
+function toCsv(rows) {
+  const cell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(cell).join(',')).join('\r\n');
+}
+
+/**
+ * Parse CSV text (RFC 4180) into rows of strings, undoing toCsv's
+ * formula protection
+ * @param {string} text - CSV text
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endCell();
+      rows.push(row);
+      row = [];
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endCell();
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
 
 // ========================================
-// CART MANAGEMENT
+// STORAGE
 // ========================================
 
-class CartManager {
-  constructor() {
-    this.activeOrderId = this.loadActiveOrderId();
-    this.orders = this.loadOrders();
-    this.orderTemplates = this.loadOrderTemplates();
-    this.listeners = [];
-    this.init();
+// Version of the stored data format. Bump it and add a migration whenever
+// the shape of something the app saves changes.
+const STORAGE_SCHEMA_VERSION = 3;
+
+// Keys saved through AppStorage; form auto-saves add `rex-form-<form id>`.
+// The mock server, mock identity provider and dev outbox stand in for a
+// backend and keep their data in localStorage directly.
+const STORAGE_KEYS = [
+  'rex-orders',
+  'rex-active-order-id',
+  'rex-order-templates',
+  'rex-order-history',
+  'rex-addresses',
+  'rex-cart-history',
+  'rex-promo-usage',
+  'rex-user',
+  'rex-logout'
+];
+
+// Keys that also keep a backup copy (`<key>.bak`) to restore if they get corrupted
+const STORAGE_BACKUP_KEYS = ['rex-orders', 'rex-order-templates', 'rex-order-history', 'rex-addresses'];
+
+// Keys kept separately for each signed-in user (as do form auto-saves);
+// see userStorageKey
+const USER_SCOPED_KEYS = ['rex-orders', 'rex-active-order-id', 'rex-order-templates', 'rex-cart-history'];
+
+// Key holding a user's copy of `key`: `<key>:<user key>`, or the plain key for guests
+function userStorageKey(key, userKey = 'guest') {
+  return userKey === 'guest' ? key : `${key}:${userKey}`;
+}
+
+// Key a stored key is a copy of, e.g. rex-orders for rex-orders:a@b.co.bak
+function storageBaseKey(key) {
+  return key.replace(/\.bak$/, '').split(':')[0];
+}
+
+// Upgrades for stored data, oldest first. migrate(data) gets every stored
+// value keyed by storage key and changes it in place to the new format.
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move form auto-saves under the rex- prefix',
+    migrate(data) {
+      Object.keys(data).filter(key => key.startsWith('form-')).forEach(key => {
+        data[`rex-${key}`] = data[key];
+        delete data[key];
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Save each order as an object with metadata instead of a plain item array',
+    migrate(data) {
+      const orders = data['rex-orders'] || {};
+      Object.keys(orders).forEach(orderId => {
+        if (Array.isArray(orders[orderId])) {
+          orders[orderId] = createOrderRecord(orders[orderId]);
+        }
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Keep carts, templates and saved forms per user',
+    migrate(data) {
+      // Until now they belonged to whoever stayed signed in, if anyone
+      const user = data['rex-user'];
+      if (!user || !user.email) return;
+
+      Object.keys(data)
+        .filter(key => USER_SCOPED_KEYS.includes(key) || key.startsWith('rex-form-'))
+        .forEach(key => {
+          data[userStorageKey(key, user.email.toLowerCase())] = data[key];
+          delete data[key];
+        });
+    }
   }
+];
+
+// Whether a key belongs to AppStorage (including backups, set-aside
+// corrupted values and form auto-saves from before versioning)
+function isStorageKey(key) {
+  return key === 'rex-schema-version'
+    || STORAGE_KEYS.includes(storageBaseKey(key))
+    || /^(rex-form-|rex-recovery:|form-)/.test(key);
+}
 
+// Error reported by AppStorage; `userMessage` is safe to show to the customer
+class StorageError extends Error {
+  constructor(code, message, { key = null, cause = null } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    this.key = key;
+    this.cause = cause;
+    this.userMessage = StorageError.defaultMessage(code);
+  }
 
-  init() {
-    this.initializeDefaultOrder();
-    this.updateCartDisplay();
-    this.bindEvents();
+  static defaultMessage(code) {
+    const messages = {
+      quota_exceeded: 'Your browser storage is full, so recent changes may be lost when you close this tab.',
+      corrupted: 'Some saved data was damaged. We restored what we could.',
+      migration_failed: 'We could not update your saved data to this version of the app. It has been kept as it was.',
+      unavailable: 'Browser storage is unavailable, so nothing will be saved after you close this tab.',
+      write_failed: 'We could not save your changes on this device.'
+    };
+    return messages[code] || messages.write_failed;
   }
+}
 
-  // Load active order ID from localStorage
-  loadActiveOrderId() {
-    try {
-      return localStorage.getItem('rex-active-order-id') || 'default';
-    } catch (error) {
-      console.error('Error loading active order ID:', error);
-      return 'default';
-    }
+// Synchronous backend over window.localStorage
+class LocalStorageBackend {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
   }
 
-  // Load orders from localStorage
-  loadOrders() {
-    try {
-      const ordersData = localStorage.getItem('rex-orders');
-      return ordersData ? JSON.parse(ordersData) : {};
-    } catch (error) {
-      console.error('Error loading orders:', error);
-      return {};
+  load(filter) {
+    const entries = {};
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (filter(key)) {
+        entries[key] = this.storage.getItem(key);
+      }
     }
+    return entries;
   }
 
-  // Load order templates from localStorage
-  loadOrderTemplates() {
-    try {
-      const templatesData = localStorage.getItem('rex-order-templates');
-      return templatesData ? JSON.parse(templatesData) : [];
-    } catch (error) {
-      console.error('Error loading order templates:', error);
-      return [];
-    }
+  read(key) {
+    return this.storage.getItem(key);
   }
 
-  // Save orders to localStorage
-  saveOrders() {
-    try {
-      localStorage.setItem('rex-orders', JSON.stringify(this.orders));
-      this.notifyListeners();
-    } catch (error) {
-      console.error('Error saving orders:', error);
-    }
+  write(key, value) {
+    this.storage.setItem(key, value);
   }
 
-  // Save active order ID to localStorage
-  saveActiveOrderId() {
-    try {
-      localStorage.setItem('rex-active-order-id', this.activeOrderId);
-    } catch (error) {
-      console.error('Error saving active order ID:', error);
-    }
+  remove(key) {
+    this.storage.removeItem(key);
   }
 
-  // Save order templates to localStorage
-  saveOrderTemplates() {
-    try {
-      localStorage.setItem('rex-order-templates', JSON.stringify(this.orderTemplates));
-      this.notifyListeners();
-    } catch (error) {
-      console.error('Error saving order templates:', error);
-    }
+  // Other tabs' writes arrive as storage events
+  subscribe(callback) {
+    window.addEventListener('storage', (e) => {
+      if (e.storageArea === this.storage) {
+        callback(e.key, e.newValue);
+      }
+    });
   }
+}
 
-  // Get current cart (for backward compatibility)
-  get cart() {
-    return this.orders[this.activeOrderId] || [];
+// Keeps everything in memory: for tests, and when browser storage is unavailable
+class MemoryBackend {
+  constructor(entries = {}) {
+    this.entries = new Map(Object.entries(entries));
   }
 
-  // Set current cart (for backward compatibility)
-  set cart(items) {
-    this.orders[this.activeOrderId] = items;
-    this.saveOrders();
-    this.updateCartDisplay();
+  load(filter) {
+    return Object.fromEntries([...this.entries].filter(([key]) => filter(key)));
   }
 
+  read(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
 
-  // Initialize default order if none exists
-  initializeDefaultOrder() {
-    if (!this.orders['default']) {
-      this.orders['default'] = [];
-      this.saveOrders();
-    }
+  write(key, value) {
+    this.entries.set(key, value);
   }
 
-  // Add item to cart
-  addItem(item) {
-    if (!item || !item.name || !item.price) {
-      console.error('Invalid item data');
-      return false;
-    }
+  remove(key) {
+    this.entries.delete(key);
+  }
 
-    const sanitizedItem = {
-      name: sanitizeInput(item.name),
-      price: parseFloat(item.price),
-      quantity: parseInt(item.quantity) || 1,
-      id: item.id || this.generateItemId(item.name)
-    };
+  subscribe() {}
+}
 
-    const existingItem = this.cart.find(cartItem => 
-      cartItem.name === sanitizedItem.name && 
-      cartItem.price === sanitizedItem.price
-    );
+// Asynchronous backend over IndexedDB, with far more room than
+// localStorage. Tabs tell each other about writes over a BroadcastChannel.
+class IndexedDBBackend {
+  constructor({ name = 'rex-food-delivery', storeName = 'entries' } = {}) {
+    this.name = name;
+    this.storeName = storeName;
+    this.db = null;
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${name}-changes`) : null;
+  }
 
-    if (existingItem) {
-      existingItem.quantity += sanitizedItem.quantity;
-    } else {
-      this.cart.push(sanitizedItem);
-    }
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  load(filter) {
+    return new Promise((resolve, reject) => {
+      const entries = {};
+      const request = this.db.transaction(this.storeName).objectStore(this.storeName).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(entries);
+          return;
+        }
+        if (filter(cursor.key)) {
+          entries[cursor.key] = cursor.value;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
 
+  write(key, value) {
+    return this.transact(store => store.put(value, key), key, value);
+  }
 
-    this.saveOrders();
-    this.updateCartDisplay();
-    this.showNotification(`${sanitizedItem.name} added to cart!`, 'success');
-    return true;
+  remove(key) {
+    return this.transact(store => store.delete(key), key, null);
   }
 
-  // Remove item from cart
-  removeItem(index) {
-    if (index >= 0 && index < this.cart.length) {
-      const itemName = this.cart[index].name;
+  // Run one change and announce it to other tabs once it is committed
+  transact(operation, key, value) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, 'readwrite');
+      operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => {
+        if (this.channel) this.channel.postMessage({ key, value });
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
 
-      this.cart.splice(index, 1);
-      this.saveOrders();
-      this.updateCartDisplay();
-      this.showNotification(`${itemName} removed from cart!`, 'info');
+  subscribe(callback) {
+    if (this.channel) {
+      this.channel.addEventListener('message', (e) => callback(e.data.key, e.data.value));
     }
   }
+}
 
-  // Update item quantity
-  updateQuantity(index, quantity) {
-    if (index >= 0 && index < this.cart.length) {
-      const newQuantity = parseInt(quantity);
-      if (newQuantity > 0) {
-        this.cart[index].quantity = newQuantity;
-      } else {
-        this.cart.splice(index, 1);
+/**
+ * Versioned key/value storage over a swappable backend. Values are read
+ * synchronously (from the backend when it is synchronous, otherwise from a
+ * cache filled when opening) and writes are persisted in the background.
+ * Problems are reported through onError instead of being thrown.
+ */
+class AppStorage {
+  constructor(backend = new LocalStorageBackend(), {
+    version = STORAGE_SCHEMA_VERSION,
+    migrations = STORAGE_MIGRATIONS,
+    legacyBackend = null
+  } = {}) {
+    this.backend = backend;
+    this.version = version;
+    this.migrations = migrations;
+    // Backend holding data saved before this one was chosen (imported once)
+    this.legacyBackend = legacyBackend;
+    this.cache = {};
+    // Keys the backend refused to save; the cached value is the current one
+    this.unsaved = new Set();
+    this.listeners = [];
+    this.errorListeners = [];
+    this.pendingErrors = [];
+  }
 
+  // Load and migrate stored data (any backend)
+  async open() {
+    if (this.backend.open) {
+      await this.backend.open();
+    }
+
+    const entries = await this.backend.load(isStorageKey);
+    if (this.legacyBackend && !('rex-schema-version' in entries)) {
+      try {
+        return this.initialize({ ...this.legacyBackend.load(isStorageKey), ...entries }, { imported: true });
+      } catch (error) {
+        console.error('Error importing saved data:', error);
       }
-      this.saveOrders();
-      this.updateCartDisplay();
     }
+    return this.initialize(entries);
   }
 
-  // Get cart total
-  getTotal() {
-    return this.cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+  // open() for synchronous backends
+  openSync() {
+    return this.initialize(this.backend.load(isStorageKey));
   }
 
-  // Get cart item count
-  getItemCount() {
-    return this.cart.reduce((count, item) => count + item.quantity, 0);
-  }
+  initialize(entries, { imported = false } = {}) {
+    this.cache = { ...entries };
+    const storedVersion = Number(entries['rex-schema-version']) || 0;
 
+    // Data written by a newer version of the app is left as it is
+    if (storedVersion < this.version || imported) {
+      this.migrate(storedVersion);
+    }
 
-  // Clear cart
-  clearCart() {
-    this.cart = [];
-    this.saveOrders();
-    this.updateCartDisplay();
-    this.showNotification('Cart cleared!', 'info');
+    this.backend.subscribe((key, value) => this.handleExternalChange(key, value));
+    return this;
   }
 
+  // Run the migrations newer than the stored version. They work on a
+  // parsed copy, so if one fails nothing is written.
+  migrate(fromVersion) {
+    const data = {};
+    Object.keys(this.cache)
+      .filter(key => key !== 'rex-schema-version' && !key.endsWith('.bak') && !key.startsWith('rex-recovery:'))
+      .forEach(key => {
+        const value = this.parse(key, this.cache[key], { legacy: fromVersion === 0 });
+        if (value !== undefined) data[key] = value;
+      });
 
-  // Update cart display
-  updateCartDisplay() {
-    const cartCountElement = document.querySelector('.cart-count');
-    const cartItemsContainer = document.querySelector('.cart-items');
-    const totalAmountElement = document.getElementById('total-amount');
-    const orderBar = document.querySelector('.order-summary-bottom');
+    let version = fromVersion;
+    try {
+      this.migrations
+        .filter(migration => migration.version > fromVersion && migration.version <= this.version)
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+          migration.migrate(data);
+          version = migration.version;
+        });
+    } catch (error) {
+      this.reportError(new StorageError('migration_failed', `Storage migration to version ${version + 1} failed: ${error.message}`, { cause: error }));
+      return;
+    }
 
-    if (cartCountElement) {
-      cartCountElement.textContent = this.getItemCount();
+    Object.keys(this.cache)
+      .filter(key => !(key in data) && key !== 'rex-schema-version' && !key.endsWith('.bak') && !key.startsWith('rex-recovery:'))
+      .forEach(key => this.remove(key));
+    Object.keys(data).forEach(key => this.set(key, data[key]));
+    this.set('rex-schema-version', Math.max(version, fromVersion));
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @param {*} fallback - Returned when nothing usable is stored
+   * @returns {*} A fresh copy the caller may change
+   */
+  get(key, fallback = null) {
+    const raw = this.read(key);
+    if (raw === null || raw === undefined) {
+      return cloneData(fallback);
     }
+    const value = this.parse(key, raw);
+    return value === undefined ? cloneData(fallback) : value;
+  }
 
-    if (cartItemsContainer) {
-      this.renderCartItems(cartItemsContainer);
+  set(key, value) {
+    const raw = JSON.stringify(value);
+    this.writeRaw(key, raw);
+    if (STORAGE_BACKUP_KEYS.includes(storageBaseKey(key))) {
+      this.writeRaw(`${key}.bak`, raw);
     }
+  }
 
-    if (totalAmountElement) {
-      totalAmountElement.textContent = this.getTotal().toFixed(2);
+  remove(key) {
+    this.removeRaw(key);
+    if (STORAGE_BACKUP_KEYS.includes(storageBaseKey(key))) {
+      this.removeRaw(`${key}.bak`);
     }
+  }
 
-    // Show/hide order summary bottom bar
-    if (orderBar) {
-      if (this.cart.length > 0) {
-        orderBar.classList.add('show');
-      } else {
-        orderBar.classList.remove('show');
+  // Keys currently stored, e.g. to find every form auto-save
+  keys() {
+    return Object.keys(this.cache);
+  }
+
+  read(key) {
+    if (this.backend.read && !this.unsaved.has(key)) {
+      try {
+        return this.backend.read(key);
+      } catch (error) {
+        console.error(`Error reading ${key}:`, error);
       }
     }
+    return this.cache[key];
   }
 
-  // Render cart items
-  renderCartItems(container) {
-    if (this.cart.length === 0) {
-      container.innerHTML = '<p class="empty-cart">Your cart is empty</p>';
-      return;
+  parse(key, raw, { legacy = false } = {}) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      // Before versioning, the active order ID was saved as a bare string
+      if (legacy && key === 'rex-active-order-id') {
+        return raw;
+      }
+      return this.recover(key, raw, error);
     }
-
-    container.innerHTML = this.cart.map((item, index) => `
-      <div class="cart-item" data-index="${index}">
-        <div class="cart-item-info">
-          <h4>${item.name}</h4>
-          <p>${formatCurrency(item.price)} x ${item.quantity}</p>
-        </div>
-        <div class="cart-item-controls">
-          <button class="quantity-btn" data-action="decrease" data-index="${index}">-</button>
-          <span class="quantity">${item.quantity}</span>
-          <button class="quantity-btn" data-action="increase" data-index="${index}">+</button>
-          <button class="remove-item" data-index="${index}">Remove</button>
-        </div>
-        <div class="cart-item-total">
-          ${formatCurrency(item.price * item.quantity)}
-        </div>
-      </div>
-    `).join('');
   }
 
-  // Bind cart events
-  bindEvents() {
-    const cartContainer = document.querySelector('.cart-items');
-    if (!cartContainer) return;
+  // A stored value is not valid JSON: set it aside so nothing is thrown
+  // away, and fall back to the key's backup copy when there is one
+  recover(key, raw, error) {
+    this.writeRaw(`rex-recovery:${key}:${Date.now()}`, raw);
 
-    cartContainer.addEventListener('click', (e) => {
-      const target = e.target;
-      const index = parseInt(target.dataset.index);
+    let value;
+    const backup = key.endsWith('.bak') ? null : this.read(`${key}.bak`);
+    try {
+      value = backup ? JSON.parse(backup) : undefined;
+    } catch (backupError) {
+      value = undefined;
+    }
 
-      if (target.classList.contains('remove-item')) {
-        this.removeItem(index);
-      } else if (target.classList.contains('quantity-btn')) {
-        const action = target.dataset.action;
-        const item = this.cart[index];
-        if (item) {
-          const newQuantity = action === 'increase' ? item.quantity + 1 : item.quantity - 1;
-          this.updateQuantity(index, newQuantity);
-        }
-      }
-    });
+    if (value === undefined) {
+      this.removeRaw(key);
+    } else {
+      this.writeRaw(key, backup);
+    }
+
+    this.reportError(new StorageError('corrupted', `Stored ${key} was not valid JSON (${error.message}); ${value === undefined ? 'no backup' : 'restored from backup'}`, { key, cause: error }));
+    return value;
   }
 
-  // Generate unique item ID
-  generateItemId(name) {
-    return `item-${name.toLowerCase().replace(/\s+/g, '-')}-${Date.now()}`;
+  writeRaw(key, raw) {
+    this.cache[key] = raw;
+    this.persist(key, raw);
   }
 
-  // Show notification
-  showNotification(message, type = 'info') {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
-    notification.textContent = message;
+  removeRaw(key) {
+    delete this.cache[key];
+    this.persist(key, null);
+  }
 
-    // Add to page
-    document.body.appendChild(notification);
+  // Hand a change to the backend. When storage is full, free what the app
+  // can do without and try once more.
+  persist(key, raw, retried = false) {
+    const handleError = (error) => {
+      if (!retried && this.isQuotaError(error) && this.freeSpace(key)) {
+        return this.persist(key, raw, true);
+      }
+      this.unsaved.add(key);
+      this.reportError(this.isQuotaError(error)
+        ? new StorageError('quota_exceeded', `No room to save ${key}`, { key, cause: error })
+        : new StorageError('write_failed', `Could not save ${key}: ${error.message}`, { key, cause: error }));
+      return null;
+    };
 
-    // Animate in
-    setTimeout(() => notification.classList.add('show'), 100);
+    try {
+      const result = raw === null ? this.backend.remove(key) : this.backend.write(key, raw);
+      if (result && result.then) {
+        return result.then(() => this.unsaved.delete(key), handleError);
+      }
+      this.unsaved.delete(key);
+      return result;
+    } catch (error) {
+      return handleError(error);
+    }
+  }
 
-    // Remove after delay
-    setTimeout(() => {
-      notification.classList.remove('show');
-      setTimeout(() => notification.remove(), 300);
-    }, 3000);
+  isQuotaError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
   }
 
-  // Event listeners
-  onChange(callback) {
-    this.listeners.push(callback);
+  // Drop form auto-saves, set-aside corrupted values and undo history;
+  // returns whether anything was removed
+  freeSpace(exceptKey) {
+    const expendable = Object.keys(this.cache).filter(key => key !== exceptKey && /^rex-(form-|recovery:|cart-history)/.test(key));
+    expendable.forEach(key => {
+      delete this.cache[key];
+      try {
+        const result = this.backend.remove(key);
+        if (result && result.catch) result.catch(error => console.error(`Error removing ${key}:`, error));
+      } catch (error) {
+        console.error(`Error removing ${key}:`, error);
+      }
+    });
+    return expendable.length > 0;
   }
 
+  /**
+   * Follow changes made in other tabs
+   * @param {Function} callback - Called with the changed key, or null when
+   *   everything may have changed (storage was cleared)
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+  }
 
-  notifyListeners() {
-    this.listeners.forEach(callback => callback(this.cart));
+  handleExternalChange(key, value) {
+    if (key === null) {
+      this.cache = this.backend.read ? this.backend.load(isStorageKey) : {};
+    } else if (!isStorageKey(key)) {
+      return;
+    } else if (value === null) {
+      delete this.cache[key];
+    } else {
+      this.cache[key] = value;
+    }
+    this.listeners.forEach(callback => callback(key));
   }
 
-  // ========================================
-  // MULTIPLE ORDERS FUNCTIONALITY
-  // ========================================
+  // Problems found before anyone listened (e.g. while opening) are handed
+  // to the first listener
+  onError(callback) {
+    this.errorListeners.push(callback);
+    this.pendingErrors.splice(0).forEach(callback);
+  }
 
-  // Create a new order
-  createOrder(name = null) {
-    const orderId = name || this.generateOrderId();
-    if (!this.orders[orderId]) {
-      this.orders[orderId] = [];
-      this.saveOrders();
-      this.switchToOrder(orderId);
-      this.showNotification(`Created new order: ${orderId}`, 'success');
+  reportError(error) {
+    console.error('Storage error:', error);
+    if (this.errorListeners.length === 0) {
+      this.pendingErrors.push(error);
     }
-    return orderId;
+    this.errorListeners.forEach(callback => callback(error));
   }
+}
 
-  // Switch to a different order
-  switchToOrder(orderId) {
-    if (this.orders[orderId]) {
-      this.activeOrderId = orderId;
-      this.saveActiveOrderId();
-      this.updateCartDisplay();
-      this.showNotification(`Switched to order: ${orderId}`, 'info');
-    } else {
-      this.showNotification(`Order not found: ${orderId}`, 'error');
+// Open storage on a synchronous backend, falling back to memory when the
+// browser will not let us use it
+function openStorageSync(createBackend) {
+  try {
+    return new AppStorage(createBackend()).openSync();
+  } catch (error) {
+    const storage = new AppStorage(new MemoryBackend()).openSync();
+    storage.reportError(new StorageError('unavailable', `Browser storage is unavailable: ${error.message}`, { cause: error }));
+    return storage;
+  }
+}
+
+/**
+ * Open the app's storage with the backend named in window.REX_STORAGE_CONFIG
+ * ({backend: 'localStorage' | 'indexedDB' | 'memory'}, default localStorage).
+ * Switching to IndexedDB imports what was saved in localStorage.
+ * @param {Object} config - Overrides for window.REX_STORAGE_CONFIG
+ * @returns {Promise<AppStorage>}
+ */
+async function createStorage(config = {}) {
+  const settings = {
+    backend: 'localStorage',
+    ...(typeof window !== 'undefined' && window.REX_STORAGE_CONFIG ? window.REX_STORAGE_CONFIG : {}),
+    ...config
+  };
+
+  if (settings.backend === 'memory') {
+    return openStorageSync(() => new MemoryBackend());
+  }
+
+  if (settings.backend === 'indexedDB') {
+    try {
+      const legacyBackend = typeof localStorage !== 'undefined' ? new LocalStorageBackend() : null;
+      return await new AppStorage(new IndexedDBBackend(settings.indexedDB), { legacyBackend }).open();
+    } catch (error) {
+      console.error('Error opening IndexedDB storage, using localStorage:', error);
     }
   }
 
-  // Duplicate current order
-  duplicateCurrentOrder() {
-    const currentItems = [...this.cart];
-    const newOrderId = this.generateOrderId('copy');
-    this.orders[newOrderId] = currentItems;
-    this.saveOrders();
-    this.showNotification(`Duplicated order as: ${newOrderId}`, 'success');
-    return newOrderId;
+  return openStorageSync(() => new LocalStorageBackend());
+}
+
+// Storage for classes created without one: the app's storage once opened,
+// otherwise localStorage
+function defaultStorage() {
+  if (!window.appStorage) {
+    window.appStorage = openStorageSync(() => new LocalStorageBackend());
   }
+  return window.appStorage;
+}
 
-  // Delete an order
-  deleteOrder(orderId) {
-    if (orderId === 'default') {
-      this.showNotification('Cannot delete default order', 'error');
-      return false;
+
+// ========================================
+// API CLIENT
+// ========================================
+
+// Error raised by ApiClient; `type` says what went wrong and `userMessage`
+// is safe to show to the customer
+class ApiError extends Error {
+  constructor(type, message, { status = 0, details = null, userMessage = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = type;
+    this.status = status;
+    this.details = details;
+    this.userMessage = userMessage || ApiError.defaultMessage(type);
+  }
+
+  // Map an HTTP error response to an ApiError
+  static fromResponse(status, body = {}) {
+    const serverMessage = body && typeof body.message === 'string' ? body.message : null;
+    const details = body && body.errors ? body.errors : null;
+
+    if (status === 400 || status === 422) {
+      return new ApiError('validation', serverMessage || 'Validation failed', { status, details, userMessage: serverMessage });
     }
-    
-    if (this.orders[orderId]) {
-      delete this.orders[orderId];
-      this.saveOrders();
-      
-      // If we deleted the active order, switch to default
-      if (this.activeOrderId === orderId) {
-        this.switchToOrder('default');
-      }
-      
-      this.showNotification(`Deleted order: ${orderId}`, 'info');
-      return true;
+    if (status === 401 || status === 403) {
+      return new ApiError('unauthorized', serverMessage || 'Unauthorized', { status, userMessage: serverMessage });
     }
-    return false;
+    if (status === 404) {
+      return new ApiError('not_found', serverMessage || 'Not found', { status });
+    }
+    if (status === 409) {
+      return new ApiError('conflict', serverMessage || 'Conflict', { status, userMessage: serverMessage });
+    }
+    if (status === 429) {
+      return new ApiError('rate_limited', serverMessage || 'Too many requests', { status });
+    }
+    return new ApiError('server', serverMessage || `Request failed with status ${status}`, { status });
   }
 
-  // Get all order IDs
-  getAllOrderIds() {
-    return Object.keys(this.orders);
+  static defaultMessage(type) {
+    const messages = {
+      network: 'We could not reach the server. Please check your connection and try again.',
+      timeout: 'The server is taking too long to respond. Please try again.',
+      validation: 'Please check the details you entered and try again.',
+      unauthorized: 'Please log in again to continue.',
+      not_found: 'We could not find what you were looking for.',
+      conflict: 'This request conflicts with an existing record.',
+      rate_limited: 'Too many attempts. Please wait a moment and try again.',
+      server: 'Something went wrong on our side. Please try again shortly.'
+    };
+    return messages[type] || messages.server;
   }
 
-  // Get order summary
-  getOrderSummary(orderId = null) {
-    const targetOrderId = orderId || this.activeOrderId;
-    const items = this.orders[targetOrderId] || [];
-    const total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const itemCount = items.reduce((count, item) => count + item.quantity, 0);
-    
-    return {
-      orderId: targetOrderId,
-      itemCount,
-      total,
-      items: [...items]
-    };
+  // Whether repeating the same request could succeed
+  get retryable() {
+    return ['network', 'timeout', 'rate_limited', 'server'].includes(this.type);
   }
+}
 
-  // Rename order
-  renameOrder(oldOrderId, newOrderId) {
-    if (this.orders[oldOrderId] && !this.orders[newOrderId]) {
-      this.orders[newOrderId] = this.orders[oldOrderId];
-      delete this.orders[oldOrderId];
-      this.saveOrders();
-      
-      // Update active order ID if needed
-      if (this.activeOrderId === oldOrderId) {
-        this.activeOrderId = newOrderId;
-        this.saveActiveOrderId();
+class ApiClient {
+  constructor({ baseUrl = 'api', timeout = 10000, retries = 2, backoff = 500, fetchImpl = null } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeout = timeout;
+    this.retries = retries;
+    this.backoff = backoff;
+    this.fetchImpl = fetchImpl || ((url, init) => fetch(url, init));
+  }
+
+  /**
+   * Send a JSON request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the base URL
+   * @param {Object} options - {body, headers, idempotencyKey, retries}
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {ApiError}
+   */
+  async request(method, path, options = {}) {
+    const headers = { Accept: 'application/json', ...options.headers };
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (options.idempotencyKey) {
+      headers['Idempotency-Key'] = options.idempotencyKey;
+    }
+
+    // Only repeat writes the server can recognise as duplicates
+    const safeToRetry = method === 'GET' || Boolean(options.idempotencyKey);
+    const retries = safeToRetry ? (options.retries !== undefined ? options.retries : this.retries) : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(method, `${this.baseUrl}${path}`, {
+          headers,
+          body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+        });
+      } catch (error) {
+        if (!(error instanceof ApiError) || !error.retryable || attempt >= retries) {
+          throw error;
+        }
+        // Exponential backoff with jitter
+        await wait(this.backoff * Math.pow(2, attempt) * (0.5 + Math.random() / 2));
       }
-      
-      this.showNotification(`Renamed order to: ${newOrderId}`, 'success');
-      return true;
     }
-    return false;
   }
 
-  // Generate unique order ID
-  generateOrderId(prefix = 'order') {
-    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+  // Make one attempt, aborting it after the configured timeout
+  async send(method, url, init) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      if (controller) controller.abort();
+    }, this.timeout);
+
+    let response;
+    try {
+      response = await Promise.race([
+        this.fetchImpl(url, { method, ...init, signal: controller ? controller.signal : undefined }),
+        new Promise((resolve, reject) => {
+          if (controller) {
+            controller.signal.addEventListener('abort', () => reject(new ApiError('timeout', `${method} ${url} timed out`)));
+          }
+        })
+      ]);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      throw timedOut
+        ? new ApiError('timeout', `${method} ${url} timed out`)
+        : new ApiError('network', error.message || 'Network request failed');
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let body = null;
+    try {
+      const text = await response.text();
+      body = text ? JSON.parse(text) : null;
+    } catch (error) {
+      body = null;
+    }
+
+    if (!response.ok) {
+      throw ApiError.fromResponse(response.status, body || {});
+    }
+    return body;
   }
 
-  // ========================================
-  // ORDER TEMPLATES FUNCTIONALITY
-  // ========================================
+  // Generate a key that lets the server spot a repeated request
+  createIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `idem-${Date.now()}-${Math.random().toString(36).substr(2, 10)}`;
+  }
 
-  // Save current order as template
-  saveAsTemplate(templateName) {
-    if (!templateName || templateName.trim() === '') {
-      this.showNotification('Please enter a template name', 'error');
-      return false;
+  // ---- Menu ----
+
+  getMenu() {
+    return this.request('GET', '/menu');
+  }
+
+  // ---- Orders ----
+
+  placeOrder(order, idempotencyKey) {
+    return this.request('POST', '/orders', { body: order, idempotencyKey });
+  }
+
+  getOrder(orderId) {
+    return this.request('GET', `/orders/${encodeURIComponent(orderId)}`);
+  }
+
+  cancelOrder(orderId) {
+    return this.request('POST', `/orders/${encodeURIComponent(orderId)}/cancel`);
+  }
+
+  // Slots for scheduled delivery over the next few days, with how many are left
+  getDeliverySlots() {
+    return this.request('GET', '/delivery-slots');
+  }
+
+  // ---- Auth ----
+
+  login(credentials) {
+    return this.request('POST', '/auth/login', { body: credentials });
+  }
+
+  signup(userData) {
+    return this.request('POST', '/auth/signup', { body: userData });
+  }
+
+  // Whether an email can still be used to sign up: {available}
+  checkEmail(email) {
+    return this.request('POST', '/auth/email-check', { body: { email } });
+  }
+
+  requestPasswordReset(email) {
+    return this.request('POST', '/auth/password-reset', { body: { email } });
+  }
+
+  checkPasswordResetToken(token) {
+    return this.request('GET', `/auth/password-reset/${encodeURIComponent(token)}`);
+  }
+
+  resetPassword(token, password) {
+    return this.request('POST', `/auth/password-reset/${encodeURIComponent(token)}`, { body: { password } });
+  }
+
+  // Exchange a provider's ID token for a session, linking or creating the account
+  loginWithProvider(provider, idToken) {
+    return this.request('POST', '/auth/oauth', { body: { provider, idToken } });
+  }
+
+  // ---- Feedback ----
+
+  submitFeedback(feedback) {
+    return this.request('POST', '/feedback', { body: feedback });
+  }
+}
+
+
+// ========================================
+// CREDENTIAL STORE
+// ========================================
+
+// Local account store used until there is a real backend. Passwords are
+// kept only as salted PBKDF2-SHA-256 hashes derived with WebCrypto.
+class CredentialStore {
+  constructor({ iterations = 600000 } = {}) {
+    this.iterations = iterations;
+  }
+
+  // Accounts are read for every call, since other tabs may have changed them
+
+  loadUsers() {
+    try {
+      const usersData = localStorage.getItem('rex-users');
+      return usersData ? JSON.parse(usersData) : {};
+    } catch (error) {
+      console.error('Error loading accounts:', error);
+      return {};
     }
+  }
 
-    const sanitizedName = sanitizeInput(templateName.trim());
-    
-    // Check if template already exists
-    if (this.orderTemplates.find(t => t.name === sanitizedName)) {
-      this.showNotification('Template with this name already exists', 'error');
-      return false;
+  saveUsers(users) {
+    try {
+      localStorage.setItem('rex-users', JSON.stringify(users));
+    } catch (error) {
+      console.error('Error saving accounts:', error);
     }
+  }
 
-    const template = {
-      id: this.generateOrderId('template'),
-      name: sanitizedName,
-      items: [...this.cart],
-      createdAt: new Date().toISOString(),
-      total: this.getTotal(),
-      itemCount: this.getItemCount()
-    };
+  /**
+   * Change the accounts. They are read again, changed and saved in one
+   * synchronous step, so accounts other tabs saved in the meantime are kept.
+   * @param {Function} update - Called with the current accounts; may change them
+   * @returns {*} What `update` returns
+   */
+  updateUsers(update) {
+    const users = this.loadUsers();
+    const result = update(users);
+    this.saveUsers(users);
+    return result;
+  }
 
-    this.orderTemplates.push(template);
-    this.saveOrderTemplates();
-    this.showNotification(`Saved template: ${sanitizedName}`, 'success');
-    return template.id;
+  normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
   }
 
-  // Load template
-  loadTemplate(templateId, targetOrderId = null) {
-    const template = this.orderTemplates.find(t => t.id === templateId);
-    if (!template) {
-      this.showNotification('Template not found', 'error');
-      return false;
+  hasUser(email) {
+    return Boolean(this.loadUsers()[this.normalizeEmail(email)]);
+  }
+
+  /**
+   * Create an account
+   * @param {Object} userData - {name, email, password}
+   * @returns {Promise<Object|null>} Public user details, or null if the email is taken
+   */
+  async register({ name, email, password }) {
+    const normalized = this.normalizeEmail(email);
+    if (this.hasUser(normalized)) {
+      return null;
     }
 
-    const orderId = targetOrderId || this.activeOrderId;
-    this.orders[orderId] = [...template.items];
-    this.saveOrders();
-    this.updateCartDisplay();
-    this.showNotification(`Loaded template: ${template.name}`, 'success');
-    return true;
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await this.hashPassword(password, salt, this.iterations);
+
+    // Another tab may have taken the email while the password was hashed
+    return this.updateUsers(users => {
+      if (users[normalized]) {
+        return null;
+      }
+      users[normalized] = {
+        email: normalized,
+        name,
+        salt: this.toBase64(salt),
+        hash,
+        iterations: this.iterations,
+        createdAt: new Date().toISOString()
+      };
+      return this.toPublicUser(users[normalized]);
+    });
   }
 
-  // Delete template
-  deleteTemplate(templateId) {
-    const index = this.orderTemplates.findIndex(t => t.id === templateId);
-    if (index !== -1) {
-      const templateName = this.orderTemplates[index].name;
-      this.orderTemplates.splice(index, 1);
-      this.saveOrderTemplates();
-      this.showNotification(`Deleted template: ${templateName}`, 'info');
+  /**
+   * Check an email/password pair
+   * @returns {Promise<Object|null>} Public user details, or null if they do not match
+   */
+  async verify(email, password) {
+    const account = this.loadUsers()[this.normalizeEmail(email)];
+
+    // Accounts created through social login have no password until one is set
+    const hasPassword = Boolean(account && account.hash);
+
+    // Hash even for unknown emails so response time does not reveal which exist
+    const salt = hasPassword ? this.fromBase64(account.salt) : new Uint8Array(16);
+    const hash = await this.hashPassword(password || '', salt, hasPassword ? account.iterations : this.iterations);
+
+    return hasPassword && this.safeEqual(hash, account.hash) ? this.toPublicUser(account) : null;
+  }
+
+  async hashPassword(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return this.toBase64(new Uint8Array(bits));
+  }
+
+  // Compare without stopping at the first differing character
+  safeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+  }
+
+  /**
+   * Replace an account's password
+   * @returns {Promise<boolean>} False if there is no such account
+   */
+  async setPassword(email, password) {
+    const normalized = this.normalizeEmail(email);
+    if (!this.hasUser(normalized)) return false;
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await this.hashPassword(password, salt, this.iterations);
+
+    return this.updateUsers(users => {
+      const account = users[normalized];
+      if (!account) return false;
+      account.hash = hash;
+      account.salt = this.toBase64(salt);
+      account.iterations = this.iterations;
+      account.passwordChangedAt = new Date().toISOString();
       return true;
+    });
+  }
+
+  /**
+   * Sign in with an identity confirmed by an OAuth/OIDC provider. A known
+   * identity signs in to its account; otherwise it is linked to the account
+   * with the same email, or a new password-less account is created.
+   * @param {Object} identity - {provider, subject, email, emailVerified, name}
+   * @returns {Object|null} {user, linked, created}, or null if the email
+   *   belongs to an account and the provider has not verified it
+   */
+  linkIdentity({ provider, subject, email, emailVerified, name }) {
+    return this.updateUsers(users => {
+      const known = Object.values(users).find(account =>
+        (account.identities || []).some(identity => identity.provider === provider && identity.subject === subject)
+      );
+      if (known) {
+        return { user: this.toPublicUser(known), linked: false, created: false };
+      }
+
+      const normalized = this.normalizeEmail(email);
+      let account = users[normalized];
+
+      // Only a verified email shows the person owns the existing account
+      if (account && !emailVerified) {
+        return null;
+      }
+
+      const created = !account;
+      if (created) {
+        account = users[normalized] = {
+          email: normalized,
+          name: name || normalized.split('@')[0],
+          createdAt: new Date().toISOString()
+        };
+      }
+      account.identities = [...(account.identities || []), { provider, subject, linkedAt: new Date().toISOString() }];
+      return { user: this.toPublicUser(account), linked: !created, created };
+    });
+  }
+
+  toPublicUser(account) {
+    return { email: account.email, name: account.name };
+  }
+
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+  }
+}
+
+
+// ========================================
+// MAIL TRANSPORT
+// ========================================
+
+// Development mail transport: messages land in a localStorage outbox that
+// outbox.html displays. Any object with the same async send(message)
+// method can be passed to MockApiServer instead.
+class LocalOutbox {
+  constructor(limit = 50) {
+    this.limit = limit;
+  }
+
+  getMessages() {
+    try {
+      const outboxData = localStorage.getItem('rex-outbox');
+      return outboxData ? JSON.parse(outboxData) : [];
+    } catch (error) {
+      console.error('Error loading outbox:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - {to, subject, text, link}
+   * @returns {Promise<{id: string}>}
+   */
+  async send(message) {
+    const stored = {
+      id: `mail-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+      sentAt: new Date().toISOString(),
+      ...message
+    };
+
+    try {
+      localStorage.setItem('rex-outbox', JSON.stringify([stored, ...this.getMessages()].slice(0, this.limit)));
+    } catch (error) {
+      console.error('Error saving outbox:', error);
+      throw error;
+    }
+    return { id: stored.id };
+  }
+
+  clear() {
+    localStorage.removeItem('rex-outbox');
+  }
+
+  render(container) {
+    const messages = this.getMessages();
+    if (messages.length === 0) {
+      container.innerHTML = '<p class="empty-cart">No messages sent yet</p>';
+      return;
+    }
+
+    container.innerHTML = messages.map(message => `
+      <article class="outbox-message">
+        <header>
+          <strong>${sanitizeInput(message.subject)}</strong>
+          <small>To ${sanitizeInput(message.to)} &middot; ${new Date(message.sentAt).toLocaleString()}</small>
+        </header>
+        <p>${sanitizeInput(message.text).replace(/\n/g, '<br>')}</p>
+        ${message.link ? `<a href="${sanitizeInput(message.link)}" class="btn-link">${sanitizeInput(message.link)}</a>` : ''}
+      </article>
+    `).join('');
+  }
+}
+
+
+// ========================================
+// SOCIAL LOGIN (OAUTH 2.0 / OIDC)
+// ========================================
+
+// Providers offered on the login page. Client IDs come from
+// window.REX_OAUTH_CONFIG; see createOAuthClient()
+const OAUTH_PROVIDERS = {
+  google: {
+    name: 'Google',
+    authorizationEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenEndpoint: 'https://oauth2.googleapis.com/token',
+    issuer: 'https://accounts.google.com',
+    scope: 'openid email profile'
+  },
+  facebook: {
+    name: 'Facebook',
+    authorizationEndpoint: 'https://www.facebook.com/v19.0/dialog/oauth',
+    tokenEndpoint: 'https://graph.facebook.com/v19.0/oauth/access_token',
+    issuer: 'https://www.facebook.com',
+    scope: 'openid email public_profile'
+  }
+};
+
+// Error raised during social login; `userMessage` is safe to show to the customer
+class OAuthError extends Error {
+  constructor(code, message, userMessage = 'We could not sign you in. Please try again.') {
+    super(message);
+    this.name = 'OAuthError';
+    this.code = code;
+    this.userMessage = userMessage;
+  }
+}
+
+// Authorization code flow with PKCE, as a public browser client. The
+// pending request is kept in sessionStorage, so only the tab that started
+// a login can complete it.
+class OAuthClient {
+  constructor({ providers = OAUTH_PROVIDERS, redirectUri = 'login.html', requestTtl = 10 * 60 * 1000, fetchImpl = null } = {}) {
+    this.providers = providers;
+    this.redirectUri = new URL(redirectUri, window.location.href).href;
+    this.requestTtl = requestTtl;
+    this.fetchImpl = fetchImpl || ((url, init) => fetch(url, init));
+  }
+
+  getProvider(providerId) {
+    const provider = this.providers[providerId];
+    if (!provider) {
+      throw new OAuthError('unknown_provider', `Unknown provider "${providerId}"`);
+    }
+    if (!provider.clientId) {
+      throw new OAuthError('not_configured', `No client ID configured for ${providerId}`,
+        `${provider.name} login is not available right now.`);
+    }
+    return { id: providerId, ...provider };
+  }
+
+  /**
+   * Send the browser to the provider's sign-in page
+   * @param {string} providerId - Key of the provider to use
+   * @param {string} next - Page to return to once signed in
+   * @returns {Promise<string>} The authorization URL
+   * @throws {OAuthError}
+   */
+  async begin(providerId, next = 'main.html') {
+    const provider = this.getProvider(providerId);
+    const request = {
+      provider: providerId,
+      state: this.randomString(),
+      nonce: this.randomString(),
+      codeVerifier: this.randomString(48),
+      next,
+      createdAt: Date.now()
+    };
+    this.savePendingRequest(request);
+
+    const url = new URL(provider.authorizationEndpoint, window.location.href);
+    Object.entries({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: this.redirectUri,
+      scope: provider.scope,
+      state: request.state,
+      nonce: request.nonce,
+      code_challenge: await this.createCodeChallenge(request.codeVerifier),
+      code_challenge_method: 'S256'
+    }).forEach(([key, value]) => url.searchParams.set(key, value));
+
+    window.location.href = url.href;
+    return url.href;
+  }
+
+  // Whether a URL is a provider sending the user back to the redirect page
+  isCallback(href) {
+    const url = new URL(href);
+    return url.href.split(/[?#]/)[0] === this.redirectUri.split(/[?#]/)[0]
+      && url.searchParams.has('state')
+      && (url.searchParams.has('code') || url.searchParams.has('error'));
+  }
+
+  /**
+   * Complete the login a provider redirected back with
+   * @param {string} href - The callback URL
+   * @returns {Promise<Object>} {provider, idToken, claims, next}
+   * @throws {OAuthError}
+   */
+  async handleCallback(href) {
+    const params = new URL(href).searchParams;
+    const request = this.takePendingRequest();
+
+    // state ties the response to a login this tab started
+    if (!request || request.state !== params.get('state') || Date.now() - request.createdAt > this.requestTtl) {
+      throw new OAuthError('invalid_state', 'OAuth state does not match a pending login',
+        'This sign-in attempt has expired. Please try again.');
+    }
+
+    const provider = this.getProvider(request.provider);
+    if (params.has('error')) {
+      const error = params.get('error');
+      throw new OAuthError(error, params.get('error_description') || error,
+        error === 'access_denied' ? `${provider.name} sign-in was cancelled.` : undefined);
+    }
+
+    const tokens = await this.exchangeCode(provider, params.get('code'), request.codeVerifier);
+    const claims = this.validateIdToken(tokens.id_token, provider, request.nonce);
+    return { provider, idToken: tokens.id_token, claims, next: request.next };
+  }
+
+  async exchangeCode(provider, code, codeVerifier) {
+    let response;
+    try {
+      response = await this.fetchImpl(provider.tokenEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: new URLSearchParams({
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: this.redirectUri,
+          client_id: provider.clientId,
+          code_verifier: codeVerifier
+        }).toString()
+      });
+    } catch (error) {
+      throw new OAuthError('network', error.message || 'Token request failed',
+        `We could not reach ${provider.name}. Please try again.`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.id_token) {
+      throw new OAuthError(body.error || 'token_error', body.error_description || `Token request failed with status ${response.status}`);
+    }
+    return body;
+  }
+
+  // Check the ID token's claims. The token came straight from the token
+  // endpoint; its signature is verified by the API when it starts a session.
+  validateIdToken(idToken, provider, nonce) {
+    let claims;
+    try {
+      claims = JSON.parse(base64UrlDecode(idToken.split('.')[1]));
+    } catch (error) {
+      throw new OAuthError('invalid_token', 'ID token is malformed');
+    }
+
+    if (claims.iss !== provider.issuer) {
+      throw new OAuthError('invalid_token', `ID token issuer ${claims.iss} is not ${provider.issuer}`);
+    }
+    if (![].concat(claims.aud).includes(provider.clientId)) {
+      throw new OAuthError('invalid_token', 'ID token was issued to another client');
+    }
+    // nonce ties the token to this login, so a replayed token is rejected
+    if (claims.nonce !== nonce) {
+      throw new OAuthError('invalid_token', 'ID token nonce does not match');
+    }
+    if (!(claims.exp > Date.now() / 1000)) {
+      throw new OAuthError('invalid_token', 'ID token has expired');
+    }
+    return claims;
+  }
+
+  randomString(bytes = 32) {
+    return base64UrlEncode(crypto.getRandomValues(new Uint8Array(bytes)));
+  }
+
+  // PKCE (S256): the provider only hands tokens to whoever holds the verifier
+  async createCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return base64UrlEncode(new Uint8Array(digest));
+  }
+
+  savePendingRequest(request) {
+    try {
+      sessionStorage.setItem('rex-oauth-request', JSON.stringify(request));
+    } catch (error) {
+      console.error('Error saving sign-in request:', error);
+    }
+  }
+
+  // Read and remove the pending request, so each can be completed once
+  takePendingRequest() {
+    try {
+      const requestData = sessionStorage.getItem('rex-oauth-request');
+      sessionStorage.removeItem('rex-oauth-request');
+      return requestData ? JSON.parse(requestData) : null;
+    } catch (error) {
+      console.error('Error loading sign-in request:', error);
+      return null;
+    }
+  }
+}
+
+
+// ========================================
+// MOCK IDENTITY PROVIDER
+// ========================================
+
+// Local stand-in for Google and Facebook so social login works without
+// network access. mock-idp.html plays the provider's sign-in page and
+// fetch() answers its token endpoint. ID tokens are signed (HS256) with a
+// development secret that MockApiServer uses to verify them.
+class MockIdentityProvider {
+  constructor({ secret = 'rex-mock-idp-secret', codeTtl = 60 * 1000, tokenTtl = 60 * 60 } = {}) {
+    this.secret = secret;
+    this.codeTtl = codeTtl;
+    // ID token lifetime in seconds
+    this.tokenTtl = tokenTtl;
+  }
+
+  // Endpoints that replace a real provider's
+  getProviderConfig(providerId) {
+    return {
+      authorizationEndpoint: `mock-idp.html?provider=${encodeURIComponent(providerId)}`,
+      tokenEndpoint: `mock-idp/${encodeURIComponent(providerId)}/token`,
+      issuer: this.getIssuer(providerId)
+    };
+  }
+
+  getIssuer(providerId) {
+    return `https://mock-idp.local/${providerId}`;
+  }
+
+  loadCodes() {
+    try {
+      const codesData = localStorage.getItem('rex-mock-idp');
+      return codesData ? JSON.parse(codesData) : {};
+    } catch (error) {
+      console.error('Error loading mock identity provider data:', error);
+      return {};
+    }
+  }
+
+  saveCodes(codes) {
+    try {
+      localStorage.setItem('rex-mock-idp', JSON.stringify(codes));
+    } catch (error) {
+      console.error('Error saving mock identity provider data:', error);
+    }
+  }
+
+  // What is wrong with an authorization request, or null if nothing is
+  validateAuthorizationRequest(params) {
+    if (params.get('response_type') !== 'code') {
+      return 'Only the authorization code flow is supported';
+    }
+    if (!params.get('client_id') || !params.get('redirect_uri') || !params.get('state')) {
+      return 'client_id, redirect_uri and state are required';
+    }
+    // Stands in for the provider's list of registered redirect URIs
+    if (new URL(params.get('redirect_uri'), window.location.href).origin !== window.location.origin) {
+      return 'redirect_uri is not registered for this client';
+    }
+    if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+      return 'PKCE with the S256 method is required';
+    }
+    return null;
+  }
+
+  /**
+   * Approve an authorization request as the given person
+   * @param {URLSearchParams} params - The authorization request
+   * @param {Object} profile - {email, name, emailVerified}
+   * @returns {string} URL to send the browser back to
+   */
+  authorize(params, profile) {
+    const providerId = params.get('provider');
+    const email = (profile.email || '').trim().toLowerCase();
+    const code = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+
+    // Drop expired codes while adding the new one
+    const codes = this.loadCodes();
+    Object.keys(codes).forEach(key => {
+      if (Date.parse(codes[key].expiresAt) <= Date.now()) delete codes[key];
+    });
+    codes[code] = {
+      provider: providerId,
+      clientId: params.get('client_id'),
+      redirectUri: params.get('redirect_uri'),
+      codeChallenge: params.get('code_challenge'),
+      nonce: params.get('nonce'),
+      scope: params.get('scope'),
+      // Like a real provider's account ID, the subject stays the same across logins
+      claims: { sub: `${providerId}-${base64UrlEncode(email)}`, email, email_verified: Boolean(profile.emailVerified), name: profile.name },
+      expiresAt: new Date(Date.now() + this.codeTtl).toISOString()
+    };
+    this.saveCodes(codes);
+
+    return this.redirect(params, { code });
+  }
+
+  // Send the user back as if they pressed Cancel
+  deny(params) {
+    return this.redirect(params, { error: 'access_denied', error_description: 'The user cancelled sign-in' });
+  }
+
+  redirect(params, values) {
+    const url = new URL(params.get('redirect_uri'));
+    Object.entries({ ...values, state: params.get('state') }).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.href;
+  }
+
+  // fetch()-compatible token endpoint, handed to OAuthClient as `fetchImpl`
+  async fetch(url, init = {}) {
+    const match = new URL(url, 'http://mock.local/').pathname.match(/\/mock-idp\/([^/]+)\/token$/);
+    if (!match || (init.method || 'GET').toUpperCase() !== 'POST') {
+      return this.respond(404, { error: 'not_found' });
+    }
+    const [status, body] = await this.exchangeCode(decodeURIComponent(match[1]), new URLSearchParams(init.body || ''));
+    return this.respond(status, body);
+  }
+
+  respond(status, body) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  async exchangeCode(providerId, form) {
+    // Codes are single use, whatever the outcome
+    const codes = this.loadCodes();
+    const entry = codes[form.get('code')];
+    delete codes[form.get('code')];
+    this.saveCodes(codes);
+
+    if (form.get('grant_type') !== 'authorization_code') {
+      return [400, { error: 'unsupported_grant_type' }];
+    }
+    if (!entry || entry.provider !== providerId || Date.parse(entry.expiresAt) <= Date.now()) {
+      return [400, { error: 'invalid_grant', error_description: 'Authorization code is invalid or has expired' }];
+    }
+    if (entry.clientId !== form.get('client_id') || entry.redirectUri !== form.get('redirect_uri')) {
+      return [400, { error: 'invalid_grant', error_description: 'client_id or redirect_uri does not match the authorization request' }];
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(form.get('code_verifier') || ''));
+    if (base64UrlEncode(new Uint8Array(digest)) !== entry.codeChallenge) {
+      return [400, { error: 'invalid_grant', error_description: 'PKCE verification failed' }];
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const idToken = await this.signToken({
+      iss: this.getIssuer(providerId),
+      aud: entry.clientId,
+      ...entry.claims,
+      nonce: entry.nonce,
+      iat: now,
+      exp: now + this.tokenTtl
+    });
+
+    return [200, {
+      access_token: base64UrlEncode(crypto.getRandomValues(new Uint8Array(32))),
+      token_type: 'Bearer',
+      expires_in: this.tokenTtl,
+      scope: entry.scope,
+      id_token: idToken
+    }];
+  }
+
+  async signToken(claims) {
+    const signingInput = `${base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64UrlEncode(JSON.stringify(claims))}`;
+    return `${signingInput}.${await this.sign(signingInput)}`;
+  }
+
+  async sign(data) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(this.secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data));
+    return base64UrlEncode(new Uint8Array(signature));
+  }
+
+  /**
+   * Check an ID token the way a backend would with the provider's keys
+   * @param {string} idToken - Token from the token endpoint
+   * @param {string} providerId - Provider it should come from
+   * @returns {Promise<Object|null>} The token's claims, or null if it is not valid
+   */
+  async verifyIdToken(idToken, providerId) {
+    const [header, payload, signature] = (idToken || '').split('.');
+    if (!header || !payload || !signature || await this.sign(`${header}.${payload}`) !== signature) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(base64UrlDecode(payload));
+      return claims.iss === this.getIssuer(providerId) && claims.exp > Date.now() / 1000 ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+
+// ========================================
+// MOCK API SERVER
+// ========================================
+
+// In-browser stand-in for the backend. It answers ApiClient requests from
+// localStorage so the app works end to end without a server.
+class MockApiServer {
+  constructor({
+    menuSource = 'assets/data/menu.json',
+    latency = 600,
+    failureRate = 0,
+    credentialStore = null,
+    mailTransport = null,
+    resetPage = 'reset-password.html',
+    resetTokenTtl = 30 * 60 * 1000,
+    resetRequestLimit = { max: 3, windowMs: 15 * 60 * 1000 },
+    identityProvider = null,
+    deliverySchedule = null,
+    deliveryZones = null,
+    invoicing = null
+  } = {}) {
+    this.menuSource = menuSource;
+    this.deliverySchedule = deliverySchedule || new DeliverySchedule();
+    this.deliveryZones = deliveryZones || new DeliveryZones();
+    this.invoicing = invoicing || new Invoicing();
+    this.credentialStore = credentialStore || new CredentialStore();
+    this.mailTransport = mailTransport || new LocalOutbox();
+    this.identityProvider = identityProvider || new MockIdentityProvider();
+    this.resetPage = resetPage;
+    this.resetTokenTtl = resetTokenTtl;
+    this.resetRequestLimit = resetRequestLimit;
+    this.latency = latency;
+    this.failureRate = failureRate;
+    this.db = this.loadDb();
+    this.routes = [
+      ['GET', /^\/menu$/, () => this.getMenu()],
+      ['POST', /^\/orders$/, (request) => this.placeOrder(request)],
+      ['GET', /^\/orders\/([^/]+)$/, (request, orderId) => this.getOrder(decodeURIComponent(orderId))],
+      ['POST', /^\/orders\/([^/]+)\/cancel$/, (request, orderId) => this.cancelOrder(decodeURIComponent(orderId))],
+      ['GET', /^\/delivery-slots$/, () => this.getDeliverySlots()],
+      ['POST', /^\/auth\/login$/, (request) => this.login(request.body)],
+      ['POST', /^\/auth\/signup$/, (request) => this.signup(request.body)],
+      ['POST', /^\/auth\/email-check$/, (request) => this.checkEmail(request.body)],
+      ['POST', /^\/auth\/password-reset$/, (request) => this.requestPasswordReset(request.body)],
+      ['GET', /^\/auth\/password-reset\/([^/]+)$/, (request, token) => this.checkResetToken(decodeURIComponent(token))],
+      ['POST', /^\/auth\/password-reset\/([^/]+)$/, (request, token) => this.resetPassword(decodeURIComponent(token), request.body)],
+      ['POST', /^\/auth\/oauth$/, (request) => this.loginWithProvider(request.body)],
+      ['POST', /^\/feedback$/, (request) => this.submitFeedback(request.body)]
+    ];
+  }
+
+  loadDb() {
+    try {
+      const dbData = localStorage.getItem('rex-mock-api');
+      return { orders: {}, idempotency: {}, feedback: [], resetTokens: {}, resetRequests: {}, invoiceSeries: {}, ...(dbData ? JSON.parse(dbData) : {}) };
+    } catch (error) {
+      console.error('Error loading mock API data:', error);
+      return { orders: {}, idempotency: {}, feedback: [], resetTokens: {}, resetRequests: {}, invoiceSeries: {} };
+    }
+  }
+
+  saveDb() {
+    try {
+      localStorage.setItem('rex-mock-api', JSON.stringify(this.db));
+    } catch (error) {
+      console.error('Error saving mock API data:', error);
+    }
+  }
+
+  /**
+   * Change the stored data. It is read again, changed and saved in one
+   * synchronous step, so writes other tabs made in the meantime are kept.
+   * @param {Function} update - Called with the current data; may change it
+   * @returns {*} What `update` returns
+   */
+  updateDb(update) {
+    this.db = this.loadDb();
+    const result = update(this.db);
+    this.saveDb();
+    return result;
+  }
+
+  // fetch()-compatible entry point, handed to ApiClient as `fetchImpl`
+  async fetch(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const path = new URL(url, 'http://mock.local/').pathname.replace(/^.*?\/api(?=\/)/, '');
+    const headers = init.headers || {};
+
+    await wait(this.latency);
+    if (init.signal && init.signal.aborted) {
+      throw new Error('The request was aborted');
+    }
+
+    if (Math.random() < this.failureRate) {
+      return this.respond(503, { message: 'Service temporarily unavailable' });
+    }
+
+    for (const [routeMethod, pattern, handler] of this.routes) {
+      const match = method === routeMethod && path.match(pattern);
+      if (match) {
+        const request = {
+          body: init.body ? JSON.parse(init.body) : null,
+          idempotencyKey: headers['Idempotency-Key'] || null
+        };
+        // Other tabs share the data, so every request starts from what is stored now
+        this.db = this.loadDb();
+        try {
+          const [status, body] = await handler(request, ...match.slice(1));
+          return this.respond(status, body);
+        } catch (error) {
+          console.error(`Mock API error on ${method} ${path}:`, error);
+          return this.respond(500, { message: 'Internal server error' });
+        }
+      }
+    }
+
+    return this.respond(404, { message: `No mock route for ${method} ${path}` });
+  }
+
+  respond(status, body) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  async getMenu() {
+    const response = await fetch(this.menuSource);
+    if (!response.ok) {
+      return [502, { message: 'Menu is unavailable' }];
+    }
+    return [200, await response.json()];
+  }
+
+  async placeOrder(request) {
+    // A repeated key gets the original response instead of a second order
+    if (request.idempotencyKey && this.db.idempotency[request.idempotencyKey]) {
+      return this.db.idempotency[request.idempotencyKey];
+    }
+
+    const order = request.body || {};
+    if (!Array.isArray(order.items) || order.items.length === 0) {
+      return [422, { message: 'Your cart is empty' }];
+    }
+
+    if (order.customer && order.customer.gstin && !validateGstin(order.customer.gstin)) {
+      const message = 'Please enter a valid 15-character GSTIN';
+      return [422, { message, errors: { gstin: message } }];
+    }
+
+    await this.deliveryZones.load();
+    const zone = this.deliveryZones.check(order.pincode, typeof order.subtotal === 'number' ? order.subtotal : null);
+    if (!zone.valid) {
+      return [422, { message: zone.message, errors: zone.quote.serviceable ? null : { pincode: zone.message } }];
+    }
+    const delivery = this.deliveryZones.toDelivery(zone.quote);
+
+    const placedAt = new Date();
+    if (order.deliverySlot) {
+      await this.deliverySchedule.load();
+    }
+    await this.invoicing.load();
+
+    // What depends on other orders is checked in the same step that saves
+    // this one, so orders placed from other tabs count: a repeated request,
+    // the slot's bookings and the GST invoice number, which each registration
+    // takes from an unbroken series
+    return this.updateDb(db => {
+      // Another tab may have sent the same request in the meantime
+      if (request.idempotencyKey && db.idempotency[request.idempotencyKey]) {
+        return db.idempotency[request.idempotencyKey];
+      }
+
+      // The slot may have filled up or become too soon since it was offered
+      let scheduledFor = null;
+      if (order.deliverySlot) {
+        const check = this.deliverySchedule.checkSlot(order.deliverySlot, new Date(), this.getSlotBookings(db));
+        if (!check.valid) {
+          return [409, { message: check.message }];
+        }
+        scheduledFor = this.deliverySchedule.toScheduledFor(check.slot);
+      }
+
+      const invoice = this.invoicing.issue(order, delivery, placedAt, series => {
+        db.invoiceSeries[series] = (db.invoiceSeries[series] || 0) + 1;
+        return db.invoiceSeries[series];
+      });
+
+      const record = {
+        ...order,
+        id: `REX${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`,
+        status: 'placed',
+        placedAt: placedAt.toISOString(),
+        scheduledFor,
+        delivery,
+        invoice
+      };
+      db.orders[record.id] = record;
+
+      const response = [201, { id: record.id, status: record.status, placedAt: record.placedAt, scheduledFor, delivery, invoice }];
+      if (request.idempotencyKey) {
+        db.idempotency[request.idempotencyKey] = response;
+      }
+      return response;
+    });
+  }
+
+  getOrder(orderId) {
+    const order = this.db.orders[orderId];
+    return order ? [200, order] : [404, { message: 'Order not found' }];
+  }
+
+  // Scheduled orders can be cancelled until the slot's cutoff, which frees the slot
+  cancelOrder(orderId) {
+    return this.updateDb(db => {
+      const order = db.orders[orderId];
+      if (!order) {
+        return [404, { message: 'Order not found' }];
+      }
+
+      if (order.status !== 'cancelled') {
+        if (order.scheduledFor && Date.now() >= Date.parse(order.scheduledFor.cutoffAt)) {
+          return [409, { message: 'It is too late to cancel this order. The kitchen has started preparing it.' }];
+        }
+
+        order.status = 'cancelled';
+        order.cancelledAt = new Date().toISOString();
+      }
+      return [200, { id: order.id, status: order.status }];
+    });
+  }
+
+  async getDeliverySlots() {
+    await this.deliverySchedule.load();
+    if (!this.deliverySchedule.loaded) {
+      return [502, { message: 'Delivery slots are unavailable right now. Please try again shortly.' }];
+    }
+    return [200, { days: this.deliverySchedule.getSlots(new Date(), this.getSlotBookings()) }];
+  }
+
+  // Orders booked into each delivery slot
+  getSlotBookings(db = this.db) {
+    return Object.values(db.orders).reduce((booked, order) => {
+      if (order.deliverySlot && order.status !== 'cancelled') {
+        booked[order.deliverySlot] = (booked[order.deliverySlot] || 0) + 1;
+      }
+      return booked;
+    }, {});
+  }
+
+  async login(credentials = {}) {
+    const user = await this.credentialStore.verify(credentials.email, credentials.password);
+    if (!user) {
+      return [401, { message: 'Invalid email or password' }];
+    }
+    return [200, { user }];
+  }
+
+  async signup(userData = {}) {
+    if (!userData.name || !userData.email || !userData.password) {
+      return [422, { message: 'Please fill in all fields' }];
+    }
+
+    const user = await this.credentialStore.register(userData);
+    if (!user) {
+      return [409, { message: 'An account with this email already exists' }];
+    }
+    return [201, { user }];
+  }
+
+  // Signup tells a taken email apart anyway, so this reveals nothing new
+  checkEmail(body = {}) {
+    const email = this.credentialStore.normalizeEmail(body.email);
+    if (!email) {
+      return [422, { message: 'Please enter your email address' }];
+    }
+    return [200, { available: !this.credentialStore.hasUser(email) }];
+  }
+
+  // Always answers the same way so the response does not reveal which
+  // emails have accounts
+  async requestPasswordReset(body = {}) {
+    const email = this.credentialStore.normalizeEmail(body.email);
+    if (!email) {
+      return [422, { message: 'Please enter your email address' }];
+    }
+
+    const now = Date.now();
+    const { max, windowMs } = this.resetRequestLimit;
+    const limited = this.updateDb(db => {
+      const recent = (db.resetRequests[email] || []).filter(time => now - time < windowMs);
+      if (recent.length >= max) {
+        return true;
+      }
+      db.resetRequests[email] = [...recent, now];
+      return false;
+    });
+    if (limited) {
+      return [429, { message: 'Too many reset requests. Please try again later.' }];
+    }
+
+    if (this.credentialStore.hasUser(email)) {
+      const token = this.createToken();
+      const tokenHash = await this.hashToken(token);
+      this.updateDb(db => {
+        db.resetTokens[tokenHash] = {
+          email,
+          expiresAt: new Date(now + this.resetTokenTtl).toISOString()
+        };
+      });
+
+      const link = new URL(`${this.resetPage}?token=${token}`, window.location.href).href;
+      await this.mailTransport.send({
+        to: email,
+        subject: 'Reset your REX Food Delivery password',
+        text: `We received a request to reset your password.
+This link works once and expires in ${Math.round(this.resetTokenTtl / 60000)} minutes.
+If you did not ask for this, you can ignore this email.`,
+        link
+      });
+    }
+
+    return [202, { message: `If an account exists for ${email}, we have sent password reset instructions.` }];
+  }
+
+  // Look up a reset token, dropping it if it has expired
+  async findResetToken(token) {
+    const key = await this.hashToken(token || '');
+    const entry = this.db.resetTokens[key];
+    if (entry && Date.parse(entry.expiresAt) <= Date.now()) {
+      this.updateDb(db => {
+        delete db.resetTokens[key];
+      });
+      return null;
+    }
+    return entry ? { key, ...entry } : null;
+  }
+
+  async checkResetToken(token) {
+    const entry = await this.findResetToken(token);
+    return entry
+      ? [200, { email: entry.email, expiresAt: entry.expiresAt }]
+      : [400, { message: 'This reset link is invalid or has expired. Please request a new one.' }];
+  }
+
+  async resetPassword(token, body = {}) {
+    const entry = await this.findResetToken(token);
+    if (!entry) {
+      return [400, { message: 'This reset link is invalid or has expired. Please request a new one.' }];
+    }
+    if (!body.password || body.password.length < 6) {
+      return [422, { message: 'Password must be at least 6 characters long' }];
+    }
+
+    // Single use: this and any other outstanding links for the account stop
+    // working. They are claimed before the password changes, so a link
+    // opened in two tabs works only once.
+    const claimed = this.updateDb(db => {
+      if (!db.resetTokens[entry.key]) {
+        return false;
+      }
+      Object.keys(db.resetTokens).forEach(key => {
+        if (db.resetTokens[key].email === entry.email) {
+          delete db.resetTokens[key];
+        }
+      });
+      return true;
+    });
+    if (!claimed) {
+      return [400, { message: 'This reset link is invalid or has expired. Please request a new one.' }];
+    }
+
+    await this.credentialStore.setPassword(entry.email, body.password);
+    return [200, { message: 'Your password has been reset' }];
+  }
+
+  // Start a session from a provider's ID token, linking it to the account
+  // with the same email when the provider has verified that email
+  async loginWithProvider(body = {}) {
+    const claims = await this.identityProvider.verifyIdToken(body.idToken, body.provider);
+    if (!claims) {
+      return [401, { message: 'We could not verify your sign-in. Please try again.' }];
+    }
+    if (!claims.email) {
+      return [422, { message: 'We need your email address to sign you in. Please allow access to it and try again.' }];
+    }
+
+    const result = this.credentialStore.linkIdentity({
+      provider: body.provider,
+      subject: claims.sub,
+      email: claims.email,
+      emailVerified: claims.email_verified === true,
+      name: claims.name
+    });
+    if (!result) {
+      return [409, { message: `An account with ${claims.email} already exists. Please log in with your password.` }];
+    }
+    return [result.created ? 201 : 200, result];
+  }
+
+  createToken() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(32)), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Only token hashes are stored, so the outbox link is the only usable copy
+  async hashToken(token) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  submitFeedback(feedback = {}) {
+    if (!feedback.email || !feedback.comments) {
+      return [422, { message: 'Please provide your email and feedback' }];
+    }
+    this.updateDb(db => {
+      db.feedback.push({ ...feedback, receivedAt: new Date().toISOString() });
+    });
+    return [201, { received: true }];
+  }
+}
+
+/**
+ * Create the app's API client from window.REX_API_CONFIG
+ * ({baseUrl, timeout, retries, mock}); the mock server is used unless
+ * `mock: false` is set
+ * @param {Object} config - Overrides for window.REX_API_CONFIG
+ */
+function createApiClient(config = {}) {
+  const settings = {
+    ...(typeof window !== 'undefined' && window.REX_API_CONFIG ? window.REX_API_CONFIG : {}),
+    ...config
+  };
+  const mockServer = settings.mock === false ? null : new MockApiServer(settings.mockOptions);
+
+  return new ApiClient({
+    ...settings,
+    fetchImpl: mockServer ? (url, init) => mockServer.fetch(url, init) : null
+  });
+}
+
+/**
+ * Create the social login client from window.REX_OAUTH_CONFIG
+ * ({redirectUri, mock, providers: {google: {clientId}, ...}}); providers
+ * use the mock identity provider unless `mock: false` is set
+ * @param {Object} config - Overrides for window.REX_OAUTH_CONFIG
+ */
+function createOAuthClient(config = {}) {
+  const settings = {
+    ...(typeof window !== 'undefined' && window.REX_OAUTH_CONFIG ? window.REX_OAUTH_CONFIG : {}),
+    ...config
+  };
+  const mockProvider = settings.mock === false ? null : new MockIdentityProvider(settings.mockOptions);
+  const overrides = settings.providers || {};
+
+  const providers = {};
+  new Set([...Object.keys(OAUTH_PROVIDERS), ...Object.keys(overrides)]).forEach(providerId => {
+    providers[providerId] = {
+      ...OAUTH_PROVIDERS[providerId],
+      ...(mockProvider ? { clientId: 'rex-food-web', ...mockProvider.getProviderConfig(providerId) } : {}),
+      ...overrides[providerId]
+    };
+  });
+
+  return new OAuthClient({
+    ...settings,
+    providers,
+    fetchImpl: mockProvider ? (url, init) => mockProvider.fetch(url, init) : null
+  });
+}
+
+
+// ========================================
+// MENU CATALOG
+// ========================================
+
+class MenuCatalog {
+  constructor(source = 'assets/data/menu.json', apiClient = null) {
+    this.source = source;
+    this.apiClient = apiClient;
+    this.categories = [];
+    this.pricing = {};
+    this.optionGroups = {};
+    this.items = new Map();
+    this.loaded = false;
+    this.loadPromise = null;
+  }
+
+  // Load catalog data from the API, or straight from the JSON file when
+  // there is no API client (only fetched once)
+  load() {
+    if (!this.loadPromise) {
+      const request = this.apiClient
+        ? this.apiClient.getMenu()
+        : fetch(this.source).then(response => {
+          if (!response.ok) {
+            throw new Error(`Menu request failed with status ${response.status}`);
+          }
+          return response.json();
+        });
+
+      this.loadPromise = request
+        .then(data => this.setData(data))
+        .catch(error => {
+          console.error('Error loading menu catalog:', error);
+          return this;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  // Replace catalog contents with parsed menu data
+  setData(data) {
+    this.categories = Array.isArray(data.categories) ? data.categories : [];
+    this.pricing = data.pricing || {};
+    this.optionGroups = data.optionGroups || {};
+    this.items = new Map();
+
+    (data.items || []).forEach(item => {
+      if (!item.sku || !item.name || typeof item.price !== 'number') {
+        console.error('Skipping invalid menu item:', item);
+        return;
+      }
+      this.items.set(item.sku, { ...item, veg: item.veg !== false });
+    });
+
+    this.loaded = true;
+    return this;
+  }
+
+  // Get menu item by SKU
+  getItem(sku) {
+    return this.items.get(sku) || null;
+  }
+
+  // Get category by ID
+  getCategory(categoryId) {
+    return this.categories.find(category => category.id === categoryId) || null;
+  }
+
+  // Find menu item by display name (used to migrate pre-SKU cart lines)
+  findByName(name) {
+    if (!name) return null;
+    const normalized = name.trim().toLowerCase();
+    for (const item of this.items.values()) {
+      if (item.name.toLowerCase() === normalized || sanitizeInput(item.name).toLowerCase() === normalized) {
+        return item;
+      }
+    }
+    return null;
+  }
+
+  // Get all items in a category, optionally limited to one group
+  getItemsByCategory(categoryId, groupId = null) {
+    return [...this.items.values()].filter(item =>
+      item.category === categoryId && (!groupId || item.group === groupId)
+    );
+  }
+
+  // Get items flagged as popular
+  getPopularItems() {
+    return [...this.items.values()].filter(item => item.popular);
+  }
+
+  // Get the option groups (portion, spice level, extras...) an item declares
+  getOptionGroups(menuItem) {
+    return (menuItem.options || [])
+      .filter(groupId => this.optionGroups[groupId])
+      .map(groupId => ({ id: groupId, ...this.optionGroups[groupId] }));
+  }
+
+  // Check whether an item needs the options picker
+  hasOptions(menuItem) {
+    return this.getOptionGroups(menuItem).length > 0;
+  }
+
+  /**
+   * Resolve option selections for an item into priced modifiers
+   * @param {Object} menuItem - Catalog item
+   * @param {Object} selections - Map of group id to choice id (or array of ids for multi-select)
+   * @returns {{valid: boolean, errors: string[], modifiers: Object[], unitPrice: number}}
+   */
+  resolveOptions(menuItem, selections = {}) {
+    const errors = [];
+    const modifiers = [];
+
+    this.getOptionGroups(menuItem).forEach(group => {
+      const selected = selections[group.id];
+      let choiceIds = Array.isArray(selected) ? selected : (selected ? [selected] : []);
+
+      if (choiceIds.length === 0 && group.type === 'single') {
+        const defaultChoice = group.choices.find(choice => choice.default);
+        if (defaultChoice) choiceIds = [defaultChoice.id];
+      }
+
+      if (group.required && choiceIds.length === 0) {
+        errors.push(`Please choose a ${group.name.toLowerCase()}`);
+        return;
+      }
+
+      if (group.type === 'single' && choiceIds.length > 1) {
+        errors.push(`Only one ${group.name.toLowerCase()} can be chosen`);
+        return;
+      }
+
+      if (group.max && choiceIds.length > group.max) {
+        errors.push(`Choose up to ${group.max} ${group.name.toLowerCase()}`);
+        return;
+      }
+
+      choiceIds.forEach(choiceId => {
+        const choice = group.choices.find(option => option.id === choiceId);
+        if (!choice) {
+          errors.push(`${group.name} option "${choiceId}" is no longer available`);
+          return;
+        }
+        modifiers.push({
+          group: group.id,
+          groupName: group.name,
+          type: group.type,
+          choice: choice.id,
+          name: choice.name,
+          price: choice.price || 0
+        });
+      });
+    });
+
+    const unitPrice = modifiers.reduce((sum, modifier) => sum + modifier.price, menuItem.price);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      modifiers,
+      unitPrice
+    };
+  }
+
+  // Render the full menu grouped by category
+  renderMenu(container) {
+    if (!this.loaded || this.items.size === 0) {
+      container.innerHTML = '<p class="menu-unavailable">Our menu is unavailable right now. Please try again shortly.</p>';
+      return;
+    }
+
+    container.innerHTML = this.categories.map(category => {
+      const groups = category.groups || [];
+      const body = groups.length > 0
+        ? groups.map(group => `
+          <div class="sub-category">
+            <h4>${sanitizeInput(group.name)}</h4>
+            ${this.getItemsByCategory(category.id, group.id).map(item => this.renderItem(item)).join('')}
+          </div>
+        `).join('')
+        : this.getItemsByCategory(category.id).map(item => this.renderItem(item)).join('');
+
+      return `
+        <div class="menu-category" data-category="${category.id}">
+          <h3>${sanitizeInput(category.name)}</h3>
+          ${body}
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Render popular items as cards linking to the menu page
+  renderPopular(container) {
+    const items = this.getPopularItems();
+    if (items.length === 0) {
+      container.innerHTML = '<p class="menu-unavailable">Our menu is unavailable right now. Please try again shortly.</p>';
+      return;
+    }
+
+    container.innerHTML = items.map(item => this.renderItem(item, {
+      className: 'menu-item card',
+      action: `<a href="main.html#menu" class="btn btn-success">Order Now</a>`
+    })).join('');
+  }
+
+  // Render a single menu item
+  renderItem(item, options = {}) {
+    const className = options.className || 'menu-item';
+    const action = options.action || '<button class="add-to-cart">Add to Cart</button>';
+
+    return `
+      <div class="${className}" data-sku="${item.sku}">
+        <img src="${item.image}" alt="${sanitizeInput(item.name)}" loading="lazy">
+        <div class="item-info">
+          <h4>
+            <span class="diet-badge ${item.veg ? 'veg' : 'non-veg'}" title="${item.veg ? 'Vegetarian' : 'Non-vegetarian'}"></span>
+            ${sanitizeInput(item.name)}
+          </h4>
+          <p>${sanitizeInput(item.description || '')}</p>
+          ${this.hasOptions(item) ? '<small class="item-customisable">Customisable</small>' : ''}
+          <div class="item-controls">
+            <span class="price">${formatCurrency(item.price)}</span>
+            ${action}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+
+// ========================================
+// ITEM OPTIONS PICKER
+// ========================================
+
+class ItemOptionsPicker {
+  constructor(menuCatalog) {
+    this.menuCatalog = menuCatalog;
+    this.modal = null;
+    this.menuItem = null;
+    this.onConfirm = null;
+  }
+
+  // Show the picker for an item; onConfirm receives the selections and
+  // returns true when the item was added so the picker can close
+  show(menuItem, onConfirm) {
+    this.menuItem = menuItem;
+    this.onConfirm = onConfirm;
+
+    const modal = this.getModal();
+    modal.querySelector('.options-item-name').textContent = menuItem.name;
+    modal.querySelector('.options-groups').innerHTML = this.menuCatalog.getOptionGroups(menuItem)
+      .map(group => this.renderGroup(group))
+      .join('');
+
+    this.clearError();
+    this.updatePrice();
+    modal.classList.add('show');
+  }
+
+  hide() {
+    if (this.modal) {
+      this.modal.classList.remove('show');
+    }
+    this.menuItem = null;
+    this.onConfirm = null;
+  }
+
+  // Create the modal once and reuse it
+  getModal() {
+    if (this.modal) return this.modal;
+
+    const modal = document.createElement('div');
+    modal.id = 'item-options-modal';
+    modal.className = 'modal item-options-modal';
+    modal.innerHTML = `
+      <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="item-options-title">
+        <div class="modal-header">
+          <h3 id="item-options-title">Customise <span class="options-item-name"></span></h3>
+          <button type="button" class="modal-close" aria-label="Close">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <form class="options-form">
+          <div class="modal-body">
+            <div class="options-groups"></div>
+            <p class="options-error field-error hidden" role="alert"></p>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-secondary options-cancel">Cancel</button>
+            <button type="submit" class="btn btn-primary">Add to Cart &middot; <span class="options-price"></span></button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector('.options-form');
+    form.addEventListener('change', () => {
+      this.clearError();
+      this.updatePrice();
+    });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.confirm();
+    });
+
+    modal.querySelector('.modal-close').addEventListener('click', () => this.hide());
+    modal.querySelector('.options-cancel').addEventListener('click', () => this.hide());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.hide();
+    });
+
+    this.modal = modal;
+    return modal;
+  }
+
+  renderGroup(group) {
+    const inputType = group.type === 'multi' ? 'checkbox' : 'radio';
+    const hint = group.type === 'multi'
+      ? (group.max ? `Choose up to ${group.max}` : 'Optional')
+      : (group.required ? 'Required' : 'Optional');
+
+    return `
+      <fieldset class="options-group" data-group="${group.id}">
+        <legend>${sanitizeInput(group.name)} <small>${hint}</small></legend>
+        ${group.choices.map(choice => `
+          <label class="option-choice">
+            <input type="${inputType}" name="${group.id}" value="${choice.id}" ${choice.default ? 'checked' : ''}>
+            <span>${sanitizeInput(choice.name)}</span>
+            ${choice.price ? `<span class="option-price">+${formatCurrency(choice.price)}</span>` : ''}
+          </label>
+        `).join('')}
+      </fieldset>
+    `;
+  }
+
+  // Collect checked choices per group
+  getSelections() {
+    const selections = {};
+    this.modal.querySelectorAll('.options-group').forEach(fieldset => {
+      selections[fieldset.dataset.group] = [...fieldset.querySelectorAll('input:checked')].map(input => input.value);
+    });
+    return selections;
+  }
+
+  updatePrice() {
+    const resolved = this.menuCatalog.resolveOptions(this.menuItem, this.getSelections());
+    this.modal.querySelector('.options-price').textContent = formatCurrency(resolved.unitPrice);
+  }
+
+  confirm() {
+    const selections = this.getSelections();
+    const resolved = this.menuCatalog.resolveOptions(this.menuItem, selections);
+
+    if (!resolved.valid) {
+      this.showError(resolved.errors[0]);
+      return;
+    }
+
+    if (this.onConfirm && this.onConfirm(selections)) {
+      this.hide();
+    }
+  }
+
+  showError(message) {
+    const error = this.modal.querySelector('.options-error');
+    error.textContent = message;
+    error.classList.remove('hidden');
+  }
+
+  clearError() {
+    const error = this.modal.querySelector('.options-error');
+    error.textContent = '';
+    error.classList.add('hidden');
+  }
+}
+
+
+// ========================================
+// PRICING ENGINE
+// ========================================
+
+class PricingEngine {
+  constructor(menuCatalog) {
+    this.menuCatalog = menuCatalog;
+  }
+
+  // Pricing rules from the catalog, with neutral defaults until it loads
+  getConfig() {
+    return {
+      defaultGstRate: 0,
+      maxPackagingCharge: null,
+      deliveryFee: 0,
+      freeDeliveryAbove: null,
+      rounding: 'none',
+      ...(this.menuCatalog ? this.menuCatalog.pricing : {})
+    };
+  }
+
+  // Find the catalog category a cart line belongs to
+  getCategoryFor(item) {
+    if (!this.menuCatalog || !item.sku) return null;
+    const menuItem = this.menuCatalog.getItem(item.sku);
+    return menuItem ? this.menuCatalog.getCategory(menuItem.category) : null;
+  }
+
+  /**
+   * Build an itemized bill for a list of cart lines
+   * @param {Object[]} items - Cart lines ({sku, name, price, quantity, modifiers})
+   * @param {Object} options - {discount: {code, amount, categories}} from
+   *   PromoEngine.evaluate, {deliveryFee} for the delivery address's zone
+   * @returns {Object} Bill with subtotal, discount, packaging, taxes, delivery fee, round off and total
+   */
+  calculate(items, options = {}) {
+    const config = this.getConfig();
+
+    const lines = items.map(item => {
+      const category = this.getCategoryFor(item);
+      const gstRate = category && typeof category.gstRate === 'number' ? category.gstRate : config.defaultGstRate;
+
+      return {
+        sku: item.sku,
+        name: item.name,
+        modifiers: item.modifiers || [],
+        quantity: item.quantity,
+        unitPrice: item.price,
+        amount: roundMoney(item.price * item.quantity),
+        category: category ? category.id : null,
+        gstRate,
+        packaging: category ? (category.packagingCharge || 0) * item.quantity : 0,
+        participant: item.participant || null
+      };
+    });
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+    const itemCount = lines.reduce((count, line) => count + line.quantity, 0);
+    const discount = this.allocateDiscount(lines, options.discount);
+
+    // Packaging is capped per order; a capped charge is spread back over the
+    // lines so it is taxed at the same rate as the food it wraps
+    const rawPackaging = lines.reduce((sum, line) => sum + line.packaging, 0);
+    const packaging = roundMoney(config.maxPackagingCharge === null
+      ? rawPackaging
+      : Math.min(rawPackaging, config.maxPackagingCharge));
+    const packagingScale = rawPackaging > 0 ? packaging / rawPackaging : 0;
+
+    const taxableByRate = {};
+    lines.forEach(line => {
+      const taxable = line.amount - line.discount + line.packaging * packagingScale;
+      taxableByRate[line.gstRate] = (taxableByRate[line.gstRate] || 0) + taxable;
+    });
+
+    const taxes = Object.keys(taxableByRate)
+      .map(Number)
+      .filter(rate => rate > 0)
+      .sort((a, b) => a - b)
+      .map(rate => ({
+        rate,
+        taxable: roundMoney(taxableByRate[rate]),
+        amount: roundMoney(taxableByRate[rate] * rate / 100)
+      }));
+    const tax = roundMoney(taxes.reduce((sum, entry) => sum + entry.amount, 0));
+
+    const qualifiesForFreeDelivery = config.freeDeliveryAbove !== null && subtotal >= config.freeDeliveryAbove;
+    const zoneFee = typeof options.deliveryFee === 'number' ? options.deliveryFee : config.deliveryFee;
+    const deliveryFee = lines.length === 0 || qualifiesForFreeDelivery ? 0 : zoneFee;
+    const amountToFreeDelivery = lines.length > 0 && config.freeDeliveryAbove !== null && !qualifiesForFreeDelivery
+      ? roundMoney(config.freeDeliveryAbove - subtotal)
+      : 0;
+
+    const exactTotal = roundMoney(subtotal - discount + packaging + tax + deliveryFee);
+    const total = this.applyRounding(exactTotal, config.rounding);
+
+    return {
+      lines,
+      itemCount,
+      subtotal,
+      discount,
+      promoCode: discount > 0 ? options.discount.code : null,
+      packaging,
+      taxes,
+      tax,
+      deliveryFee,
+      amountToFreeDelivery,
+      roundOff: roundMoney(total - exactTotal),
+      total
+    };
+  }
+
+  // Spread a discount over the eligible lines in proportion to their amount
+  // so GST is charged on the discounted value of each line
+  allocateDiscount(lines, discount) {
+    lines.forEach(line => {
+      line.discount = 0;
+    });
+
+    if (!discount || !(discount.amount > 0)) return 0;
+
+    const eligible = lines.filter(line => !discount.categories || discount.categories.includes(line.category));
+    const eligibleTotal = eligible.reduce((sum, line) => sum + line.amount, 0);
+    if (eligibleTotal === 0) return 0;
+
+    const amount = roundMoney(Math.min(discount.amount, eligibleTotal));
+    let remaining = amount;
+    eligible.forEach((line, index) => {
+      const share = index === eligible.length - 1
+        ? remaining
+        : roundMoney(amount * line.amount / eligibleTotal);
+      line.discount = share;
+      remaining = roundMoney(remaining - share);
+    });
+
+    return amount;
+  }
+
+  /**
+   * Split a group order's bill between its participants. Everyone pays for
+   * their own items and for the discount, packaging and GST that go with
+   * them; the delivery fee and round off are shared in proportion to each
+   * person's item total.
+   * @param {Object} bill - From calculate(), for lines tagged with a participant
+   * @param {Object[]} participants - [{id, name}]; lines of anyone not listed
+   *   count as the first participant's
+   * @returns {Object[]} One share per participant: {id, name, lines,
+   *   itemCount, subtotal, discount, packaging, tax, deliveryFee, roundOff,
+   *   total}. The shares add up to the bill exactly.
+   */
+  splitBill(bill, participants) {
+    const ids = participants.map(participant => participant.id);
+    const owner = line => (ids.includes(line.participant) ? line.participant : ids[0]);
+    const linesOf = participants.map(participant => bill.lines.filter(line => owner(line) === participant.id));
+    const sums = field => linesOf.map(lines => lines.reduce((sum, line) => sum + line[field], 0));
+
+    // GST follows each person's taxable value at every rate
+    const rawPackaging = bill.lines.reduce((sum, line) => sum + line.packaging, 0);
+    const packagingScale = rawPackaging > 0 ? bill.packaging / rawPackaging : 0;
+    const taxShares = bill.taxes.map(entry => this.spread(entry.amount, linesOf.map(lines => lines
+      .filter(line => line.gstRate === entry.rate)
+      .reduce((sum, line) => sum + line.amount - line.discount + line.packaging * packagingScale, 0))));
+
+    const amounts = sums('amount');
+    const parts = {
+      subtotal: this.spread(bill.subtotal, amounts),
+      discount: this.spread(bill.discount, sums('discount')),
+      packaging: this.spread(bill.packaging, sums('packaging')),
+      deliveryFee: this.spread(bill.deliveryFee, amounts),
+      roundOff: this.spread(bill.roundOff, amounts)
+    };
+
+    return participants.map((participant, index) => {
+      const tax = roundMoney(taxShares.reduce((sum, shares) => sum + shares[index], 0));
+      const share = {
+        id: participant.id,
+        name: participant.name,
+        lines: linesOf[index],
+        itemCount: linesOf[index].reduce((count, line) => count + line.quantity, 0),
+        subtotal: parts.subtotal[index],
+        discount: parts.discount[index],
+        packaging: parts.packaging[index],
+        tax,
+        deliveryFee: parts.deliveryFee[index],
+        roundOff: parts.roundOff[index]
+      };
+      share.total = roundMoney(share.subtotal - share.discount + share.packaging + share.tax + share.deliveryFee + share.roundOff);
+      return share;
+    });
+  }
+
+  // Divide an amount in proportion to weights, to the paisa; the last
+  // weighted part takes what rounding leaves so the parts add up
+  spread(amount, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const last = weights.reduce((found, weight, index) => (weight > 0 ? index : found), -1);
+    let remaining = amount;
+
+    return weights.map((weight, index) => {
+      if (!(weight > 0) || totalWeight <= 0) return 0;
+      const share = index === last ? roundMoney(remaining) : roundMoney(amount * weight / totalWeight);
+      remaining = roundMoney(remaining - share);
+      return share;
+    });
+  }
+
+  applyRounding(amount, mode) {
+    switch (mode) {
+      case 'nearest':
+        return Math.round(amount);
+      case 'up':
+        return Math.ceil(amount);
+      case 'down':
+        return Math.floor(amount);
+      default:
+        return amount;
+    }
+  }
+
+  // Render bill rows for the cart panel, confirmation modal and receipts
+  renderBreakdown(bill) {
+    const rows = [
+      ['Item total', formatCurrency(bill.subtotal)]
+    ];
+
+    if (bill.discount > 0) {
+      rows.push([`Promo (${sanitizeInput(bill.promoCode)})`, `-${formatCurrency(bill.discount)}`]);
+    }
+
+    if (bill.packaging > 0) {
+      rows.push(['Packaging charges', formatCurrency(bill.packaging)]);
+    }
+
+    bill.taxes.forEach(entry => {
+      rows.push([`GST @ ${entry.rate}%`, formatCurrency(entry.amount)]);
+    });
+
+    rows.push(['Delivery fee', bill.deliveryFee > 0 ? formatCurrency(bill.deliveryFee) : 'FREE']);
+
+    if (bill.roundOff !== 0) {
+      rows.push(['Round off', `${bill.roundOff > 0 ? '+' : '-'}${formatCurrency(Math.abs(bill.roundOff))}`]);
+    }
+
+    return `
+      <dl class="bill-breakdown">
+        ${rows.map(([label, value]) => `
+          <div class="bill-row">
+            <dt>${label}</dt>
+            <dd>${value}</dd>
+          </div>
+        `).join('')}
+        <div class="bill-row bill-total">
+          <dt>Grand total</dt>
+          <dd>${formatCurrency(bill.total)}</dd>
+        </div>
+      </dl>
+      ${bill.amountToFreeDelivery > 0 ? `<p class="bill-hint">Add ${formatCurrency(bill.amountToFreeDelivery)} more for free delivery</p>` : ''}
+    `;
+  }
+
+  // Render who pays what for a group order (see splitBill)
+  renderSplit(split) {
+    const extras = share => roundMoney(share.packaging + share.tax + share.deliveryFee + share.roundOff);
+
+    return `
+      <table class="bill-split">
+        <thead>
+          <tr>
+            <th scope="col">Person</th>
+            <th scope="col">Items</th>
+            <th scope="col">Discount</th>
+            <th scope="col">Taxes &amp; fees</th>
+            <th scope="col">Pays</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${split.map(share => `
+            <tr>
+              <th scope="row">${share.name}</th>
+              <td>${formatCurrency(share.subtotal)}</td>
+              <td>${share.discount > 0 ? `-${formatCurrency(share.discount)}` : '—'}</td>
+              <td>${formatCurrency(extras(share))}</td>
+              <td><strong>${formatCurrency(share.total)}</strong></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+}
+
+
+// ========================================
+// PROMO CODES
+// ========================================
+
+class PromoEngine {
+  constructor(menuCatalog, source = 'assets/data/promos.json', storage = defaultStorage()) {
+    this.menuCatalog = menuCatalog;
+    this.source = source;
+    this.storage = storage;
+    this.promos = new Map();
+    this.loaded = false;
+    this.loadPromise = null;
+  }
+
+  // Load promo rules from the JSON file (only fetched once)
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.source)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Promo request failed with status ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => this.setData(data))
+        .catch(error => {
+          console.error('Error loading promo codes:', error);
+          return this;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  setData(data) {
+    this.promos = new Map();
+    (data.promos || []).forEach(promo => {
+      if (!promo.code || !['flat', 'percent'].includes(promo.type) || typeof promo.value !== 'number') {
+        console.error('Skipping invalid promo:', promo);
+        return;
+      }
+      this.promos.set(promo.code.toUpperCase(), { ...promo, code: promo.code.toUpperCase() });
+    });
+    this.loaded = true;
+    return this;
+  }
+
+  // Per-user redemption counts, read for every check since orders placed
+  // in other tabs count too
+  loadUsage() {
+    return this.storage.get('rex-promo-usage', {});
+  }
+
+  saveUsage(usage) {
+    this.storage.set('rex-promo-usage', usage);
+  }
+
+  /**
+   * Change the redemption counts. They are read again, changed and saved in
+   * one synchronous step, so orders other tabs counted in the meantime are kept.
+   * @param {Function} update - Called with the current counts; may change them
+   * @returns {*} What `update` returns
+   */
+  updateUsage(update) {
+    const usage = this.loadUsage();
+    const result = update(usage);
+    this.saveUsage(usage);
+    return result;
+  }
+
+  getUsage(userKey) {
+    return this.loadUsage()[userKey] || { orders: 0, codes: {} };
+  }
+
+  // Record a placed order, and the code it used if any
+  recordOrder(userKey, code = null) {
+    this.updateUsage(usage => {
+      const entry = usage[userKey] || { orders: 0, codes: {} };
+      entry.orders += 1;
+      if (code) {
+        entry.codes[code] = (entry.codes[code] || 0) + 1;
+      }
+      usage[userKey] = entry;
+    });
+  }
+
+  getPromo(code) {
+    return this.promos.get(this.normalizeCode(code)) || null;
+  }
+
+  normalizeCode(code) {
+    return (code || '').trim().toUpperCase();
+  }
+
+  getCategoryNames(categoryIds) {
+    return categoryIds
+      .map(id => {
+        const category = this.menuCatalog ? this.menuCatalog.getCategory(id) : null;
+        return category ? category.name : id;
+      })
+      .join(' / ');
+  }
+
+  /**
+   * Check a promo code against a bill
+   * @param {string} code - Code entered by the customer
+   * @param {Object} bill - Undiscounted bill from PricingEngine.calculate
+   * @param {Object} context - {userKey, now}
+   * @returns {{valid: boolean, code: string, amount: number, categories: string[]|null, message: string}}
+   */
+  evaluate(code, bill, context = {}) {
+    const normalized = this.normalizeCode(code);
+    const now = context.now || new Date();
+    const reject = message => ({ valid: false, code: normalized, amount: 0, categories: null, message });
+
+    if (!normalized) {
+      return reject('Enter a promo code');
+    }
+
+    if (!this.loaded) {
+      return reject('Promo codes are unavailable right now');
+    }
+
+    const promo = this.getPromo(normalized);
+    if (!promo) {
+      return reject(`${normalized} is not a valid promo code`);
+    }
+
+    if (promo.startsAt && now < new Date(promo.startsAt)) {
+      return reject(`${promo.code} is valid from ${new Date(promo.startsAt).toLocaleDateString()}`);
+    }
+
+    if (promo.expiresAt && now > new Date(promo.expiresAt)) {
+      return reject(`${promo.code} expired on ${new Date(promo.expiresAt).toLocaleDateString()}`);
+    }
+
+    const usage = this.getUsage(context.userKey || 'guest');
+
+    if (promo.firstOrderOnly && usage.orders > 0) {
+      return reject(`${promo.code} is only valid on your first order`);
+    }
+
+    const timesUsed = usage.codes[promo.code] || 0;
+    if (promo.perUserLimit && timesUsed >= promo.perUserLimit) {
+      return reject(promo.perUserLimit === 1
+        ? `You have already used ${promo.code}`
+        : `You have already used ${promo.code} ${promo.perUserLimit} times`);
+    }
+
+    const categories = Array.isArray(promo.categories) && promo.categories.length > 0 ? promo.categories : null;
+    const eligibleLines = categories
+      ? bill.lines.filter(line => categories.includes(line.category))
+      : bill.lines;
+    const eligibleSubtotal = roundMoney(eligibleLines.reduce((sum, line) => sum + line.amount, 0));
+
+    if (eligibleSubtotal === 0) {
+      return reject(categories
+        ? `${promo.code} applies only to ${this.getCategoryNames(categories)} items`
+        : 'Add items to your cart to use a promo code');
+    }
+
+    if (promo.minOrder && eligibleSubtotal < promo.minOrder) {
+      const shortfall = Math.ceil(promo.minOrder - eligibleSubtotal);
+      return reject(categories
+        ? `Add ₹${shortfall} more of ${this.getCategoryNames(categories)} items to use ${promo.code}`
+        : `Add ₹${shortfall} more to use ${promo.code}`);
+    }
+
+    let amount = promo.type === 'flat'
+      ? promo.value
+      : eligibleSubtotal * promo.value / 100;
+
+    if (promo.maxDiscount) {
+      amount = Math.min(amount, promo.maxDiscount);
+    }
+    amount = roundMoney(Math.min(amount, eligibleSubtotal));
+
+    return {
+      valid: true,
+      code: promo.code,
+      amount,
+      categories,
+      description: promo.description || '',
+      message: `${promo.code} applied: you save ${formatCurrency(amount)}`
+    };
+  }
+}
+
+
+// ========================================
+// DELIVERY SLOTS
+// ========================================
+
+// Keys of the opening hours in delivery-slots.json, by Date#getDay()
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "Today", "Tomorrow" or "Wed, 21 Oct" for the day of a delivery slot
+function formatDeliveryDay(date, now = new Date()) {
+  const day = new Date(date);
+  const days = Math.round((new Date(day).setHours(0, 0, 0, 0) - new Date(now).setHours(0, 0, 0, 0)) / 86400000);
+  if (days === 0) return 'Today';
+  if (days === 1) return 'Tomorrow';
+  return day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+/**
+ * "Today, 12:30 pm – 1:00 pm" for a delivery slot
+ * @param {{start: string, end: string}} slot - Slot or an order's scheduledFor
+ * @param {Date} now - What "today" is
+ * @param {boolean} withDay - Whether to name the day, or only the times
+ */
+function formatDeliverySlot(slot, now = new Date(), withDay = true) {
+  const time = date => new Date(date).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  const times = `${time(slot.start)} – ${time(slot.end)}`;
+  return withDay ? `${formatDeliveryDay(slot.start, now)}, ${times}` : times;
+}
+
+// Delivery slots for orders placed ahead of time, from the kitchen's opening
+// hours in delivery-slots.json. Times are the kitchen's local time. The mock
+// server applies the same rules, plus each slot's bookings, when it hands
+// out slots and accepts orders.
+class DeliverySchedule {
+  constructor(source = 'assets/data/delivery-slots.json') {
+    this.source = source;
+    this.config = null;
+    this.loaded = false;
+    this.loadPromise = null;
+  }
+
+  // Load the schedule from the JSON file (only fetched once)
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.source)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Delivery slot request failed with status ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => this.setData(data))
+        .catch(error => {
+          console.error('Error loading delivery slots:', error);
+          return this;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  setData(data) {
+    this.config = {
+      slotMinutes: 30,
+      daysAhead: 3,
+      leadMinutes: 60,
+      cutoffMinutes: 60,
+      capacity: 5,
+      openingHours: {},
+      slotCapacity: {},
+      closedDates: [],
+      ...data
+    };
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Slots that can still be booked, from today until daysAhead days out
+   * @param {Date} now - Current time
+   * @param {Object} booked - Orders already booked, by slot ID
+   * @returns {Object[]} Days with bookable slots: {date, slots: [{id, start,
+   *   end, capacity, remaining}]}; full slots are included with remaining 0
+   */
+  getSlots(now = new Date(), booked = {}) {
+    if (!this.loaded) return [];
+
+    const days = [];
+    for (let offset = 0; offset < this.config.daysAhead; offset++) {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+      const slots = this.getDaySlots(day, booked).filter(slot => !this.isTooSoon(slot, now));
+      if (slots.length > 0) {
+        days.push({ date: this.formatDate(day), slots });
+      }
+    }
+    return days;
+  }
+
+  // Every slot of one day in opening hours (none on closed dates)
+  getDaySlots(day, booked = {}) {
+    const date = this.formatDate(day);
+    if (this.config.closedDates.includes(date)) return [];
+
+    const slotMs = this.config.slotMinutes * 60000;
+    const hours = this.config.openingHours[WEEKDAY_KEYS[day.getDay()]] || [];
+    const slots = [];
+
+    hours.forEach(([open, close]) => {
+      const closing = this.atTime(day, close).getTime();
+      for (let start = this.atTime(day, open).getTime(); start + slotMs <= closing; start += slotMs) {
+        const time = new Date(start).toTimeString().slice(0, 5);
+        const id = `${date}T${time}`;
+        const capacity = time in this.config.slotCapacity ? this.config.slotCapacity[time] : this.config.capacity;
+        slots.push({
+          id,
+          start: new Date(start).toISOString(),
+          end: new Date(start + slotMs).toISOString(),
+          capacity,
+          remaining: Math.max(0, capacity - (booked[id] || 0))
+        });
+      }
+    });
+    return slots;
+  }
+
+  /**
+   * Check that a slot can be booked
+   * @param {string} slotId - e.g. "2026-10-21T12:30"
+   * @param {Date} now - Current time
+   * @param {Object} booked - Orders already booked, by slot ID (left out
+   *   where bookings are not known, as in the browser)
+   * @returns {{valid: boolean, slot: Object|null, message: string}}
+   */
+  checkSlot(slotId, now = new Date(), booked = {}) {
+    if (!this.loaded) {
+      return { valid: false, slot: null, message: 'Delivery slots are unavailable right now. Please try again shortly.' };
+    }
+
+    const match = String(slotId || '').match(/^(\d{4})-(\d{2})-(\d{2})T\d{2}:\d{2}$/);
+    const day = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    const slot = day && this.getDaySlots(day, booked).find(candidate => candidate.id === slotId);
+    const lastDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + this.config.daysAhead);
+
+    if (!slot || day >= lastDay) {
+      return { valid: false, slot: null, message: 'Please choose one of the delivery times offered' };
+    }
+    if (this.isTooSoon(slot, now)) {
+      return { valid: false, slot, message: 'This delivery time is too soon now. Please choose a later slot.' };
+    }
+    if (slot.remaining <= 0) {
+      return { valid: false, slot, message: 'This delivery slot is full. Please choose another time.' };
+    }
+    return { valid: true, slot, message: '' };
+  }
+
+  // Slot start times ("HH:MM") the kitchen offers on any of the given weekdays
+  getSlotTimes(days = WEEKDAY_KEYS) {
+    if (!this.loaded) return [];
+
+    const toMinutes = time => time.split(':').map(Number).reduce((hours, minutes) => hours * 60 + minutes);
+    const times = new Set();
+    days.forEach(key => (this.config.openingHours[key] || []).forEach(([open, close]) => {
+      for (let start = toMinutes(open); start + this.config.slotMinutes <= toMinutes(close); start += this.config.slotMinutes) {
+        times.add(`${String(Math.floor(start / 60)).padStart(2, '0')}:${String(start % 60).padStart(2, '0')}`);
+      }
+    }));
+    return [...times].sort();
+  }
+
+  // The kitchen needs leadMinutes' notice
+  isTooSoon(slot, now = new Date()) {
+    return Date.parse(slot.start) < now.getTime() + this.config.leadMinutes * 60000;
+  }
+
+  // What an order for a slot records: when it comes, and until when it can be cancelled
+  toScheduledFor(slot) {
+    return {
+      slotId: slot.id,
+      start: slot.start,
+      end: slot.end,
+      cutoffAt: new Date(Date.parse(slot.start) - this.config.cutoffMinutes * 60000).toISOString()
+    };
+  }
+
+  // A "HH:MM" time on a day
+  atTime(day, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+  }
+
+  formatDate(day) {
+    return [day.getFullYear(), day.getMonth() + 1, day.getDate()]
+      .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+      .join('-');
+  }
+}
+
+
+// ========================================
+// DELIVERY ZONES
+// ========================================
+
+// Straight-line distance in km between two [lat, lng] points
+function distanceKm(from, to) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const a = Math.pow(Math.sin(radians(to[0] - from[0]) / 2), 2) +
+    Math.cos(radians(from[0])) * Math.cos(radians(to[0])) * Math.pow(Math.sin(radians(to[1] - from[1]) / 2), 2);
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Whether a [lat, lng] point lies inside a polygon of [lat, lng] corners
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    if ((latI > point[0]) !== (latJ > point[0]) &&
+      point[1] < (lngJ - lngI) * (point[0] - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// "REX Indiranagar (3.8 km away), 30–45 min" for a delivery quote or an
+// order's delivery
+function formatDeliveryRoute(delivery) {
+  const distance = delivery.distanceKm !== null ? ` (${delivery.distanceKm} km away)` : '';
+  return `${delivery.branch.name}${distance}, ${delivery.eta[0]}–${delivery.eta[1]} min`;
+}
+
+// Where we deliver, from delivery-zones.json. Each branch serves zones given
+// as pin codes or as a polygon around pin code locations, each with its own
+// minimum order. The delivery fee and ETA come from distance bands (the
+// branch or zone may have its own) by how far the pin code is from the
+// branch. The mock server applies the same rules when it accepts orders.
+class DeliveryZones {
+  constructor(source = 'assets/data/delivery-zones.json') {
+    this.source = source;
+    this.bands = [];
+    this.branches = [];
+    this.locations = {};
+    this.loaded = false;
+    this.loadPromise = null;
+  }
+
+  // Load the zones from the JSON file (only fetched once)
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.source)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Delivery zone request failed with status ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => this.setData(data))
+        .catch(error => {
+          console.error('Error loading delivery zones:', error);
+          return this;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  setData(data) {
+    this.bands = data.bands || [];
+    this.branches = data.branches || [];
+    this.locations = data.locations || {};
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Which branch delivers to a pin code, and for how much
+   * @param {string} pincode - 6-digit pin code
+   * @returns {Object} {serviceable, pincode, message}, and when serviceable
+   *   {branch: {id, name}, zone: {id, name}, distanceKm, fee, eta: [min,
+   *   max] minutes, minOrder}
+   */
+  quote(pincode) {
+    const code = String(pincode || '').trim();
+    if (!this.loaded) {
+      return { serviceable: false, pincode: code, message: 'Delivery areas are unavailable right now. Please try again shortly.' };
+    }
+
+    if (!/^\d{6}$/.test(code)) {
+      return { serviceable: false, pincode: code, message: 'Please enter a valid 6-digit pin code' };
+    }
+
+    const location = this.locations[code] || null;
+    const matches = [];
+    this.branches.forEach(branch => {
+      const zone = (branch.zones || []).find(candidate => this.inZone(candidate, code, location));
+      if (zone) {
+        matches.push({ branch, zone, distance: location && branch.location ? distanceKm(branch.location, location) : null });
+      }
+    });
+
+    if (matches.length === 0) {
+      return { serviceable: false, pincode: code, message: `Sorry, we don't deliver to pin code ${code} yet` };
+    }
+
+    // The nearest branch cooks; one whose distance is unknown comes last
+    const distanceOf = match => (match.distance === null ? Infinity : match.distance);
+    const { branch, zone, distance } = matches.sort((a, b) => distanceOf(a) - distanceOf(b))[0];
+    const bands = zone.bands || branch.bands || this.bands;
+
+    // Without a location for the pin code, charge as for the farthest band
+    const band = distance === null ? bands[bands.length - 1] : bands.find(candidate => distance <= candidate.upToKm);
+    if (!band) {
+      const limit = bands.length > 0 ? bands[bands.length - 1].upToKm : 0;
+      return {
+        serviceable: false,
+        pincode: code,
+        message: distance === null
+          ? `Sorry, we don't deliver to pin code ${code} yet`
+          : `Pin code ${code} is ${distance.toFixed(1)} km from our nearest kitchen. We deliver up to ${limit} km.`
+      };
+    }
+
+    return {
+      serviceable: true,
+      pincode: code,
+      message: '',
+      branch: { id: branch.id, name: branch.name },
+      zone: { id: zone.id, name: zone.name },
+      distanceKm: distance === null ? null : Math.round(distance * 10) / 10,
+      fee: band.fee,
+      eta: band.eta,
+      minOrder: zone.minOrder || 0
+    };
+  }
+
+  /**
+   * Check that an order can be delivered to a pin code
+   * @param {string} pincode - 6-digit pin code
+   * @param {number|null} subtotal - Item total, checked against the zone's
+   *   minimum order (left out to check only the address)
+   * @returns {{valid: boolean, quote: Object, shortBy: number, message: string}}
+   */
+  check(pincode, subtotal = null) {
+    const quote = this.quote(pincode);
+    if (!quote.serviceable) {
+      return { valid: false, quote, shortBy: 0, message: quote.message };
+    }
+
+    const shortBy = subtotal === null ? 0 : roundMoney(quote.minOrder - subtotal);
+    if (shortBy > 0) {
+      return {
+        valid: false,
+        quote,
+        shortBy,
+        message: `Add ₹${shortBy} more for delivery to ${quote.zone.name} (minimum order ₹${quote.minOrder})`
+      };
+    }
+    return { valid: true, quote, shortBy: 0, message: '' };
+  }
+
+  // What an order records about where it comes from
+  toDelivery(quote) {
+    return {
+      branch: quote.branch,
+      zone: quote.zone,
+      distanceKm: quote.distanceKm,
+      fee: quote.fee,
+      eta: quote.eta
+    };
+  }
+
+  inZone(zone, pincode, location) {
+    if (Array.isArray(zone.pincodes) && zone.pincodes.includes(pincode)) return true;
+    return Boolean(location && Array.isArray(zone.polygon) && pointInPolygon(location, zone.polygon));
+  }
+}
+
+
+// ========================================
+// QR CODES
+// ========================================
+
+// Error correction blocks for QR versions 1-10, per level: [EC codewords
+// per block, [blocks, data codewords per block], ...]
+const QR_BLOCKS = {
+  L: [[7, [1, 19]], [10, [1, 34]], [15, [1, 55]], [20, [1, 80]], [26, [1, 108]],
+    [18, [2, 68]], [20, [2, 78]], [24, [2, 97]], [30, [2, 116]], [18, [2, 68], [2, 69]]],
+  M: [[10, [1, 16]], [16, [1, 28]], [26, [1, 44]], [18, [2, 32]], [24, [2, 43]],
+    [16, [4, 27]], [18, [4, 31]], [22, [2, 38], [2, 39]], [22, [3, 36], [2, 37]], [26, [4, 43], [1, 44]]]
+};
+
+// Alignment pattern centres for versions 1-10
+const QR_ALIGNMENT = [[], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+/**
+ * QR code for a short text such as a UPI payment link, made in the browser
+ * so it works offline. Byte mode, versions 1-10 (up to 213 bytes at level M).
+ */
+class QrCode {
+  /**
+   * @param {string} text - Text to encode (UTF-8)
+   * @param {string} level - Error correction level, L or M
+   */
+  constructor(text, level = 'M') {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const blocks = QR_BLOCKS[level];
+    if (!blocks) {
+      throw new Error(`Unsupported QR error correction level: ${level}`);
+    }
+
+    const dataCapacity = version => blocks[version - 1].slice(1).reduce((sum, [count, size]) => sum + count * size, 0);
+    const bitsNeeded = version => 4 + (version < 10 ? 8 : 16) + bytes.length * 8;
+    this.version = blocks.findIndex((block, index) => bitsNeeded(index + 1) <= dataCapacity(index + 1) * 8) + 1;
+    if (this.version === 0) {
+      throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    this.level = level;
+    this.size = this.version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this.drawFunctionPatterns();
+    const codewords = this.addErrorCorrection(this.encodeData(bytes, dataCapacity(this.version)));
+    this.drawCodewords(codewords);
+    this.applyBestMask();
+  }
+
+  // Mode, length, the bytes and padding, as data codewords
+  encodeData(bytes, capacity) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4);
+    push(bytes.length, this.version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  }
+
+  // Split the data into blocks, add Reed-Solomon codewords to each and interleave
+  addErrorCorrection(data) {
+    const [ecLength, ...groups] = QR_BLOCKS[this.level][this.version - 1];
+    const divisor = QrCode.reedSolomonDivisor(ecLength);
+    const dataBlocks = [];
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+      for (let i = 0; i < count; i++) {
+        dataBlocks.push(data.slice(offset, offset + size));
+        offset += size;
+      }
+    });
+    const ecBlocks = dataBlocks.map(block => QrCode.reedSolomonRemainder(block, divisor));
+
+    const interleave = blockList => {
+      const result = [];
+      const longest = Math.max(...blockList.map(block => block.length));
+      for (let i = 0; i < longest; i++) {
+        blockList.forEach(block => {
+          if (i < block.length) result.push(block[i]);
+        });
+      }
+      return result;
+    };
+    return interleave(dataBlocks).concat(interleave(ecBlocks));
+  }
+
+  // Finder, timing and alignment patterns, and room for format and version bits
+  drawFunctionPatterns() {
+    const last = this.size - 1;
+
+    for (let i = 0; i < this.size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [3, last - 3], [last - 3, 3]].forEach(([row, col]) => {
+      for (let dr = -4; dr <= 4; dr++) {
+        for (let dc = -4; dc <= 4; dc++) {
+          const distance = Math.max(Math.abs(dr), Math.abs(dc));
+          if (row + dr >= 0 && row + dr < this.size && col + dc >= 0 && col + dc < this.size) {
+            this.setFunction(row + dr, col + dc, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    const centres = QR_ALIGNMENT[this.version - 1];
+    const lastCentre = centres.length - 1;
+    centres.forEach((row, i) => centres.forEach((col, j) => {
+      // Skip the three corners taken by finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === lastCentre) || (i === lastCentre && j === 0)) return;
+      for (let dr = -2; dr <= 2; dr++) {
+        for (let dc = -2; dc <= 2; dc++) {
+          this.setFunction(row + dr, col + dc, Math.max(Math.abs(dr), Math.abs(dc)) !== 1);
+        }
+      }
+    }));
+
+    this.drawFormatBits(0);
+    if (this.version >= 7) {
+      let remainder = this.version;
+      for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+      const bits = (this.version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = last - 10 + i % 3;
+        const b = Math.floor(i / 3);
+        this.setFunction(a, b, dark);
+        this.setFunction(b, a, dark);
+      }
+    }
+  }
+
+  // Error correction level and mask, twice, plus the dark module
+  drawFormatBits(mask) {
+    const data = ({ L: 1, M: 0 }[this.level] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    const last = this.size - 1;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(i, 8, bit(i));
+    this.setFunction(7, 8, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(8, 7, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(8, 14 - i, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(8, last - i, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(last - 14 + i, 8, bit(i));
+    this.setFunction(last - 7, 8, true);
+  }
+
+  // Fill the free modules in the zig-zag order, two columns at a time from the right
+  drawCodewords(codewords) {
+    let index = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let step = 0; step < this.size; step++) {
+        const row = upward ? this.size - 1 - step : step;
+        for (let col = right; col > right - 2; col--) {
+          if (!this.reserved[row][col] && index < codewords.length * 8) {
+            this.modules[row][col] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+            index++;
+          }
+        }
+      }
+    }
+  }
+
+  // Try the eight masks and keep the one that is easiest to scan
+  applyBestMask() {
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+      this.toggleMask(mask);
+      this.drawFormatBits(mask);
+      const penalty = this.getPenalty();
+      if (!best || penalty < best.penalty) best = { mask, penalty };
+      this.toggleMask(mask);
+    }
+    this.toggleMask(best.mask);
+    this.drawFormatBits(best.mask);
+    this.mask = best.mask;
+  }
+
+  toggleMask(mask) {
+    const conditions = [
+      (row, col) => (row + col) % 2 === 0,
+      row => row % 2 === 0,
+      (row, col) => col % 3 === 0,
+      (row, col) => (row + col) % 3 === 0,
+      (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+      (row, col) => (row * col) % 2 + (row * col) % 3 === 0,
+      (row, col) => ((row * col) % 2 + (row * col) % 3) % 2 === 0,
+      (row, col) => ((row + col) % 2 + (row * col) % 3) % 2 === 0
+    ];
+    for (let row = 0; row < this.size; row++) {
+      for (let col = 0; col < this.size; col++) {
+        if (!this.reserved[row][col] && conditions[mask](row, col)) {
+          this.modules[row][col] = !this.modules[row][col];
+        }
+      }
+    }
+  }
+
+  // Penalty score from the QR specification: long runs, 2x2 blocks,
+  // finder-like patterns and an unbalanced share of dark modules
+  getPenalty() {
+    const lines = [];
+    for (let i = 0; i < this.size; i++) {
+      lines.push(this.modules[i]);
+      lines.push(this.modules.map(row => row[i]));
+    }
+
+    let penalty = 0;
+    const finderLike = ['10111010000', '00001011101'];
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      finderLike.forEach(pattern => {
+        for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) penalty += 40;
+      });
+    });
+
+    let dark = 0;
+    for (let row = 0; row < this.size; row++) {
+      for (let col = 0; col < this.size; col++) {
+        const module = this.modules[row][col];
+        if (module) dark++;
+        if (row < this.size - 1 && col < this.size - 1 && module === this.modules[row][col + 1] &&
+          module === this.modules[row + 1][col] && module === this.modules[row + 1][col + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+    const total = this.size * this.size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+  }
+
+  setFunction(row, col, dark) {
+    this.modules[row][col] = dark;
+    this.reserved[row][col] = true;
+  }
+
+  isDark(row, col) {
+    return this.modules[row][col];
+  }
+
+  /**
+   * Draw the code as an SVG image
+   * @param {Object} options - {scale: pixels per module, margin: quiet zone
+   *   in modules, label: accessible name}
+   * @returns {string} SVG markup
+   */
+  toSvg({ scale = 4, margin = 4, label = 'QR code' } = {}) {
+    const dimension = this.size + margin * 2;
+    let path = '';
+    for (let row = 0; row < this.size; row++) {
+      for (let col = 0; col < this.size; col++) {
+        if (this.modules[row][col]) path += `M${col + margin} ${row + margin}h1v1h-1z`;
+      }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${dimension * scale}" height="${dimension * scale}" role="img" aria-label="${sanitizeInput(label)}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  // Multiply in GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+  static multiply(a, b) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+      product = (product << 1) ^ ((product >>> 7) * 0x11D);
+      product ^= ((b >>> i) & 1) * a;
+    }
+    return product;
+  }
+
+  static reedSolomonDivisor(degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        divisor[j] = QrCode.multiply(divisor[j], root);
+        if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+      }
+      root = QrCode.multiply(root, 0x02);
+    }
+    return divisor;
+  }
+
+  static reedSolomonRemainder(data, divisor) {
+    const remainder = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ remainder.shift();
+      remainder.push(0);
+      divisor.forEach((coefficient, i) => {
+        remainder[i] ^= QrCode.multiply(coefficient, factor);
+      });
+    });
+    return remainder;
+  }
+}
+
+
+// ========================================
+// PAYMENTS
+// ========================================
+
+// Card networks we accept, told apart by their number prefix
+const CARD_NETWORKS = [
+  { id: 'amex', name: 'American Express', pattern: /^3[47]/, lengths: [15], cvvLength: 4 },
+  { id: 'diners', name: 'Diners Club', pattern: /^3(0[0-5]|[689])/, lengths: [14, 16], cvvLength: 3 },
+  { id: 'rupay', name: 'RuPay', pattern: /^(508|60|65|81|82)/, lengths: [16], cvvLength: 3 },
+  { id: 'visa', name: 'Visa', pattern: /^4/, lengths: [13, 16, 19], cvvLength: 3 },
+  { id: 'mastercard', name: 'Mastercard', pattern: /^(5[1-5]|222[1-9]|22[3-9]|2[3-6]|27[01]|2720)/, lengths: [16], cvvLength: 3 }
+];
+
+// Card number, expiry and CVV checks for the checkout form. Full card
+// numbers only go to the payment gateway; everything kept shows the last
+// four digits.
+class CardValidator {
+  static normalize(number) {
+    return String(number || '').replace(/\D/g, '');
+  }
+
+  // Luhn (mod 10) checksum that every card number carries
+  static luhn(number) {
+    const digits = CardValidator.normalize(number);
+    if (!digits) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  static detectNetwork(number) {
+    const digits = CardValidator.normalize(number);
+    return CARD_NETWORKS.find(network => network.pattern.test(digits)) || null;
+  }
+
+  // "4111 1111 1111 1111", or 4-6-5 groups for American Express
+  static format(number) {
+    const digits = CardValidator.normalize(number).slice(0, 19);
+    const network = CardValidator.detectNetwork(digits);
+    const groups = network && network.id === 'amex' ? [4, 6, 5] : [4, 4, 4, 4, 3];
+    const parts = [];
+    let offset = 0;
+    groups.forEach(length => {
+      if (offset < digits.length) parts.push(digits.slice(offset, offset + length));
+      offset += length;
+    });
+    return parts.join(' ');
+  }
+
+  // "•••• 1111"
+  static mask(last4) {
+    return `•••• ${last4}`;
+  }
+
+  /**
+   * Read an expiry date typed as MM/YY or MM/YYYY
+   * @returns {{month: number, year: number}|null}
+   */
+  static parseExpiry(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/);
+    if (!match) return null;
+
+    const month = Number(match[1]);
+    const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+    return month >= 1 && month <= 12 ? { month, year } : null;
+  }
+
+  /**
+   * Check card details before they are sent to the gateway
+   * @param {Object} card - {number, name, expiry, cvv} as typed
+   * @param {Date} now - Cards are valid until the end of their expiry month
+   * @returns {{valid: boolean, errors: Object, network: Object|null, last4: string}}
+   *   errors holds a message per field (number, name, expiry, cvv)
+   */
+  static validate({ number = '', name = '', expiry = '', cvv = '' }, now = new Date()) {
+    const digits = CardValidator.normalize(number);
+    const network = CardValidator.detectNetwork(digits);
+    const errors = {};
+
+    if (!digits) {
+      errors.number = 'Please enter your card number';
+    } else if (!network) {
+      errors.number = `We accept ${CARD_NETWORKS.map(card => card.name).join(', ')} cards`;
+    } else if (!network.lengths.includes(digits.length)) {
+      const lengths = network.lengths.join(', ').replace(/, (\d+)$/, ' or $1');
+      errors.number = `${network.name} card numbers have ${lengths} digits`;
+    } else if (!CardValidator.luhn(digits)) {
+      errors.number = 'This card number is not valid. Please check it.';
+    }
+
+    if (!String(name).trim()) {
+      errors.name = 'Please enter the name on the card';
+    }
+
+    const date = CardValidator.parseExpiry(expiry);
+    if (!date) {
+      errors.expiry = 'Please enter the expiry date as MM/YY';
+    } else if (date.year * 12 + date.month < now.getFullYear() * 12 + now.getMonth() + 1) {
+      errors.expiry = 'This card has expired';
+    } else if (date.year > now.getFullYear() + 20) {
+      errors.expiry = 'Please check the expiry year';
+    }
+
+    const cvvLength = network ? network.cvvLength : 3;
+    if (!new RegExp(`^\\d{${cvvLength}}$`).test(String(cvv).trim())) {
+      errors.cvv = `The CVV is the ${cvvLength} digits on the ${cvvLength === 4 ? 'front' : 'back'} of your card`;
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors, network, last4: digits.slice(-4) };
+  }
+}
+
+/**
+ * upi://pay intent link for a payment, which UPI apps open directly or read
+ * from a QR code
+ * @param {Object} details - {payeeVpa, payeeName, amount, transactionRef, note}
+ * @returns {string} The link
+ */
+function buildUpiLink({ payeeVpa, payeeName, amount, transactionRef, note }) {
+  const params = [
+    ['pa', payeeVpa],
+    ['pn', payeeName],
+    ['tr', transactionRef],
+    ['tn', note],
+    ['am', Number(amount).toFixed(2)],
+    ['cu', 'INR']
+  ];
+  return `upi://pay?${params
+    .filter(([, value]) => value)
+    // UPI apps expect the @ in a VPA as is
+    .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+    .join('&')}`;
+}
+
+// Payment failures with a message to show the customer
+class PaymentError extends Error {
+  /**
+   * @param {string} type - declined, timeout, cancelled or unavailable
+   * @param {string} message - Technical message for logs
+   * @param {Object} options - {userMessage, payment}: the gateway's record
+   *   of the payment, when there is one
+   */
+  constructor(type, message, { userMessage = null, payment = null } = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.type = type;
+    this.payment = payment;
+    this.userMessage = userMessage || PaymentError.defaultMessage(type);
+  }
+
+  static defaultMessage(type) {
+    const messages = {
+      declined: 'Your payment was declined. Please try another card or payment method.',
+      timeout: 'We could not confirm your payment in time. If your bank shows a charge, please contact us before paying again.',
+      cancelled: 'Payment cancelled. Your order has not been placed.',
+      unavailable: 'Payments are unavailable right now. Please try again shortly or choose Cash on Delivery.'
+    };
+    return messages[type] || messages.unavailable;
+  }
+}
+
+// Test cards and UPI IDs that ask the mock gateway for a particular outcome
+const MOCK_PAYMENT_OUTCOMES = {
+  '4111111111111111': 'success',
+  '4000000000000002': 'failure',
+  '4000000000003220': 'pending',
+  '4000000000000119': 'timeout',
+  'success@upi': 'success',
+  'failure@upi': 'failure',
+  'timeout@upi': 'timeout'
+};
+
+/**
+ * In-browser stand-in for a payment gateway. Any gateway can be used in its
+ * place if it has the same four methods:
+ *
+ * - createPayment(request, idempotencyKey) starts a payment for
+ *   {amount, currency, method, reference, card: {number, network, last4,
+ *   expiry}, upiId}
+ * - getPayment(id) reports on it
+ * - cancelPayment(id) stops a pending payment from going through
+ * - refundPayment(id) gives the money back
+ *
+ * Each resolves to the payment: {id, status, method, amount, reference,
+ * last4, network, failureReason}, where status is succeeded, failed,
+ * pending (waiting for the customer's bank or UPI app), cancelled or
+ * refunded.
+ *
+ * The outcome follows `outcome` (success, failure, pending or timeout) unless
+ * a test card or UPI ID asks for another one (MOCK_PAYMENT_OUTCOMES). Pending
+ * payments settle after `pendingMs`; timeouts never answer.
+ */
+class MockPaymentGateway {
+  constructor({ latency = 800, outcome = 'success', pendingMs = 8000, pendingOutcome = 'success' } = {}) {
+    this.latency = latency;
+    this.outcome = outcome;
+    this.pendingMs = pendingMs;
+    this.pendingOutcome = pendingOutcome;
+    this.payments = this.loadPayments();
+  }
+
+  loadPayments() {
+    try {
+      const paymentData = localStorage.getItem('rex-mock-payments');
+      return paymentData ? JSON.parse(paymentData) : {};
+    } catch (error) {
+      console.error('Error loading mock payments:', error);
+      return {};
+    }
+  }
+
+  savePayments() {
+    try {
+      localStorage.setItem('rex-mock-payments', JSON.stringify(this.payments));
+    } catch (error) {
+      console.error('Error saving mock payments:', error);
+    }
+  }
+
+  // Read, change and save the payments in one synchronous step, so payments
+  // made or refunded in other tabs are seen and kept
+  updatePayments(update) {
+    this.payments = this.loadPayments();
+    const result = update(this.payments);
+    this.savePayments();
+    return result;
+  }
+
+  async createPayment(request, idempotencyKey = null) {
+    await wait(this.latency);
+
+    this.payments = this.loadPayments();
+    const existing = idempotencyKey && Object.values(this.payments).find(payment => payment.idempotencyKey === idempotencyKey);
+    if (existing) return this.getPayment(existing.id);
+
+    const outcome = this.getOutcome(request);
+    if (outcome === 'timeout') {
+      // Like a gateway that never answers: the caller has to give up
+      return new Promise(() => {});
+    }
+
+    const payment = {
+      id: `pay_${Date.now()}${Math.random().toString(36).substr(2, 6)}`,
+      idempotencyKey,
+      method: request.method,
+      amount: request.amount,
+      currency: request.currency || 'INR',
+      reference: request.reference,
+      last4: request.card ? request.card.last4 : null,
+      network: request.card ? request.card.network : null,
+      upiId: request.upiId || null,
+      createdAt: new Date().toISOString(),
+      status: 'pending',
+      failureReason: null
+    };
+
+    // UPI always waits for the customer to approve in their app
+    if (outcome === 'pending' || request.method === 'upi') {
+      payment.settlesAt = new Date(Date.now() + this.pendingMs).toISOString();
+      payment.settlesAs = outcome === 'failure' ? 'failure' : this.pendingOutcome;
+    } else {
+      this.settle(payment, outcome);
+    }
+
+    this.updatePayments(payments => {
+      payments[payment.id] = payment;
+    });
+    return this.toResponse(payment);
+  }
+
+  async getPayment(id) {
+    await wait(Math.min(this.latency, 200));
+    const payment = this.updatePayments(payments => {
+      const stored = payments[id];
+      if (stored && stored.status === 'pending' && Date.now() >= Date.parse(stored.settlesAt)) {
+        this.settle(stored, stored.settlesAs);
+      }
+      return stored;
+    });
+    if (!payment) {
+      throw new PaymentError('unavailable', `Unknown payment ${id}`);
+    }
+    return this.toResponse(payment);
+  }
+
+  async cancelPayment(id) {
+    // Settles first if it is due, as the customer may just have paid
+    await this.getPayment(id);
+    const payment = this.updatePayments(payments => {
+      if (payments[id].status === 'pending') {
+        payments[id].status = 'cancelled';
+        payments[id].settledAt = new Date().toISOString();
+      }
+      return payments[id];
+    });
+    return this.toResponse(payment);
+  }
+
+  async refundPayment(id) {
+    await wait(this.latency);
+    const payment = this.updatePayments(payments => {
+      const stored = payments[id];
+      if (!stored || stored.status !== 'succeeded') {
+        return null;
+      }
+      stored.status = 'refunded';
+      stored.refundedAt = new Date().toISOString();
+      return stored;
+    });
+    if (!payment) {
+      throw new PaymentError('unavailable', `Payment ${id} cannot be refunded`);
+    }
+    return this.toResponse(payment);
+  }
+
+  settle(payment, outcome) {
+    payment.status = outcome === 'failure' ? 'failed' : 'succeeded';
+    payment.failureReason = outcome === 'failure' ? 'Declined by the bank' : null;
+    payment.settledAt = new Date().toISOString();
+  }
+
+  getOutcome(request) {
+    const testOutcome = request.method === 'card'
+      ? MOCK_PAYMENT_OUTCOMES[CardValidator.normalize(request.card && request.card.number)]
+      : MOCK_PAYMENT_OUTCOMES[String(request.upiId || '').toLowerCase()];
+    return testOutcome || this.outcome;
+  }
+
+  // What a gateway shares about a payment (never the card number)
+  toResponse(payment) {
+    const response = { ...payment };
+    ['idempotencyKey', 'settlesAt', 'settlesAs'].forEach(key => delete response[key]);
+    return response;
+  }
+}
+
+/**
+ * Takes a payment through whichever gateway is configured: starts it, waits
+ * while the bank or UPI app confirms it, and turns every way it can go wrong
+ * into a PaymentError
+ */
+class PaymentProcessor {
+  constructor(gateway, { timeout = 15000, pollInterval = 2000, pendingTimeout = 5 * 60 * 1000, payee = {} } = {}) {
+    this.gateway = gateway;
+    this.timeout = timeout;
+    this.pollInterval = pollInterval;
+    this.pendingTimeout = pendingTimeout;
+    this.payee = { vpa: 'rexfood@okhdfcbank', name: 'REX Food Delivery', ...payee };
+  }
+
+  /**
+   * Take a payment
+   * @param {Object} request - {amount, method: card or upi, reference,
+   *   card: {number, name, expiry, cvv}, upiId}
+   * @param {Object} options - {idempotencyKey, signal: AbortSignal to stop
+   *   waiting, onPending(payment): called once if the payment has to be
+   *   approved in the customer's bank or UPI app}
+   * @returns {Promise<Object>} The succeeded payment
+   * @throws {PaymentError}
+   */
+  async pay(request, { idempotencyKey = null, signal = null, onPending = null } = {}) {
+    const gatewayRequest = {
+      amount: request.amount,
+      currency: 'INR',
+      method: request.method,
+      reference: request.reference,
+      upiId: request.upiId || null
+    };
+    if (request.method === 'card') {
+      const check = CardValidator.validate(request.card || {});
+      if (!check.valid) {
+        throw new PaymentError('declined', 'Invalid card details', { userMessage: Object.values(check.errors)[0] });
+      }
+      gatewayRequest.card = {
+        number: CardValidator.normalize(request.card.number),
+        expiry: request.card.expiry,
+        network: check.network.id,
+        last4: check.last4
+      };
+    }
+
+    let payment = await this.call(() => this.gateway.createPayment(gatewayRequest, idempotencyKey));
+    if (payment.status === 'pending') {
+      if (onPending) onPending(payment);
+      payment = await this.waitForPayment(payment, signal);
+    }
+
+    if (payment.status !== 'succeeded') {
+      throw new PaymentError('declined', `Payment ${payment.id} ${payment.status}`, { payment });
+    }
+    return payment;
+  }
+
+  // Ask the gateway until the payment is settled, cancelled or too old
+  async waitForPayment(payment, signal) {
+    const giveUpAt = Date.now() + this.pendingTimeout;
+    let current = payment;
+
+    while (current.status === 'pending') {
+      const reason = signal && signal.aborted ? 'cancelled' : (Date.now() >= giveUpAt ? 'timeout' : null);
+      if (reason) {
+        // Make sure it cannot go through after we stop waiting
+        const final = await this.call(() => this.gateway.cancelPayment(payment.id)).catch(() => current);
+        if (final.status === 'succeeded') return final;
+        throw new PaymentError(reason, `Payment ${payment.id} not completed (${reason})`, { payment: final });
+      }
+      await wait(this.pollInterval);
+      current = await this.call(() => this.gateway.getPayment(payment.id));
+    }
+    return current;
+  }
+
+  refund(payment) {
+    return this.call(() => this.gateway.refundPayment(payment.id));
+  }
+
+  // UPI intent link for a payment, to open in a UPI app or show as a QR code
+  getUpiLink(amount, reference) {
+    return buildUpiLink({
+      payeeVpa: this.payee.vpa,
+      payeeName: this.payee.name,
+      amount,
+      transactionRef: reference,
+      note: `REX order ${reference}`
+    });
+  }
+
+  // One gateway request, given up on after `timeout`
+  async call(request) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new PaymentError('timeout', 'Payment gateway timed out')), this.timeout);
+    });
+
+    try {
+      return await Promise.race([request(), timeout]);
+    } catch (error) {
+      if (error instanceof PaymentError) throw error;
+      throw new PaymentError('unavailable', error.message || 'Payment gateway error');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Create the payment processor from window.REX_PAYMENT_CONFIG ({timeout,
+ * pollInterval, pendingTimeout, payee: {vpa, name}, gateway, mockOptions});
+ * the mock gateway is used unless another `gateway` is given
+ * @param {Object} config - Overrides for window.REX_PAYMENT_CONFIG
+ */
+function createPaymentProcessor(config = {}) {
+  const settings = {
+    ...(typeof window !== 'undefined' && window.REX_PAYMENT_CONFIG ? window.REX_PAYMENT_CONFIG : {}),
+    ...config
+  };
+  return new PaymentProcessor(settings.gateway || new MockPaymentGateway(settings.mockOptions), settings);
+}
+
+
+// ========================================
+// PDF DOCUMENTS
+// ========================================
+
+// Widths of the printable ASCII characters (space to ~), in 1/1000 of the
+// font size, for the Helvetica fonts built into every PDF reader
+const PDF_FONT_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Characters beyond Latin-1 that the fonts' WinAnsi encoding has, with their widths
+const PDF_WIN_ANSI = {
+  '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333], '”': [0x94, 333],
+  '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000], '…': [0x85, 1000]
+};
+
+// A minimal PDF writer: text in Helvetica, lines and filled boxes on A4
+// pages, which is all receipts need. Positions are in points from the top
+// left corner of the page.
+class PdfDocument {
+  constructor({ width = 595.28, height = 841.89, title = '' } = {}) {
+    this.width = width;
+    this.height = height;
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+  }
+
+  /**
+   * Write a line of text
+   * @param {string} text - Text to write; characters the fonts lack become ?
+   * @param {number} x - Left edge (or right edge or centre, see align)
+   * @param {number} y - Baseline
+   * @param {Object} options - {size, bold, align: left, right or center, color: [r, g, b] from 0 to 1}
+   */
+  text(text, x, y, { size = 10, bold = false, align = 'left', color = [0, 0, 0] } = {}) {
+    const value = this.encode(text);
+    const width = this.measure(value, size, bold);
+    const left = align === 'right' ? x - width : (align === 'center' ? x - width / 2 : x);
+    const escaped = value.replace(/[\\()]/g, match => `\\${match}`);
+
+    this.page.push(`BT ${this.color(color)} rg /${bold ? 'F2' : 'F1'} ${this.number(size)} Tf ` +
+      `${this.number(left)} ${this.number(this.height - y)} Td (${escaped}) Tj ET`);
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+    this.page.push(`${this.number(width)} w ${this.color(color)} RG ${this.number(x1)} ${this.number(this.height - y1)} m ` +
+      `${this.number(x2)} ${this.number(this.height - y2)} l S`);
+  }
+
+  // A filled box with its top left corner at x, y
+  rect(x, y, width, height, { fill = [0.9, 0.9, 0.9] } = {}) {
+    this.page.push(`${this.color(fill)} rg ${this.number(x)} ${this.number(this.height - y - height)} ` +
+      `${this.number(width)} ${this.number(height)} re f`);
+  }
+
+  textWidth(text, size = 10, bold = false) {
+    return this.measure(this.encode(text), size, bold);
+  }
+
+  // Break text into lines no wider than maxWidth, at spaces where possible
+  wrap(text, maxWidth, { size = 10, bold = false } = {}) {
+    const lines = [];
+    String(text || '').split('\n').forEach(paragraph => {
+      let current = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (!current || this.textWidth(candidate, size, bold) <= maxWidth) {
+          current = candidate;
+          return;
+        }
+        lines.push(current);
+        current = word;
+      });
+      lines.push(current);
+    });
+    return lines;
+  }
+
+  // Map text to the fonts' single-byte WinAnsi encoding
+  encode(text) {
+    return Array.from(String(text === null || text === undefined ? '' : text).replace(/₹/g, 'Rs.').replace(/[\r\n\t]+/g, ' '))
+      .map(char => {
+        const code = char.charCodeAt(0);
+        if (PDF_WIN_ANSI[char]) return String.fromCharCode(PDF_WIN_ANSI[char][0]);
+        if (char.length === 1 && ((code >= 32 && code <= 126) || (code >= 160 && code <= 255))) return char;
+        return '?';
+      })
+      .join('');
+  }
+
+  measure(value, size, bold) {
+    const widths = bold ? PDF_FONT_WIDTHS.bold : PDF_FONT_WIDTHS.regular;
+    const special = {};
+    Object.keys(PDF_WIN_ANSI).forEach(char => {
+      special[PDF_WIN_ANSI[char][0]] = PDF_WIN_ANSI[char][1];
+    });
+
+    return value.split('').reduce((sum, char) => {
+      const code = char.charCodeAt(0);
+      const width = code >= 32 && code <= 126 ? widths[code - 32] : (special[code] || 556);
+      return sum + width * size / 1000;
+    }, 0);
+  }
+
+  number(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  color(rgb) {
+    return rgb.map(channel => this.number(channel)).join(' ');
+  }
+
+  /**
+   * The finished file
+   * @returns {Uint8Array} PDF bytes, ready for downloadFile()
+   */
+  toBytes() {
+    const objects = [];
+    // Objects are numbered from 1 in the order they are added
+    const add = body => objects.push(body);
+
+    const catalog = add('');
+    const pages = add('');
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const info = add(`<< /Title (${this.encode(this.title).replace(/[\\()]/g, match => `\\${match}`)}) /Producer (REX Food Delivery) >>`);
+
+    const kids = this.pages.map(content => {
+      const stream = content.join('\n');
+      const contents = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return add(`<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${this.number(this.width)} ${this.number(this.height)}] ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${contents} 0 R >>`);
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R >>`;
+    objects[pages - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    // Every character is a single byte, so string offsets are byte offsets
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Uint8Array.from(output, char => char.charCodeAt(0));
+  }
+}
+
+
+// ========================================
+// INVOICES
+// ========================================
+
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// A GSTIN is a 2-digit state code, the holder's PAN, an entity number, Z
+// and a check character
+function validateGstin(gstin) {
+  const value = String(gstin || '').trim().toUpperCase();
+  if (!/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(value)) return false;
+
+  const sum = value.slice(0, 14).split('').reduce((total, char, index) => {
+    const product = GSTIN_CHARS.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + product % 36;
+  }, 0);
+  return GSTIN_CHARS[(36 - sum % 36) % 36] === value[14];
+}
+
+// "Rupees Two Thousand Five Hundred Only", counting in lakhs and crores
+function amountInWords(amount) {
+  const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+  const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+  const belowHundred = n => (n < 20 ? ones[n] : `${tens[Math.floor(n / 10)]}${n % 10 ? ` ${ones[n % 10]}` : ''}`);
+  const words = n => {
+    if (n === 0) return 'Zero';
+    const parts = [];
+    [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand'], [100, 'Hundred']].forEach(([unit, name]) => {
+      if (n >= unit) {
+        parts.push(`${words(Math.floor(n / unit))} ${name}`);
+        n %= unit;
+      }
+    });
+    if (n > 0) parts.push(belowHundred(n));
+    return parts.join(' ');
+  };
+
+  const paise = Math.round(Math.abs(amount) * 100);
+  const rupees = Math.floor(paise / 100);
+  return `Rupees ${words(rupees)}${paise % 100 ? ` and ${words(paise % 100)} Paise` : ''} Only`;
+}
+
+// 1,234.50 (invoice tables give amounts in rupees without the symbol)
+function formatAmount(amount) {
+  return new Intl.NumberFormat('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount);
+}
+
+// Who issues our tax invoices, from invoicing.json: the company, its GST
+// registration in each state, the address of each branch and the SAC code
+// for our service. The mock server numbers invoices with it when it
+// accepts an order.
+class Invoicing {
+  constructor(source = 'assets/data/invoicing.json') {
+    this.source = source;
+    this.seller = {};
+    this.sac = null;
+    this.registrations = {};
+    this.branches = {};
+    this.stateCodes = {};
+    this.loaded = false;
+    this.loadPromise = null;
+  }
+
+  // Load the invoice details from the JSON file (only fetched once)
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.source)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Invoicing request failed with status ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => this.setData(data))
+        .catch(error => {
+          console.error('Error loading invoicing details:', error);
+          return this;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  setData(data) {
+    this.seller = data.seller || {};
+    this.sac = data.sac || null;
+    this.registrations = data.registrations || {};
+    this.branches = data.branches || {};
+    this.stateCodes = data.stateCodes || {};
+    this.loaded = true;
+    return this;
+  }
+
+  // GST state code for a state name, whatever its case
+  getStateCode(state) {
+    const name = Object.keys(this.stateCodes)
+      .find(candidate => candidate.toLowerCase() === String(state || '').trim().toLowerCase());
+    return name ? this.stateCodes[name] : null;
+  }
+
+  getStateName(code) {
+    return Object.keys(this.stateCodes).find(name => this.stateCodes[name] === code) || null;
+  }
+
+  // Indian financial years run April to March: "26-27" from April 2026
+  financialYear(date) {
+    // Invoices are dated in India time
+    const local = new Date(date.getTime() + 330 * 60 * 1000);
+    const start = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+    return `${String(start % 100).padStart(2, '0')}-${String((start + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Issue the tax invoice for an accepted order
+   * @param {Object} order - Order payload: {customer: {name, company,
+   *   gstin}, address, state}
+   * @param {Object} delivery - Which branch delivers (see DeliveryZones#toDelivery)
+   * @param {Date} date - When the order was accepted
+   * @param {Function} nextNumber - (series) => the next number in that
+   *   series; each GST registration numbers its invoices from 1 every
+   *   financial year
+   * @returns {Object|null} {number, issuedAt, seller, buyer, placeOfSupply,
+   *   sac}, or null when the branch has no GST registration on file
+   */
+  issue(order, delivery, date, nextNumber) {
+    const branch = delivery && this.branches[delivery.branch.id];
+    const gstin = branch && this.registrations[branch.state];
+    if (!gstin) return null;
+
+    const customer = order.customer || {};
+    const buyerGstin = validateGstin(customer.gstin) ? customer.gstin.trim().toUpperCase() : '';
+    const sellerCode = gstin.slice(0, 2);
+
+    // Supplies to a registered business are taxed where the business is
+    // registered, others where the food is delivered
+    const placeOfSupplyCode = buyerGstin ? buyerGstin.slice(0, 2) : (this.getStateCode(order.state) || sellerCode);
+    const series = `${sellerCode}/${this.financialYear(date)}`;
+
+    return {
+      number: `${series}/${String(nextNumber(series)).padStart(6, '0')}`,
+      issuedAt: date.toISOString(),
+      seller: {
+        legalName: this.seller.legalName || '',
+        tradeName: this.seller.tradeName || '',
+        email: this.seller.email || '',
+        branch: delivery.branch.name,
+        address: branch.address,
+        state: branch.state,
+        stateCode: sellerCode,
+        gstin
+      },
+      buyer: {
+        name: customer.name || '',
+        company: customer.company || '',
+        gstin: buyerGstin,
+        address: order.address || '',
+        state: order.state || ''
+      },
+      placeOfSupply: {
+        state: this.getStateName(placeOfSupplyCode) || order.state || '',
+        stateCode: placeOfSupplyCode
+      },
+      sac: this.sac
+    };
+  }
+}
+
+/**
+ * Put together the invoice for a placed order: lines, GST by rate and
+ * totals, for renderInvoice() and invoiceToPdf(). Orders placed before
+ * invoices were issued get a plain receipt.
+ * @param {Object} order - From OrderHistory, with its bill
+ * @returns {Object} {title, number, issuedAt, orderId, placedAt, status,
+ *   seller, buyer, placeOfSupply, interState, taxHeads, sac, lines,
+ *   taxes, totals, amountInWords, payment}; each of the taxes is split
+ *   into parts, one per tax head
+ */
+function buildInvoice(order) {
+  const issued = order.invoice || null;
+  const bill = order.bill;
+  const interState = Boolean(issued && issued.placeOfSupply.stateCode !== issued.seller.stateCode);
+
+  const lines = bill.lines.map(line => {
+    const modifiers = (line.modifiers || [])
+      .map(modifier => (modifier.type === 'multi' ? `+ ${modifier.name}` : modifier.name))
+      .join(', ');
+    return {
+      description: modifiers ? `${line.name} (${modifiers})` : line.name,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      amount: line.amount,
+      discount: line.discount || 0,
+      taxable: roundMoney(line.amount - (line.discount || 0)),
+      gstRate: line.gstRate
+    };
+  });
+
+  // Packaging is taxed with the food it wraps, so it gets a line per rate
+  // (capped packaging is spread back over the lines, as in the bill)
+  const rawPackaging = bill.lines.reduce((sum, line) => sum + line.packaging, 0);
+  const packagingByRate = {};
+  bill.lines.forEach(line => {
+    if (line.packaging > 0) {
+      packagingByRate[line.gstRate] = (packagingByRate[line.gstRate] || 0) + line.packaging * bill.packaging / rawPackaging;
+    }
+  });
+  let packagingLeft = bill.packaging;
+  Object.keys(packagingByRate).map(Number).sort((a, b) => a - b).forEach((rate, index, rates) => {
+    const amount = index === rates.length - 1 ? roundMoney(packagingLeft) : roundMoney(packagingByRate[rate]);
+    packagingLeft = roundMoney(packagingLeft - amount);
+    lines.push({ description: 'Packaging charges', quantity: null, unitPrice: null, amount, discount: 0, taxable: amount, gstRate: rate });
+  });
+
+  // Within a state GST is half central (CGST), half state (SGST); across
+  // states it is all integrated (IGST). A receipt just shows GST.
+  const taxHeads = issued ? (interState ? ['IGST'] : ['CGST', 'SGST']) : [];
+  const taxes = bill.taxes.map(entry => {
+    const half = roundMoney(entry.amount / 2);
+    const amounts = taxHeads.length === 2 ? [half, roundMoney(entry.amount - half)] : [entry.amount];
+    return {
+      rate: entry.rate,
+      taxable: entry.taxable,
+      parts: taxHeads.map((name, index) => ({ name, rate: entry.rate / taxHeads.length, amount: amounts[index] })),
+      amount: entry.amount
+    };
+  });
+
+  return {
+    title: issued ? 'Tax Invoice' : 'Receipt',
+    number: issued ? issued.number : null,
+    issuedAt: issued ? issued.issuedAt : order.placedAt,
+    orderId: order.id,
+    placedAt: order.placedAt,
+    status: order.status,
+    seller: issued ? issued.seller : { legalName: '', tradeName: 'REX Food Delivery', branch: order.delivery ? order.delivery.branch.name : '' },
+    buyer: issued ? issued.buyer : { name: order.customerName, company: '', gstin: '', address: order.address, state: '' },
+    placeOfSupply: issued ? issued.placeOfSupply : null,
+    interState,
+    taxHeads,
+    sac: issued ? issued.sac : null,
+    lines,
+    taxes,
+    totals: {
+      subtotal: bill.subtotal,
+      discount: bill.discount,
+      promoCode: bill.promoCode,
+      packaging: bill.packaging,
+      taxable: roundMoney(bill.subtotal - bill.discount + bill.packaging),
+      tax: bill.tax,
+      deliveryFee: bill.deliveryFee,
+      roundOff: bill.roundOff,
+      total: bill.total
+    },
+    amountInWords: amountInWords(bill.total),
+    payment: order.payment || { method: '', label: '' }
+  };
+}
+
+// Rows of the totals block, shared by the page and the PDF
+function invoiceTotalRows(invoice) {
+  const { totals } = invoice;
+  const rows = [['Item total', formatAmount(totals.subtotal)]];
+  if (totals.discount > 0) rows.push([`Discount (${totals.promoCode})`, `-${formatAmount(totals.discount)}`]);
+  if (totals.packaging > 0) rows.push(['Packaging charges', formatAmount(totals.packaging)]);
+  rows.push(['Taxable value', formatAmount(totals.taxable)]);
+  invoice.taxes.forEach(entry => {
+    if (entry.parts.length === 0) {
+      rows.push([`GST @ ${entry.rate}%`, formatAmount(entry.amount)]);
+    }
+    entry.parts.forEach(part => rows.push([`${part.name} @ ${part.rate}%`, formatAmount(part.amount)]));
+  });
+  rows.push(['Delivery fee', totals.deliveryFee > 0 ? formatAmount(totals.deliveryFee) : 'FREE']);
+  if (totals.roundOff !== 0) rows.push(['Round off', `${totals.roundOff > 0 ? '+' : '-'}${formatAmount(Math.abs(totals.roundOff))}`]);
+  return rows;
+}
+
+// How the order was paid, as printed on the invoice
+function invoicePaymentText(invoice) {
+  const { payment } = invoice;
+  if (!payment.label) return 'Not specified';
+  return payment.transactionId ? `${payment.label}, paid (payment ID ${payment.transactionId})` : payment.label;
+}
+
+function formatInvoiceDate(value) {
+  return new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+// Name for a downloaded invoice: rex-invoice-29-26-27-000001.pdf
+function invoiceFileName(invoice) {
+  return `rex-${invoice.number ? 'invoice' : 'receipt'}-${(invoice.number || invoice.orderId).replace(/[^A-Za-z0-9]+/g, '-')}.pdf`;
+}
+
+// The invoice as a printable page (see invoice.html)
+function renderInvoice(invoice) {
+  const { seller, buyer } = invoice;
+  const text = value => sanitizeInput(value || '');
+
+  return `
+    <article class="invoice">
+      <header class="invoice-header">
+        <div class="invoice-seller">
+          <h1>${text(seller.tradeName)}</h1>
+          ${seller.legalName ? `<p><strong>${text(seller.legalName)}</strong></p>` : ''}
+          ${seller.address ? `<p>${text(seller.branch)}, ${text(seller.address)}</p>` : ''}
+          ${seller.gstin ? `<p>GSTIN: ${text(seller.gstin)}</p>` : ''}
+          ${seller.state ? `<p>State: ${text(seller.state)} (${text(seller.stateCode)})</p>` : ''}
+          ${seller.email ? `<p>${text(seller.email)}</p>` : ''}
+        </div>
+        <div class="invoice-meta">
+          <h2>${invoice.title}</h2>
+          <dl>
+            ${invoice.number ? `<div><dt>Invoice No.</dt><dd>${text(invoice.number)}</dd></div>` : ''}
+            <div><dt>Date</dt><dd>${formatInvoiceDate(invoice.issuedAt)}</dd></div>
+            <div><dt>Order ID</dt><dd>${text(invoice.orderId)}</dd></div>
+            ${invoice.placeOfSupply ? `<div><dt>Place of supply</dt><dd>${text(invoice.placeOfSupply.state)} (${text(invoice.placeOfSupply.stateCode)})</dd></div>` : ''}
+          </dl>
+        </div>
+      </header>
+
+      ${invoice.status === 'cancelled' ? '<p class="invoice-stamp">Cancelled</p>' : ''}
+
+      <section class="invoice-buyer">
+        <h3>Bill to</h3>
+        <p><strong>${text(buyer.company || buyer.name)}</strong></p>
+        ${buyer.company ? `<p>Attn: ${text(buyer.name)}</p>` : ''}
+        <p>${text(buyer.address)}</p>
+        ${buyer.gstin ? `<p>GSTIN: ${text(buyer.gstin)}</p>` : ''}
+      </section>
+
+      <table class="invoice-lines">
+        <thead>
+          <tr>
+            <th scope="col">#</th>
+            <th scope="col">Item</th>
+            ${invoice.sac ? '<th scope="col">SAC</th>' : ''}
+            <th scope="col">Qty</th>
+            <th scope="col">Rate (₹)</th>
+            <th scope="col">Discount (₹)</th>
+            <th scope="col">Taxable value (₹)</th>
+            <th scope="col">GST</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${invoice.lines.map((line, index) => `
+            <tr>
+              <td>${index + 1}</td>
+              <td>${text(line.description)}</td>
+              ${invoice.sac ? `<td>${text(invoice.sac.code)}</td>` : ''}
+              <td>${line.quantity === null ? '' : line.quantity}</td>
+              <td>${line.unitPrice === null ? '' : formatAmount(line.unitPrice)}</td>
+              <td>${line.discount > 0 ? formatAmount(line.discount) : '—'}</td>
+              <td>${formatAmount(line.taxable)}</td>
+              <td>${line.gstRate}%</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+
+      <div class="invoice-summary">
+        ${invoice.taxes.length > 0 ? `
+          <table class="invoice-taxes">
+            <thead>
+              <tr>
+                <th scope="col">GST rate</th>
+                <th scope="col">Taxable value (₹)</th>
+                ${invoice.taxHeads.map(name => `<th scope="col">${name} (₹)</th>`).join('')}
+                <th scope="col">Total tax (₹)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${invoice.taxes.map(entry => `
+                <tr>
+                  <td>${entry.rate}%</td>
+                  <td>${formatAmount(entry.taxable)}</td>
+                  ${entry.parts.map(part => `<td>${formatAmount(part.amount)}</td>`).join('')}
+                  <td>${formatAmount(entry.amount)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : '<div></div>'}
+        <dl class="bill-breakdown">
+          ${invoiceTotalRows(invoice).map(([label, value]) => `
+            <div class="bill-row">
+              <dt>${text(label)}</dt>
+              <dd>${value}</dd>
+            </div>
+          `).join('')}
+          <div class="bill-row bill-total">
+            <dt>Grand total</dt>
+            <dd>${formatCurrency(invoice.totals.total)}</dd>
+          </div>
+        </dl>
+      </div>
+
+      <p class="invoice-words"><strong>Amount in words:</strong> ${invoice.amountInWords}</p>
+      <p><strong>Payment:</strong> ${text(invoicePaymentText(invoice))}</p>
+      ${invoice.sac ? `<p><small>SAC ${text(invoice.sac.code)}: ${text(invoice.sac.description)}. Tax is not payable on reverse charge.</small></p>` : ''}
+
+      <footer class="invoice-footer">
+        ${invoice.number
+          ? 'This is a computer-generated invoice and needs no signature.'
+          : 'This receipt is not a tax invoice. It was issued before we started issuing GST invoices.'}
+      </footer>
+    </article>
+  `;
+}
+
+/**
+ * The invoice as a PDF, laid out like renderInvoice()
+ * @param {Object} invoice - From buildInvoice()
+ * @returns {Uint8Array} PDF bytes
+ */
+function invoiceToPdf(invoice) {
+  const { seller, buyer } = invoice;
+  const pdf = new PdfDocument({ title: `${invoice.title} ${invoice.number || invoice.orderId}` });
+  const left = 40;
+  const right = pdf.width - 40;
+  const grey = [0.4, 0.4, 0.4];
+  let y = 56;
+
+  // Start a new page when the next block would run into the bottom margin
+  const room = height => {
+    if (y + height > pdf.height - 50) {
+      pdf.addPage();
+      y = 56;
+    }
+  };
+  const paragraph = (value, x, width, options = {}) => {
+    pdf.wrap(value, width, options).forEach(line => {
+      room(14);
+      pdf.text(line, x, y, options);
+      y += (options.size || 10) + 4;
+    });
+  };
+
+  // Seller on the left, invoice details on the right
+  pdf.text(seller.tradeName, left, y, { size: 18, bold: true });
+  pdf.text(invoice.title.toUpperCase(), right, y, { size: 14, bold: true, align: 'right' });
+  const meta = [
+    invoice.number ? ['Invoice No.', invoice.number] : null,
+    ['Date', formatInvoiceDate(invoice.issuedAt)],
+    ['Order ID', invoice.orderId],
+    invoice.placeOfSupply ? ['Place of supply', `${invoice.placeOfSupply.state} (${invoice.placeOfSupply.stateCode})`] : null
+  ].filter(Boolean);
+  meta.forEach(([label, value], index) => {
+    const rowY = y + 18 + index * 13;
+    pdf.text(label, right - 195, rowY, { size: 9, color: grey });
+    pdf.text(value, right, rowY, { size: 9, bold: true, align: 'right' });
+  });
+  const metaBottom = y + 18 + meta.length * 13;
+
+  y += 20;
+  [
+    seller.legalName ? [seller.legalName, true] : null,
+    seller.address ? [`${seller.branch}, ${seller.address}`, false] : null,
+    seller.gstin ? [`GSTIN: ${seller.gstin}`, false] : null,
+    seller.state ? [`State: ${seller.state} (${seller.stateCode})`, false] : null,
+    seller.email ? [seller.email, false] : null
+  ].filter(Boolean).forEach(([value, bold]) => paragraph(value, left, 280, { size: 9, bold }));
+  y = Math.max(y, metaBottom) + 10;
+
+  if (invoice.status === 'cancelled') {
+    pdf.text('CANCELLED', right, y, { size: 12, bold: true, align: 'right', color: [0.8, 0.1, 0.1] });
+    y += 8;
+  }
+
+  // Buyer
+  pdf.line(left, y, right, y);
+  y += 16;
+  pdf.text('BILL TO', left, y, { size: 8, bold: true, color: grey });
+  y += 14;
+  paragraph(buyer.company || buyer.name, left, 400, { size: 10, bold: true });
+  if (buyer.company) paragraph(`Attn: ${buyer.name}`, left, 400, { size: 9 });
+  paragraph(buyer.address, left, 400, { size: 9 });
+  if (buyer.gstin) paragraph(`GSTIN: ${buyer.gstin}`, left, 400, { size: 9 });
+  y += 10;
+
+  // Lines: [heading, x, align, value]
+  const columns = [
+    ['#', left + 4, 'left', (line, index) => String(index + 1)],
+    ['Item', left + 22, 'left', null],
+    invoice.sac ? ['SAC', 262, 'left', () => invoice.sac.code] : null,
+    ['Qty', 330, 'right', line => (line.quantity === null ? '' : String(line.quantity))],
+    ['Rate', 390, 'right', line => (line.unitPrice === null ? '' : formatAmount(line.unitPrice))],
+    ['Discount', 450, 'right', line => (line.discount > 0 ? formatAmount(line.discount) : '-')],
+    ['Taxable', 512, 'right', line => formatAmount(line.taxable)],
+    ['GST', right - 4, 'right', line => `${line.gstRate}%`]
+  ].filter(Boolean);
+  const itemWidth = (invoice.sac ? 258 : 290) - (left + 22);
+  const tableHeader = () => {
+    room(40);
+    pdf.rect(left, y, right - left, 18);
+    columns.forEach(([heading, x, align]) => pdf.text(heading, x, y + 12, { size: 9, bold: true, align }));
+    y += 18;
+  };
+
+  tableHeader();
+  invoice.lines.forEach((line, index) => {
+    const description = pdf.wrap(line.description, itemWidth, { size: 9 });
+    if (y + description.length * 12 + 8 > pdf.height - 50) {
+      pdf.addPage();
+      y = 56;
+      tableHeader();
+    }
+    y += 13;
+    columns.forEach(([, x, align, value]) => {
+      if (value) pdf.text(value(line, index), x, y, { size: 9, align });
+    });
+    description.forEach((text, row) => pdf.text(text, left + 22, y + row * 12, { size: 9 }));
+    y += (description.length - 1) * 12 + 5;
+    pdf.line(left, y, right, y, { width: 0.25, color: [0.8, 0.8, 0.8] });
+  });
+  pdf.text('Amounts in Indian rupees (INR)', left, y + 12, { size: 8, color: grey });
+  y += 30;
+
+  // GST by rate on the left, totals on the right
+  const rows = invoiceTotalRows(invoice);
+  room(Math.max(rows.length * 14 + 24, invoice.taxes.length * 13 + 20));
+  const top = y;
+  if (invoice.taxes.length > 0) {
+    // Tax heads share the room between the taxable value and the total
+    const step = 170 / (invoice.taxHeads.length + 1);
+    const taxColumns = [
+      ['Rate', left + 4, 'left', entry => `${entry.rate}%`],
+      ['Taxable', 130, 'right', entry => formatAmount(entry.taxable)],
+      ...invoice.taxHeads.map((name, index) => [name, 130 + step * (index + 1), 'right', entry => formatAmount(entry.parts[index].amount)]),
+      ['Total tax', 300, 'right', entry => formatAmount(entry.amount)]
+    ];
+    pdf.rect(left, y, 265, 16);
+    taxColumns.forEach(([heading, x, align]) => pdf.text(heading, x, y + 11, { size: 8, bold: true, align }));
+    invoice.taxes.forEach((entry, index) => {
+      taxColumns.forEach(([, x, align, value]) => pdf.text(value(entry), x, y + 28 + index * 13, { size: 8, align }));
+    });
+  }
+  rows.forEach(([label, value], index) => {
+    pdf.text(label, 360, top + 10 + index * 14, { size: 9 });
+    pdf.text(value, right, top + 10 + index * 14, { size: 9, align: 'right' });
+  });
+  y = top + rows.length * 14 + 4;
+  pdf.line(360, y, right, y);
+  y += 14;
+  pdf.text('Grand total', 360, y, { size: 11, bold: true });
+  pdf.text(formatCurrency(invoice.totals.total), right, y, { size: 11, bold: true, align: 'right' });
+  y = Math.max(y, top + 28 + invoice.taxes.length * 13) + 24;
+
+  paragraph(`Amount in words: ${invoice.amountInWords}`, left, right - left, { size: 9, bold: true });
+  paragraph(`Payment: ${invoicePaymentText(invoice)}`, left, right - left, { size: 9 });
+  if (invoice.sac) {
+    paragraph(`SAC ${invoice.sac.code}: ${invoice.sac.description}. Tax is not payable on reverse charge.`, left, right - left, { size: 8, color: grey });
+  }
+
+  y += 10;
+  paragraph(invoice.number
+    ? 'This is a computer-generated invoice and needs no signature.'
+    : 'This receipt is not a tax invoice. It was issued before we started issuing GST invoices.', left, right - left, { size: 8, color: grey });
+
+  return pdf.toBytes();
+}
+
+
+// ========================================
+// CROSS-TAB SYNC
+// ========================================
+
+// Each tab remembers the stored copy it last saw (the base). Saves and
+// `storage` events merge three ways against that base, so edits made in two
+// tabs are combined entry by entry instead of one tab overwriting the other.
+// Every merge is symmetric, so both tabs end up with the same data.
+
+function cloneData(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function sameData(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Three-way merge of keyed entries
+ * @param {Object} base - Entries both sides started from
+ * @param {Object} mine - Entries as edited in this tab
+ * @param {Object} theirs - Entries as stored by another tab
+ * @param {Function} resolve - (base, mine, theirs) => entry, for keys both sides changed
+ * @returns {Object} Merged entries: theirs' keys in order, then keys only this tab has
+ */
+function mergeEntries(base = {}, mine = {}, theirs = {}, resolve) {
+  const merged = {};
+  new Set([...Object.keys(theirs), ...Object.keys(mine)]).forEach(key => {
+    const [baseValue, myValue, theirValue] = [base[key], mine[key], theirs[key]];
+    let value;
+
+    if (sameData(myValue, baseValue)) {
+      value = theirValue;
+    } else if (sameData(theirValue, baseValue)) {
+      value = myValue;
+    } else if (myValue === undefined || theirValue === undefined) {
+      // Deleted in one tab and edited in the other: keep the edit
+      value = myValue === undefined ? theirValue : myValue;
+    } else {
+      value = resolve(baseValue, myValue, theirValue);
+    }
+
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * mergeEntries for arrays of records with an `id`
+ * @returns {Array} Merged records in theirs' order, then records only this tab has
+ */
+function mergeById(base = [], mine = [], theirs = [], resolve) {
+  const byId = records => records.reduce((map, record) => ({ ...map, [record.id]: record }), {});
+  return Object.values(mergeEntries(byId(base), byId(mine), byId(theirs), resolve));
+}
+
+// Tie-breaker for conflicting edits that gives the same answer in every tab
+function pickGreater(a, b) {
+  return JSON.stringify(a) >= JSON.stringify(b) ? a : b;
+}
+
+
+// ========================================
+// ORDER HISTORY
+// ========================================
+
+// Order status lifecycle: each status lists the statuses it can move to
+const ORDER_STATUSES = {
+  placed: { label: 'Order placed', next: ['accepted', 'cancelled', 'failed'] },
+  accepted: { label: 'Accepted by restaurant', next: ['preparing', 'cancelled', 'failed'] },
+  preparing: { label: 'Preparing your food', next: ['out_for_delivery', 'failed'] },
+  out_for_delivery: { label: 'Out for delivery', next: ['delivered', 'failed'] },
+  delivered: { label: 'Delivered', next: [] },
+  cancelled: { label: 'Cancelled', next: [] },
+  failed: { label: 'Delivery failed', next: [] }
+};
+
+// Statuses an order passes through when nothing goes wrong
+const ORDER_FLOW = ['placed', 'accepted', 'preparing', 'out_for_delivery', 'delivered'];
+
+class OrderHistory {
+  constructor(storage = defaultStorage()) {
+    this.storage = storage;
+    this.history = this.loadHistory();
+    this.synced = cloneData(this.history);
+    this.listeners = [];
+    this.bindSyncEvents();
+  }
+
+  // Load placed orders (per user key, newest first)
+  loadHistory() {
+    return this.storage.get('rex-order-history', {});
+  }
+
+  saveHistory() {
+    // Keep orders other tabs placed or updated since we last looked
+    this.history = this.mergeHistory(this.loadHistory());
+    this.storage.set('rex-order-history', this.history);
+    this.synced = cloneData(this.history);
+    this.notifyListeners();
+  }
+
+  // Merge another tab's copy of the history into ours (see mergeEntries)
+  mergeHistory(stored) {
+    return mergeEntries(this.synced, this.history, stored, (base, mine, theirs) =>
+      mergeById(base, mine, theirs, (baseOrder, myOrder, theirOrder) => {
+        // Statuses only move forward, so the longer timeline is the newer one
+        const difference = this.getTimeline(myOrder).length - this.getTimeline(theirOrder).length;
+        return difference === 0 ? pickGreater(myOrder, theirOrder) : (difference > 0 ? myOrder : theirOrder);
+      }).sort((a, b) => new Date(b.placedAt) - new Date(a.placedAt))
+    );
+  }
+
+  // Pick up orders placed or updated in other tabs
+  bindSyncEvents() {
+    this.storage.subscribe((key) => {
+      if (key !== 'rex-order-history' && key !== null) return;
+
+      const stored = this.loadHistory();
+      this.history = this.mergeHistory(stored);
+      this.synced = cloneData(stored);
+      this.notifyListeners();
+    });
+  }
+
+  /**
+   * Record a placed order for a user
+   * @param {string} userKey - Key of the user who placed it (see CartManager.getUserKey)
+   * @param {Object} order - {id, items, bill, split, scheduledFor,
+   *   delivery, invoice, customerName, address, payment: {method, label,
+   *   transactionId}};
+   *   split is set for group orders, scheduledFor ({slotId, start, end,
+   *   cutoffAt}) for orders delivered later, delivery (see
+   *   DeliveryZones#toDelivery) for the branch it comes from, invoice (see
+   *   Invoicing#issue) once the tax invoice is issued
+   * @returns {Object} The stored order record
+   */
+  record(userKey, order) {
+    const record = {
+      id: order.id,
+      placedAt: order.placedAt || new Date().toISOString(),
+      items: order.items.map(line => ({ ...line })),
+      bill: order.bill,
+      split: order.split || null,
+      scheduledFor: order.scheduledFor || null,
+      delivery: order.delivery || null,
+      invoice: order.invoice || null,
+      customerName: order.customerName || '',
+      address: order.address || '',
+      payment: order.payment || { method: '', label: '' },
+      status: 'placed'
+    };
+    record.statusHistory = [{ status: 'placed', at: record.placedAt }];
+
+    this.history[userKey] = [record, ...this.getOrders(userKey)];
+    this.saveHistory();
+    return record;
+  }
+
+  // Get a user's placed orders, newest first
+  getOrders(userKey) {
+    return this.history[userKey] || [];
+  }
+
+  getOrder(userKey, orderId) {
+    return this.getOrders(userKey).find(order => order.id === orderId) || null;
+  }
+
+  // Orders of every user that have not reached a final status
+  getActiveOrders() {
+    return Object.keys(this.history).reduce((active, userKey) => {
+      this.getOrders(userKey)
+        .filter(order => !this.isFinal(order.status))
+        .forEach(order => active.push({ userKey, order }));
+      return active;
+    }, []);
+  }
+
+  // Status transitions with timestamps (orders saved before tracking only know they were placed)
+  getTimeline(order) {
+    return order.statusHistory || [{ status: order.status, at: order.placedAt }];
+  }
+
+  getStatusLabel(status) {
+    return ORDER_STATUSES[status] ? ORDER_STATUSES[status].label : status;
+  }
+
+  isFinal(status) {
+    return !ORDER_STATUSES[status] || ORDER_STATUSES[status].next.length === 0;
+  }
+
+  canTransition(from, to) {
+    return Boolean(ORDER_STATUSES[from] && ORDER_STATUSES[from].next.includes(to));
+  }
+
+  // Whether the customer can still cancel: a scheduled order only until its cutoff
+  canCancel(order, now = new Date()) {
+    return this.canTransition(order.status, 'cancelled') &&
+      (!order.scheduledFor || now.getTime() < Date.parse(order.scheduledFor.cutoffAt));
+  }
+
+  /**
+   * Move an order to a new status and record when it happened
+   * @param {string} userKey - Key of the user who placed the order
+   * @param {string} orderId - Order ID
+   * @param {string} status - Target status (see ORDER_STATUSES)
+   * @param {Object} details - {at, note, estimatedDeliveryAt}
+   * @returns {boolean} Whether the transition was allowed
+   */
+  updateStatus(userKey, orderId, status, details = {}) {
+    const order = this.getOrder(userKey, orderId);
+    if (!order) {
+      console.error('Unknown order:', orderId);
+      return false;
+    }
+
+    if (!this.canTransition(order.status, status)) {
+      console.error(`Order ${orderId} cannot move from ${order.status} to ${status}`);
+      return false;
+    }
+
+    const entry = { status, at: details.at || new Date().toISOString() };
+    if (details.note) {
+      entry.note = details.note;
+    }
+
+    order.statusHistory = [...this.getTimeline(order), entry];
+    order.status = status;
+    if (details.estimatedDeliveryAt) {
+      order.estimatedDeliveryAt = details.estimatedDeliveryAt;
+    }
+
+    this.saveHistory();
+    return true;
+  }
+
+  /**
+   * Note what happened to an order's payment after it was placed
+   * @param {string} userKey - Key of the user who placed it
+   * @param {string} orderId - Order ID
+   * @param {Object} changes - Merged into order.payment, e.g. {refund:
+   *   {status, amount, at}} once a cancelled order's payment is refunded
+   * @returns {boolean} False for an unknown order
+   */
+  updatePayment(userKey, orderId, changes) {
+    const order = this.getOrder(userKey, orderId);
+    if (!order) {
+      console.error('Unknown order:', orderId);
+      return false;
+    }
+
+    order.payment = { ...order.payment, ...changes };
+    this.saveHistory();
+    return true;
+  }
+
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => callback(this.history));
+  }
+}
+
+
+// ========================================
+// SIMULATED KITCHEN & RIDER
+// ========================================
+
+// Stands in for the restaurant and delivery partner until there is a
+// backend: moves every active order along ORDER_FLOW on a timer
+class OrderSimulator {
+  constructor(orderHistory, options = {}) {
+    this.orderHistory = orderHistory;
+    // Delay (ms) before an order leaves each status
+    this.delays = {
+      placed: 10000,
+      accepted: 20000,
+      preparing: 45000,
+      out_for_delivery: 60000,
+      ...options.delays
+    };
+    this.failureRate = options.failureRate || 0;
+    this.timers = new Map();
+    this.running = false;
+    this.orderHistory.onChange(() => this.scheduleAll());
+  }
+
+  start() {
+    this.running = true;
+    this.scheduleAll();
+  }
+
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  scheduleAll() {
+    if (!this.running) return;
+    this.orderHistory.getActiveOrders().forEach(({ userKey, order }) => this.schedule(userKey, order));
+  }
+
+  // Schedule the next transition relative to the last one, so orders left
+  // open when the page was closed catch up with realistic timestamps
+  schedule(userKey, order) {
+    const timerKey = `${order.id}:${order.status}`;
+    const nextStatus = ORDER_FLOW[ORDER_FLOW.indexOf(order.status) + 1];
+    if (!nextStatus || this.timers.has(timerKey)) return;
+
+    const timeline = this.orderHistory.getTimeline(order);
+    let dueAt = new Date(timeline[timeline.length - 1].at).getTime() + this.delays[order.status];
+
+    // A scheduled order waits until it is time to cook it for its slot
+    if (nextStatus === 'preparing' && order.scheduledFor) {
+      dueAt = Math.max(dueAt, Date.parse(order.scheduledFor.start) - this.getRemainingTime('preparing'));
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timerKey);
+      this.advance(userKey, order.id, order.status, nextStatus, new Date(Math.min(dueAt, Date.now())));
+    }, Math.max(0, dueAt - Date.now()));
+
+    this.timers.set(timerKey, timer);
+  }
+
+  advance(userKey, orderId, fromStatus, toStatus, at) {
+    const order = this.orderHistory.getOrder(userKey, orderId);
+    // The customer may have cancelled in the meantime
+    if (!order || order.status !== fromStatus) return;
+
+    if (fromStatus !== 'placed' && Math.random() < this.failureRate) {
+      this.orderHistory.updateStatus(userKey, orderId, 'failed', {
+        at: at.toISOString(),
+        note: 'The restaurant could not complete this order'
+      });
+      return;
+    }
+
+    const details = { at: at.toISOString() };
+    if (toStatus === 'accepted') {
+      details.estimatedDeliveryAt = order.scheduledFor
+        ? order.scheduledFor.end
+        : new Date(at.getTime() + this.getRemainingTime('accepted')).toISOString();
+    }
+    this.orderHistory.updateStatus(userKey, orderId, toStatus, details);
+  }
+
+  // Time from entering a status until delivery
+  getRemainingTime(status) {
+    return ORDER_FLOW.slice(ORDER_FLOW.indexOf(status), -1)
+      .reduce((total, flowStatus) => total + this.delays[flowStatus], 0);
+  }
+}
+
+
+// ========================================
+// ADDRESS BOOK
+// ========================================
+
+// Address fields of the checkout form, in the order they are written
+const ADDRESS_FIELDS = ['street', 'village', 'district', 'state', 'country', 'pincode'];
+
+// Offline pin code lookup from the bundled pincodes.json: district and state
+// for known pin codes, and the states each pin code prefix (postal circle)
+// covers for the rest
+class PincodeDirectory {
+  constructor(source = 'assets/data/pincodes.json') {
+    this.source = source;
+    this.pincodes = {};
+    this.prefixes = {};
+    this.aliases = {};
+    this.loaded = false;
+    this.loadPromise = null;
+  }
+
+  // Load the pin codes from the JSON file (only fetched once)
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.source)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Pin code request failed with status ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => this.setData(data))
+        .catch(error => {
+          console.error('Error loading pin codes:', error);
+          return this;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  setData(data) {
+    this.pincodes = data.pincodes || {};
+    this.prefixes = data.prefixes || {};
+    this.aliases = Object.keys(data.aliases || {}).reduce((aliases, alias) => ({
+      ...aliases,
+      [this.normalize(alias)]: this.normalize(data.aliases[alias])
+    }), {});
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Where a pin code is
+   * @param {string} pincode - 6-digit pin code
+   * @returns {Object|null} {district, state} for a known pin code,
+   *   {district: null, states} when only its prefix is known, else null
+   */
+  lookup(pincode) {
+    const code = String(pincode || '').trim();
+    if (!/^\d{6}$/.test(code)) return null;
+
+    if (this.pincodes[code]) {
+      return { ...this.pincodes[code] };
+    }
+    const states = this.prefixes[code.slice(0, 2)];
+    return states ? { district: null, states: [...states] } : null;
+  }
+
+  /**
+   * Check that a district and state go with a pin code
+   * @param {{pincode: string, district: string, state: string}} address
+   * @returns {{status: string, field: string|null, message: string}} status
+   *   is ok, unknown (the pin code is not in the dataset) or mismatch, with
+   *   the field that does not match
+   */
+  check({ pincode, district = '', state = '' }) {
+    const place = this.lookup(pincode);
+    if (!place) {
+      return { status: 'unknown', field: null, message: '' };
+    }
+
+    const states = place.state ? [place.state] : place.states;
+    if (state.trim() && !states.some(candidate => this.sameName(candidate, state))) {
+      return {
+        status: 'mismatch',
+        field: 'state',
+        message: `Pin code ${pincode} is in ${states.join(' or ')}, not ${state.trim()}`
+      };
+    }
+    if (place.district && district.trim() && !this.sameName(place.district, district)) {
+      return {
+        status: 'mismatch',
+        field: 'district',
+        message: `Pin code ${pincode} is in ${place.district} district, not ${district.trim()}`
+      };
+    }
+    return { status: place.district ? 'ok' : 'unknown', field: null, message: '' };
+  }
+
+  // Compare place names ignoring case, punctuation and known other spellings
+  sameName(a, b) {
+    const canonical = name => {
+      const normalized = this.normalize(name);
+      return this.aliases[normalized] || normalized;
+    };
+    return canonical(a) === canonical(b);
+  }
+
+  normalize(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+}
+
+/**
+ * Saved delivery addresses for each user (keyed like order history), with
+ * labels such as Home and Office and one default address. Addresses keep
+ * the checkout form's fields as typed; escape them when showing them.
+ */
+class AddressBook {
+  constructor(storage = defaultStorage()) {
+    this.storage = storage;
+    this.book = this.loadBook();
+    this.synced = cloneData(this.book);
+    this.listeners = [];
+    this.bindSyncEvents();
+  }
+
+  loadBook() {
+    return this.storage.get('rex-addresses', {});
+  }
+
+  saveBook() {
+    // Keep addresses other tabs saved since we last looked
+    this.book = this.mergeBook(this.loadBook());
+    this.storage.set('rex-addresses', this.book);
+    this.synced = cloneData(this.book);
+    this.notifyListeners();
+  }
+
+  // Merge another tab's address book into ours; an address edited in both
+  // keeps the later edit
+  mergeBook(stored) {
+    return mergeEntries(this.synced, this.book, stored, (base, mine, theirs) =>
+      mergeById(base, mine, theirs, (baseAddress, myAddress, theirAddress) => {
+        if (myAddress.updatedAt === theirAddress.updatedAt) return pickGreater(myAddress, theirAddress);
+        return myAddress.updatedAt > theirAddress.updatedAt ? myAddress : theirAddress;
+      })
+    );
+  }
+
+  // Pick up addresses saved in other tabs
+  bindSyncEvents() {
+    this.storage.subscribe((key) => {
+      if (key !== 'rex-addresses' && key !== null) return;
+
+      const stored = this.loadBook();
+      this.book = this.mergeBook(stored);
+      this.synced = cloneData(stored);
+      this.notifyListeners();
+    });
+  }
+
+  // A user's addresses, the default first
+  getAddresses(userKey) {
+    const defaultAddress = this.getDefault(userKey);
+    const addresses = this.book[userKey] || [];
+    return defaultAddress
+      ? [defaultAddress, ...addresses.filter(address => address.id !== defaultAddress.id)]
+      : [...addresses];
+  }
+
+  getAddress(userKey, addressId) {
+    return (this.book[userKey] || []).find(address => address.id === addressId) || null;
+  }
+
+  // The address most recently made the default (tabs may each have set one)
+  getDefault(userKey) {
+    return (this.book[userKey] || []).reduce((latest, address) =>
+      (address.defaultAt && (!latest || address.defaultAt > latest.defaultAt) ? address : latest), null);
+  }
+
+  /**
+   * Save an address under a label. Saving under a label that is already
+   * used updates that address. A user's first address becomes the default.
+   * @param {string} userKey - Key of the signed-in user
+   * @param {Object} address - {label, street, village, district, state, country, pincode}
+   * @returns {Object|null} The saved address, or null without a label
+   */
+  save(userKey, address) {
+    const label = String(address.label || '').trim();
+    if (!label) return null;
+
+    const now = new Date().toISOString();
+    const addresses = this.book[userKey] || [];
+    const existing = addresses.find(saved => saved.label.toLowerCase() === label.toLowerCase());
+    const fields = ADDRESS_FIELDS.reduce((values, field) => ({ ...values, [field]: String(address[field] || '').trim() }), {});
+    const saved = existing
+      ? { ...existing, ...fields, label, updatedAt: now }
+      : {
+        id: `address-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+        label,
+        ...fields,
+        createdAt: now,
+        updatedAt: now,
+        defaultAt: addresses.length === 0 ? now : null
+      };
+
+    this.book[userKey] = existing
+      ? addresses.map(entry => (entry.id === existing.id ? saved : entry))
+      : [...addresses, saved];
+    this.saveBook();
+    return saved;
+  }
+
+  setDefault(userKey, addressId) {
+    const address = this.getAddress(userKey, addressId);
+    if (!address) return false;
+
+    const now = new Date().toISOString();
+    address.defaultAt = now;
+    address.updatedAt = now;
+    this.saveBook();
+    return true;
+  }
+
+  remove(userKey, addressId) {
+    const addresses = this.book[userKey] || [];
+    if (!addresses.some(address => address.id === addressId)) return false;
+
+    const defaultAddress = this.getDefault(userKey);
+    const wasDefault = !defaultAddress || defaultAddress.id === addressId;
+    this.book[userKey] = addresses.filter(address => address.id !== addressId);
+    // Someone with addresses always has a default one
+    if (wasDefault && this.book[userKey].length > 0) {
+      this.book[userKey][0] = { ...this.book[userKey][0], defaultAt: new Date().toISOString() };
+    }
+    this.saveBook();
+    return true;
+  }
+
+  // "Home: 12 MG Road, Bengaluru Urban 560001"
+  describe(address) {
+    return `${address.label}: ${[address.street, address.district].filter(Boolean).join(', ')} ${address.pincode}`.trim();
+  }
+
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => callback(this.book));
+  }
+}
+
+
+// ========================================
+// UNDO / REDO
+// ========================================
+
+/**
+ * Bounded undo and redo stacks, saved so they survive reloads. Each entry
+ * holds the state before and after a change; applying it is up to the
+ * owner (see CartManager.applyChange).
+ */
+class CommandHistory {
+  constructor(storage = defaultStorage(), key = 'rex-cart-history', { limit = 20 } = {}) {
+    this.storage = storage;
+    this.key = key;
+    this.limit = limit;
+    this.load();
+  }
+
+  load() {
+    const stored = this.storage.get(this.key, {});
+    this.undoStack = Array.isArray(stored.undo) ? stored.undo : [];
+    this.redoStack = Array.isArray(stored.redo) ? stored.redo : [];
+  }
+
+  save() {
+    this.storage.set(this.key, { undo: this.undoStack, redo: this.redoStack });
+  }
+
+  // Follow another storage key (e.g. after a different user signs in)
+  setKey(key) {
+    this.key = key;
+    this.load();
+  }
+
+  /**
+   * Record a change; a new change can no longer be redone past
+   * @param {string} label - What the change did, e.g. "Remove Masala Dosa"
+   * @param {Object} before - State before the change
+   * @param {Object} after - State after it
+   * @returns {Object} The entry
+   */
+  push(label, before, after) {
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`,
+      label,
+      at: new Date().toISOString(),
+      before,
+      after
+    };
+    this.undoStack = [...this.undoStack, entry].slice(-this.limit);
+    this.redoStack = [];
+    this.save();
+    return entry;
+  }
+
+  peekUndo() {
+    return this.undoStack[this.undoStack.length - 1] || null;
+  }
+
+  peekRedo() {
+    return this.redoStack[this.redoStack.length - 1] || null;
+  }
+
+  // Move the newest change onto the redo stack and return it
+  takeUndo() {
+    const entry = this.undoStack.pop() || null;
+    if (entry) {
+      this.redoStack.push(entry);
+      this.save();
+    }
+    return entry;
+  }
+
+  // Move the last undone change back onto the undo stack and return it
+  takeRedo() {
+    const entry = this.redoStack.pop() || null;
+    if (entry) {
+      this.undoStack.push(entry);
+      this.save();
+    }
+    return entry;
+  }
+}
+
+
+// ========================================
+// CART MANAGEMENT
+// ========================================
+
+/**
+ * A saved order (cart) as stored under rex-orders
+ * @param {Array} items - Cart lines
+ * @param {string} at - Creation time (ISO string), defaults to now
+ */
+function createOrderRecord(items = [], at = new Date().toISOString()) {
+  return { items, createdAt: at, updatedAt: at };
+}
+
+class CartManager {
+  constructor({ menuCatalog = null, pricingEngine = null, promoEngine = null, authManager = null, storage = defaultStorage() } = {}) {
+    this.storage = storage;
+    this.menuCatalog = menuCatalog;
+    this.pricingEngine = pricingEngine || new PricingEngine(menuCatalog);
+    this.promoEngine = promoEngine;
+    this.authManager = authManager;
+    this.promoCode = null;
+    // Where the checkout address is delivered from (see setDeliveryQuote)
+    this.deliveryQuote = null;
+    // Whose carts and templates are shown (see getUserKey)
+    this.userKey = this.getUserKey();
+    this.activeOrderId = this.loadActiveOrderId();
+    this.orders = this.loadOrders();
+    this.orderTemplates = this.loadOrderTemplates();
+    // Stored copies last seen by this tab, the base for cross-tab merges
+    this.synced = { orders: cloneData(this.orders), templates: cloneData(this.orderTemplates) };
+    this.commandHistory = new CommandHistory(storage, this.storageKey('rex-cart-history'));
+    // Nesting of recordChange calls, and the entry the last one recorded
+    this.changeDepth = 0;
+    this.lastChange = null;
+    // Who this tab adds group order items for (see getParticipantId)
+    this.participantId = null;
+    this.listeners = [];
+    this.init();
+  }
+
+
+  init() {
+    this.adoptGuestData();
+    this.initializeDefaultOrder();
+    this.updateCartDisplay();
+    this.bindEvents();
+    this.bindSyncEvents();
+    this.bindUndoShortcuts();
+
+    if (this.authManager) {
+      this.authManager.onChange(() => this.switchUser());
+    }
+
+    if (this.menuCatalog) {
+      this.menuCatalog.load().then(() => this.syncWithCatalog());
+    }
+
+    if (this.promoEngine) {
+      this.promoEngine.load().then(() => this.updateCartDisplay());
+    }
+  }
+
+  // Where the current user's copy of a key is stored
+  storageKey(key) {
+    return userStorageKey(key, this.userKey);
+  }
+
+  loadActiveOrderId() {
+    return this.storage.get(this.storageKey('rex-active-order-id'), 'default') || 'default';
+  }
+
+  loadOrders(key = this.storageKey('rex-orders')) {
+    const orders = this.storage.get(key, {});
+    // Item arrays only remain if the storage migration could not run
+    Object.keys(orders).forEach(orderId => {
+      if (Array.isArray(orders[orderId])) {
+        orders[orderId] = createOrderRecord(orders[orderId]);
+      }
+    });
+    return orders;
+  }
+
+  loadOrderTemplates(key = this.storageKey('rex-order-templates')) {
+    return this.storage.get(key, []);
+  }
+
+  // Save orders, merged with changes from other tabs
+  saveOrders() {
+    // Stamp the orders whose items changed since the last save
+    const now = new Date().toISOString();
+    Object.keys(this.orders).forEach(orderId => {
+      const saved = this.synced.orders[orderId];
+      if (saved && !sameData(saved.items, this.orders[orderId].items)) {
+        this.orders[orderId].updatedAt = now;
+      }
+    });
+
+    this.orders = this.mergeOrders(this.loadOrders());
+    this.storage.set(this.storageKey('rex-orders'), this.orders);
+    this.synced.orders = cloneData(this.orders);
+    this.notifyListeners();
+  }
+
+  saveActiveOrderId() {
+    this.storage.set(this.storageKey('rex-active-order-id'), this.activeOrderId);
+  }
+
+  // Save order templates, merged with changes from other tabs
+  saveOrderTemplates() {
+    this.orderTemplates = this.mergeTemplates(this.loadOrderTemplates());
+    this.storage.set(this.storageKey('rex-order-templates'), this.orderTemplates);
+    this.synced.templates = cloneData(this.orderTemplates);
+    this.notifyListeners();
+  }
+
+  // Items of a saved order (empty if there is no such order)
+  getOrderItems(orderId) {
+    return this.orders[orderId] ? this.orders[orderId].items : [];
+  }
+
+  // Replace an order's items, creating the order if needed
+  setOrderItems(orderId, items) {
+    if (this.orders[orderId]) {
+      this.orders[orderId].items = items;
+    } else {
+      this.orders[orderId] = createOrderRecord(items);
+    }
+  }
+
+  // Get current cart (for backward compatibility)
+  get cart() {
+    return this.getOrderItems(this.activeOrderId);
+  }
+
+  // Set current cart (for backward compatibility)
+  set cart(items) {
+    this.setOrderItems(this.activeOrderId, items);
+    this.saveOrders();
+    this.updateCartDisplay();
+  }
+
+
+  // Initialize default order if none exists
+  initializeDefaultOrder() {
+    if (!this.orders['default']) {
+      this.orders['default'] = createOrderRecord();
+      this.saveOrders();
+    }
+  }
+
+  // Add item to cart by SKU, with optional option-group selections
+  addItem(item) {
+    if (this.rejectIfLocked()) return false;
+
+    const menuItem = item && item.sku && this.menuCatalog ? this.menuCatalog.getItem(item.sku) : null;
+    if (!menuItem) {
+      console.error('Unknown menu item:', item && item.sku);
+      this.showNotification('Sorry, this item is not available right now', 'error');
+      return false;
+    }
+
+    const options = this.menuCatalog.resolveOptions(menuItem, item.options);
+    if (!options.valid) {
+      this.showNotification(options.errors[0], 'error');
+      return false;
+    }
+
+    const quantity = parseInt(item.quantity) || 1;
+    const line = this.assignParticipant(this.createLine(menuItem, quantity, options));
+
+    this.recordChange(`Add ${line.name}`, () => {
+      const existingItem = this.cart.find(cartItem => this.getLineKey(cartItem) === this.getLineKey(line));
+      if (existingItem) {
+        existingItem.quantity += quantity;
+      } else {
+        this.cart.push(line);
+      }
+      this.saveOrders();
+    });
+    this.updateCartDisplay();
+    this.showNotification(`${menuItem.name} added to cart!`, 'success');
+    return true;
+  }
+
+  // Build a cart line from a catalog item and its resolved options
+  createLine(menuItem, quantity, options) {
+    return {
+      sku: menuItem.sku,
+      name: sanitizeInput(menuItem.name),
+      price: options.unitPrice,
+      modifiers: options.modifiers,
+      quantity
+    };
+  }
+
+  // Lines are the same product only if SKU and every chosen option match
+  // (and, in a group order, they are for the same person)
+  getLineKey(line) {
+    const choices = (line.modifiers || [])
+      .map(modifier => `${modifier.group}:${modifier.choice}`)
+      .sort()
+      .join(',');
+    return `${line.participant ? `${line.participant}/` : ''}${line.sku || line.name}|${choices}`;
+  }
+
+  // Turn stored modifiers back into picker selections
+  getLineSelections(line) {
+    return (line.modifiers || []).reduce((selections, modifier) => {
+      selections[modifier.group] = [...(selections[modifier.group] || []), modifier.choice];
+      return selections;
+    }, {});
+  }
+
+  // Human readable modifier summary, e.g. "Full, Hot, + Raita"
+  formatModifiers(line) {
+    return (line.modifiers || [])
+      .map(modifier => modifier.type === 'multi'
+        ? `+ ${sanitizeInput(modifier.name)}`
+        : sanitizeInput(modifier.name))
+      .join(', ');
+  }
+
+  // Remove item from cart
+  removeItem(index) {
+    if (index >= 0 && index < this.cart.length && !this.rejectIfLocked()) {
+      const itemName = this.cart[index].name;
+
+      this.recordChange(`Remove ${itemName}`, () => {
+        this.cart.splice(index, 1);
+        this.saveOrders();
+      });
+      this.updateCartDisplay();
+      this.showNotification(`${itemName} removed from cart!`, 'info', this.undoAction());
+    }
+  }
+
+  // Update item quantity
+  updateQuantity(index, quantity) {
+    if (index >= 0 && index < this.cart.length && !this.rejectIfLocked()) {
+      const newQuantity = parseInt(quantity);
+      const line = this.cart[index];
+
+      this.recordChange(newQuantity > 0 ? `Change ${line.name} quantity` : `Remove ${line.name}`, () => {
+        if (newQuantity > 0) {
+          line.quantity = newQuantity;
+        } else {
+          this.cart.splice(index, 1);
+        }
+        this.saveOrders();
+      });
+      this.updateCartDisplay();
+    }
+  }
+
+  // Get cart subtotal (items only, before packaging, taxes and fees)
+  getSubtotal() {
+    return this.cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+  }
+
+  // Get itemized bill for an order (defaults to the active order).
+  // The checkout promo code and delivery zone only apply to the active order.
+  getBill(orderId = null) {
+    const items = orderId ? this.getOrderItems(orderId) : this.cart;
+    const active = !orderId || orderId === this.activeOrderId;
+    const delivery = active && this.deliveryQuote && this.deliveryQuote.serviceable
+      ? { deliveryFee: this.deliveryQuote.fee }
+      : {};
+    const bill = this.pricingEngine.calculate(items, delivery);
+
+    if (!this.promoCode || !active) {
+      return bill;
+    }
+
+    const promo = this.evaluatePromo(bill);
+    return promo.valid ? this.pricingEngine.calculate(items, { ...delivery, discount: promo }) : bill;
+  }
+
+  // Get cart grand total
+  getTotal() {
+    return this.getBill().total;
+  }
+
+  // Get cart item count
+  getItemCount() {
+    return this.cart.reduce((count, item) => count + item.quantity, 0);
+  }
+
+
+  // ========================================
+  // PROMO CODES
+  // ========================================
+
+  // Check the entered promo code against an undiscounted bill
+  evaluatePromo(bill = this.pricingEngine.calculate(this.cart)) {
+    if (!this.promoEngine) {
+      return { valid: false, code: this.promoCode, amount: 0, categories: null, message: 'Promo codes are unavailable' };
+    }
+    return this.promoEngine.evaluate(this.promoCode, bill, { userKey: this.getUserKey() });
+  }
+
+  // Set the checkout promo code. An invalid code is kept so it can start
+  // applying once the cart qualifies; the returned status explains why not.
+  applyPromo(code) {
+    this.promoCode = this.promoEngine ? this.promoEngine.normalizeCode(code) || null : null;
+    this.updateCartDisplay();
+    this.notifyListeners();
+    return this.promoCode ? this.evaluatePromo() : null;
+  }
+
+  removePromo() {
+    this.applyPromo(null);
+  }
+
+  /**
+   * Charge delivery for the checkout address (see DeliveryZones#quote)
+   * @param {Object|null} quote - null until a pin code is entered; the menu's
+   *   flat delivery fee applies until then
+   */
+  setDeliveryQuote(quote) {
+    if (sameData(quote, this.deliveryQuote)) return;
+    this.deliveryQuote = quote;
+    this.updateCartDisplay();
+    this.notifyListeners();
+  }
+
+  /**
+   * Empty the active order
+   * @param {Object} options - {undoable}: false once the order has been
+   *   placed (it is in order history and can be reordered from there)
+   */
+  clearCart({ undoable = true } = {}) {
+    if (undoable && this.rejectIfLocked()) return;
+
+    const clear = () => {
+      this.setOrderItems(this.activeOrderId, []);
+      if (!undoable) {
+        // A placed group or recurring order is done with; the order starts
+        // over on its own
+        delete this.orders[this.activeOrderId].group;
+        delete this.orders[this.activeOrderId].recurrence;
+      }
+      this.saveOrders();
+    };
+
+    if (undoable) {
+      this.recordChange('Clear cart', clear);
+    } else {
+      clear();
+    }
+    this.updateCartDisplay();
+    this.showNotification('Cart cleared!', 'info', undoable ? this.undoAction() : null);
+  }
+
+
+  // Update cart display
+  updateCartDisplay() {
+    const cartCountElement = document.querySelector('.cart-count');
+    const cartItemsContainer = document.querySelector('.cart-items');
+    const totalAmountElement = document.getElementById('total-amount');
+    const billElement = document.getElementById('bill-breakdown');
+    const orderBar = document.querySelector('.order-summary-bottom');
+    const bill = this.getBill();
+
+    if (cartCountElement) {
+      cartCountElement.textContent = this.getItemCount();
+    }
+
+    if (cartItemsContainer) {
+      this.renderCartItems(cartItemsContainer);
+    }
+
+    if (totalAmountElement) {
+      totalAmountElement.textContent = bill.total.toFixed(2);
+    }
+
+    if (billElement) {
+      billElement.innerHTML = this.cart.length > 0 ? this.pricingEngine.renderBreakdown(bill) : '';
+    }
+
+    // Show/hide order summary bottom bar
+    if (orderBar) {
+      if (this.cart.length > 0) {
+        orderBar.classList.add('show');
+      } else {
+        orderBar.classList.remove('show');
+      }
+    }
+  }
+
+  // Render cart items
+  renderCartItems(container) {
+    if (this.cart.length === 0) {
+      container.innerHTML = '<p class="empty-cart">Your cart is empty</p>';
+      return;
+    }
+
+    const group = this.getGroup();
+    container.innerHTML = this.cart.map((item, index) => `
+      <div class="cart-item" data-index="${index}">
+        <div class="cart-item-info">
+          <h4>${item.name}</h4>
+          ${item.modifiers && item.modifiers.length ? `<p class="cart-item-modifiers">${this.formatModifiers(item)}</p>` : ''}
+          ${group ? `<p class="cart-item-participant">For ${this.getParticipantName(item.participant, group)}</p>` : ''}
+          <p>${formatCurrency(item.price)} x ${item.quantity}</p>
+          ${item.unavailable ? '<p class="cart-item-warning">No longer on the menu</p>' : ''}
+        </div>
+        <div class="cart-item-controls">
+          <button class="quantity-btn" data-action="decrease" data-index="${index}">-</button>
+          <span class="quantity">${item.quantity}</span>
+          <button class="quantity-btn" data-action="increase" data-index="${index}">+</button>
+          <button class="remove-item" data-index="${index}">Remove</button>
+        </div>
+        <div class="cart-item-total">
+          ${formatCurrency(item.price * item.quantity)}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  // Bind cart events
+  bindEvents() {
+    const cartContainer = document.querySelector('.cart-items');
+    if (!cartContainer) return;
+
+    cartContainer.addEventListener('click', (e) => {
+      const target = e.target;
+      const index = parseInt(target.dataset.index);
+
+      if (target.classList.contains('remove-item')) {
+        this.removeItem(index);
+      } else if (target.classList.contains('quantity-btn')) {
+        const action = target.dataset.action;
+        const item = this.cart[index];
+        if (item) {
+          const newQuantity = action === 'increase' ? item.quantity + 1 : item.quantity - 1;
+          this.updateQuantity(index, newQuantity);
+        }
+      }
+    });
+  }
+
+  // ========================================
+  // CROSS-TAB SYNC
+  // ========================================
+
+  // Merge another tab's stored orders into ours (see mergeEntries). Undo
+  // and redo merge against a recorded state instead.
+  mergeOrders(stored, synced = this.synced.orders, current = this.orders) {
+    return mergeEntries(synced, current, stored, (base, mine, theirs) => {
+      const merged = {
+        ...pickGreater(mine, theirs),
+        items: this.mergeOrderLines(base ? base.items : [], mine.items, theirs.items),
+        updatedAt: mine.updatedAt > theirs.updatedAt ? mine.updatedAt : theirs.updatedAt
+      };
+      const group = this.mergeGroups(base && base.group, mine.group, theirs.group);
+      if (group) {
+        merged.group = group;
+      } else {
+        delete merged.group;
+      }
+      return merged;
+    });
+  }
+
+  // Both tabs changed a group order: keep everyone either tab added, and
+  // keep it locked if either side locked it
+  mergeGroups(base, mine, theirs) {
+    if (!mine || !theirs) {
+      // One side started or ended the group order
+      return (sameData(base || null, mine || null) ? theirs : mine) || null;
+    }
+
+    return {
+      ...pickGreater(mine, theirs),
+      participants: mergeById(base ? base.participants : [], mine.participants, theirs.participants, (baseParticipant, myParticipant, theirParticipant) =>
+        pickGreater(myParticipant, theirParticipant)),
+      locked: mine.locked || theirs.locked
+    };
+  }
+
+  // Both tabs changed the same order: each side's quantity change is
+  // applied per line, so two tabs adding the same dish add up
+  mergeOrderLines(base = [], mine, theirs) {
+    const byKey = lines => new Map(lines.map(line => [this.getLineKey(line), line]));
+    const quantity = line => (line ? line.quantity : 0);
+    const [baseLines, myLines, theirLines] = [byKey(base), byKey(mine), byKey(theirs)];
+    const merged = [];
+
+    new Set([...theirLines.keys(), ...myLines.keys()]).forEach(key => {
+      const start = quantity(baseLines.get(key));
+      const total = quantity(myLines.get(key)) + quantity(theirLines.get(key)) - start;
+      if (total > 0) {
+        const line = myLines.has(key) && theirLines.has(key)
+          ? pickGreater(myLines.get(key), theirLines.get(key))
+          : myLines.get(key) || theirLines.get(key);
+        merged.push({ ...line, quantity: total });
+      }
+    });
+    return merged;
+  }
+
+  // Merge another tab's stored templates into ours; when both edited the
+  // same template the later edit wins
+  mergeTemplates(stored, synced = this.synced.templates, current = this.orderTemplates) {
+    return mergeById(synced, current, stored, (base, mine, theirs) => {
+      const editedAt = template => template.updatedAt || template.createdAt || '';
+      if (editedAt(mine) === editedAt(theirs)) return pickGreater(mine, theirs);
+      return editedAt(mine) > editedAt(theirs) ? mine : theirs;
+    });
+  }
+
+  // Follow changes other tabs make to orders, templates and the active order
+  bindSyncEvents() {
+    this.storage.subscribe((key) => {
+      if (key === this.storageKey('rex-cart-history') || key === null) {
+        this.commandHistory.load();
+      }
+
+      const [ordersKey, templatesKey, activeOrderKey] = ['rex-orders', 'rex-order-templates', 'rex-active-order-id']
+        .map(name => this.storageKey(name));
+      // A null key means storage was cleared
+      if (![ordersKey, templatesKey, activeOrderKey, null].includes(key)) return;
+
+      if (key === ordersKey || key === null) {
+        const stored = this.loadOrders();
+        this.orders = this.mergeOrders(stored);
+        this.synced.orders = cloneData(stored);
+      }
+
+      if (key === templatesKey || key === null) {
+        const stored = this.loadOrderTemplates();
+        this.orderTemplates = this.mergeTemplates(stored);
+        this.synced.templates = cloneData(stored);
+      }
+
+      if (key === activeOrderKey && this.orders[this.loadActiveOrderId()]) {
+        this.activeOrderId = this.loadActiveOrderId();
+      }
+
+      // The active order may have been deleted elsewhere
+      if (!this.orders[this.activeOrderId]) {
+        this.activeOrderId = 'default';
+      }
+      this.initializeDefaultOrder();
+      this.updateCartDisplay();
+      this.notifyListeners();
+    });
+  }
+
+  // ========================================
+  // PER-USER DATA
+  // ========================================
+
+  // Key the current user's data is kept under: their email, or 'guest'
+  getUserKey() {
+    const user = this.authManager && this.authManager.currentUser;
+    return user && user.email ? user.email.toLowerCase() : 'guest';
+  }
+
+  // Someone signed in or out: show their carts and templates instead.
+  // Signing out leaves the account's data stored but out of reach until
+  // that user signs in again.
+  switchUser() {
+    const userKey = this.getUserKey();
+    if (userKey === this.userKey) return;
+
+    this.userKey = userKey;
+    this.promoCode = null;
+    this.activeOrderId = this.loadActiveOrderId();
+    this.orders = this.loadOrders();
+    this.orderTemplates = this.loadOrderTemplates();
+    this.synced = { orders: cloneData(this.orders), templates: cloneData(this.orderTemplates) };
+    this.commandHistory.setKey(this.storageKey('rex-cart-history'));
+    this.lastChange = null;
+
+    this.adoptGuestData();
+    this.initializeDefaultOrder();
+    if (!this.orders[this.activeOrderId]) {
+      this.activeOrderId = 'default';
+    }
+    this.updateCartDisplay();
+    this.notifyListeners();
+  }
+
+  // Move what a guest saved (carts, templates, form drafts) into the
+  // signed-in user's data, so logging in at checkout keeps the cart
+  adoptGuestData() {
+    if (this.userKey === 'guest') return;
+
+    const guestOrders = this.loadOrders('rex-orders');
+    const guestTemplates = this.loadOrderTemplates('rex-order-templates');
+    const guestActiveOrderId = this.storage.get('rex-active-order-id', 'default') || 'default';
+    const guestForms = this.storage.keys().filter(key => /^rex-form-[^:]*$/.test(key));
+    let adoptedItems = false;
+
+    Object.keys(guestOrders).forEach(orderId => {
+      const guestOrder = guestOrders[orderId];
+      if (guestOrder.items.length === 0) return;
+
+      // Same order on both sides (e.g. 'default'): add the guest's lines
+      if (this.orders[orderId]) {
+        this.orders[orderId].items = this.mergeOrderLines([], this.orders[orderId].items, guestOrder.items);
+      } else {
+        this.orders[orderId] = guestOrder;
+      }
+      adoptedItems = true;
+    });
+
+    guestTemplates.forEach(template => {
+      if (this.orderTemplates.some(t => t.id === template.id)) return;
+      const nameTaken = this.orderTemplates.some(t => t.name === template.name);
+      this.orderTemplates.push(nameTaken ? { ...template, name: `${template.name} (guest)` } : template);
+    });
+
+    guestForms.forEach(key => {
+      const userKey = this.storageKey(key);
+      if (this.storage.get(userKey) === null) {
+        this.storage.set(userKey, this.storage.get(key));
+      }
+      this.storage.remove(key);
+    });
+
+    if (!adoptedItems && guestTemplates.length === 0) return;
+
+    if (adoptedItems && guestOrders[guestActiveOrderId] && guestOrders[guestActiveOrderId].items.length > 0) {
+      this.activeOrderId = guestActiveOrderId;
+      this.saveActiveOrderId();
+    }
+    this.saveOrders();
+    this.saveOrderTemplates();
+    ['rex-orders', 'rex-order-templates', 'rex-active-order-id'].forEach(key => this.storage.remove(key));
+
+    if (adoptedItems) {
+      this.showNotification('Items you added before logging in are in your cart', 'info');
+    }
+  }
+
+  // ========================================
+  // UNDO / REDO
+  // ========================================
+
+  // What an undoable change can touch
+  snapshot() {
+    return cloneData({ orders: this.orders, templates: this.orderTemplates, activeOrderId: this.activeOrderId });
+  }
+
+  /**
+   * Make a change to orders or templates as one undoable step. Changes
+   * made inside it (e.g. deleting the active order switches orders) are
+   * part of the same step.
+   * @param {string} label - What the change does, e.g. "Remove Masala Dosa"
+   * @param {Function} mutate - Makes and saves the change
+   * @returns {*} What mutate returned
+   */
+  recordChange(label, mutate) {
+    if (this.changeDepth > 0) {
+      return mutate();
+    }
+
+    const before = this.snapshot();
+    let result;
+    this.changeDepth++;
+    try {
+      result = mutate();
+    } finally {
+      this.changeDepth--;
+    }
+
+    const after = this.snapshot();
+    this.lastChange = sameData(before, after) ? null : this.commandHistory.push(label, before, after);
+    return result;
+  }
+
+  // Toast action undoing the change just recorded (null if nothing changed)
+  undoAction() {
+    const entry = this.lastChange;
+    return entry ? { label: 'Undo', onClick: () => this.undo(entry.id) } : null;
+  }
+
+  /**
+   * Undo the newest change
+   * @param {string} entryId - Only undo if this change is still the newest
+   *   (a toast's Undo must not undo something done after it)
+   * @returns {boolean} Whether anything was undone
+   */
+  undo(entryId = null) {
+    const entry = this.commandHistory.peekUndo();
+    if (!entry || (entryId && entry.id !== entryId)) {
+      this.showNotification('Nothing to undo', 'info');
+      return false;
+    }
+
+    this.commandHistory.takeUndo();
+    this.applyChange(entry.after, entry.before);
+    this.showNotification(`Undone: ${entry.label}`, 'info');
+    return true;
+  }
+
+  redo() {
+    const entry = this.commandHistory.peekRedo();
+    if (!entry) {
+      this.showNotification('Nothing to redo', 'info');
+      return false;
+    }
+
+    this.commandHistory.takeRedo();
+    this.applyChange(entry.before, entry.after);
+    this.showNotification(`Redone: ${entry.label}`, 'info');
+    return true;
+  }
+
+  // Change the current state the way `from` became `to`. This is the same
+  // three-way merge as for other tabs' edits, so changes made since (here
+  // or in another tab) are kept.
+  applyChange(from, to) {
+    this.orders = this.mergeOrders(this.orders, from.orders, to.orders);
+    this.orderTemplates = this.mergeTemplates(this.orderTemplates, from.templates, to.templates);
+
+    if (this.activeOrderId === from.activeOrderId && this.orders[to.activeOrderId]) {
+      this.activeOrderId = to.activeOrderId;
+    }
+    if (!this.orders[this.activeOrderId]) {
+      this.activeOrderId = 'default';
+    }
+
+    this.initializeDefaultOrder();
+    this.saveOrders();
+    this.saveOrderTemplates();
+    this.saveActiveOrderId();
+    this.updateCartDisplay();
+  }
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields keep
+  // their own undo.
+  bindUndoShortcuts() {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+        e.preventDefault();
+        this.redo();
+      }
+    });
+  }
+
+  // ========================================
+  // CATALOG SYNCHRONIZATION
+  // ========================================
+
+  // Re-point stored lines at the current catalog: attach SKUs to legacy
+  // name-only lines, refresh names/prices, and merge lines sharing a SKU
+  syncWithCatalog() {
+    if (!this.menuCatalog || !this.menuCatalog.loaded) return;
+
+    Object.keys(this.orders).forEach(orderId => {
+      this.orders[orderId].items = this.mergeLines(this.orders[orderId].items.map(line => this.resolveLine(line)));
+    });
+
+    this.orderTemplates.forEach(template => {
+      template.items = this.mergeLines(template.items.map(line => this.resolveLine(line, { keepPrice: true })));
+
+      // Templates saved before itemized billing only stored the raw sum
+      if (!template.bill) {
+        template.bill = this.pricingEngine.calculate(template.items);
+        template.total = template.bill.total;
+      }
+    });
+
+    this.saveOrders();
+    this.saveOrderTemplates();
+    this.updateCartDisplay();
+  }
+
+  // Resolve a stored line against the catalog. Template lines keep the
+  // price they were saved with so later price changes can be detected.
+  resolveLine(line, options = {}) {
+    const menuItem = (line.sku && this.menuCatalog.getItem(line.sku)) ||
+      (!line.sku && this.menuCatalog.findByName(line.name));
+
+    if (!menuItem) {
+      return { ...line, unavailable: true };
+    }
+
+    const resolvedOptions = this.menuCatalog.resolveOptions(menuItem, this.getLineSelections(line));
+    if (!resolvedOptions.valid) {
+      return { ...line, sku: menuItem.sku, unavailable: true };
+    }
+
+    const resolved = {
+      ...line,
+      sku: menuItem.sku,
+      name: sanitizeInput(menuItem.name),
+      price: options.keepPrice ? line.price : resolvedOptions.unitPrice,
+      modifiers: resolvedOptions.modifiers
+    };
+    delete resolved.id;
+    delete resolved.unavailable;
+    return resolved;
+  }
+
+  // Merge lines that refer to the same SKU and option combination
+  mergeLines(lines) {
+    const merged = [];
+    lines.forEach(line => {
+      const existing = line.sku && merged.find(other => this.getLineKey(other) === this.getLineKey(line));
+      if (existing) {
+        existing.quantity += line.quantity;
+      } else {
+        merged.push({ ...line });
+      }
+    });
+    return merged;
+  }
+
+  // Add the lines of a past order to the active cart at today's prices.
+  // Returns which lines changed price and which are no longer sold.
+  reorder(items) {
+    if (!this.menuCatalog || !this.menuCatalog.loaded) {
+      this.showNotification('Our menu is unavailable right now. Please try again shortly.', 'error');
+      return null;
+    }
+
+    if (this.rejectIfLocked()) return null;
+
+    const priceChanges = [];
+    const unavailable = [];
+    let added = 0;
+
+    this.recordChange('Reorder', () => {
+      items.forEach(line => {
+        const resolved = this.assignParticipant(this.resolveLine(line));
+        if (resolved.unavailable) {
+          unavailable.push(resolved.name);
+          return;
+        }
+
+        if (resolved.price !== line.price) {
+          priceChanges.push({ name: resolved.name, oldPrice: line.price, newPrice: resolved.price });
+        }
+
+        const existingItem = this.cart.find(cartItem => this.getLineKey(cartItem) === this.getLineKey(resolved));
+        if (existingItem) {
+          existingItem.quantity += resolved.quantity;
+        } else {
+          this.cart.push(resolved);
+        }
+        added += resolved.quantity;
+      });
+
+      if (added > 0) {
+        this.saveOrders();
+      }
+    });
+
+    if (added > 0) {
+      this.updateCartDisplay();
+      this.showNotification(`Added ${added} item${added === 1 ? '' : 's'} to your cart`, 'success', this.undoAction());
+    }
+
+    if (priceChanges.length > 0) {
+      this.showNotification(`Prices have changed: ${priceChanges
+        .map(change => `${change.name} ${formatCurrency(change.oldPrice)} → ${formatCurrency(change.newPrice)}`)
+        .join(', ')}`, 'warning');
+    }
+
+    if (unavailable.length > 0) {
+      this.showNotification(`No longer on the menu: ${unavailable.join(', ')}`, 'error');
+    }
+
+    return { added, priceChanges, unavailable };
+  }
+
+  /**
+   * Show notification
+   * @param {string} message - Text to show
+   * @param {string} type - success, error, info or warning
+   * @param {Object} action - Optional button, {label, onClick} (e.g. undoAction())
+   */
+  showNotification(message, type = 'info', action = null) {
+    // Create notification element
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
+    notification.textContent = message;
+
+    const hide = () => {
+      notification.classList.remove('show');
+      setTimeout(() => notification.remove(), 300);
+    };
+
+    if (action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'notification-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        hide();
+        action.onClick();
+      });
+      notification.appendChild(button);
+    }
+
+    // Add to page
+    document.body.appendChild(notification);
+
+    // Animate in
+    setTimeout(() => notification.classList.add('show'), 100);
+
+    // Remove after delay (longer when there is something to click)
+    setTimeout(hide, action ? 6000 : 3000);
+  }
+
+  // Event listeners
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+
+  notifyListeners() {
+    this.listeners.forEach(callback => callback(this.cart));
+  }
+
+  // ========================================
+  // MULTIPLE ORDERS FUNCTIONALITY
+  // ========================================
+
+  // Create a new order
+  createOrder(name = null) {
+    const orderId = name || this.generateOrderId();
+    if (!this.orders[orderId]) {
+      this.recordChange(`Create order ${orderId}`, () => {
+        this.orders[orderId] = createOrderRecord();
+        this.saveOrders();
+        this.switchToOrder(orderId);
+      });
+      this.showNotification(`Created new order: ${orderId}`, 'success');
+    }
+    return orderId;
+  }
+
+  // Switch to a different order
+  switchToOrder(orderId) {
+    if (this.orders[orderId]) {
+      this.activeOrderId = orderId;
+      this.saveActiveOrderId();
+      this.updateCartDisplay();
+      this.notifyListeners();
+      this.showNotification(`Switched to order: ${orderId}`, 'info');
+    } else {
+      this.showNotification(`Order not found: ${orderId}`, 'error');
+    }
+  }
+
+  // Duplicate current order
+  duplicateCurrentOrder() {
+    const currentItems = this.cart.map(line => ({ ...line }));
+    const group = this.getGroup();
+    const newOrderId = this.generateOrderId('copy');
+    this.recordChange(`Duplicate order ${this.activeOrderId}`, () => {
+      this.orders[newOrderId] = createOrderRecord(currentItems);
+      // The copy of a group order has the same people and is open for changes
+      if (group) {
+        this.orders[newOrderId].group = { ...cloneData(group), locked: false };
+      }
+      this.saveOrders();
+    });
+    this.showNotification(`Duplicated order as: ${newOrderId}`, 'success');
+    return newOrderId;
+  }
+
+  // Delete an order
+  deleteOrder(orderId) {
+    if (orderId === 'default') {
+      this.showNotification('Cannot delete default order', 'error');
+      return false;
+    }
+    
+    if (this.orders[orderId]) {
+      this.recordChange(`Delete order ${orderId}`, () => {
+        delete this.orders[orderId];
+        this.saveOrders();
+
+        // If we deleted the active order, switch to default
+        if (this.activeOrderId === orderId) {
+          this.switchToOrder('default');
+        }
+      });
+
+      this.showNotification(`Deleted order: ${orderId}`, 'info', this.undoAction());
+      return true;
+    }
+    return false;
+  }
+
+  // Get all order IDs
+  getAllOrderIds() {
+    return Object.keys(this.orders);
+  }
+
+  // Get order summary
+  getOrderSummary(orderId = null) {
+    const targetOrderId = orderId || this.activeOrderId;
+    const items = this.getOrderItems(targetOrderId);
+    const bill = this.pricingEngine.calculate(items);
+    
+    return {
+      orderId: targetOrderId,
+      itemCount: bill.itemCount,
+      total: bill.total,
+      bill,
+      items: [...items]
+    };
+  }
+
+  // Rename order
+  renameOrder(oldOrderId, newOrderId) {
+    if (this.orders[oldOrderId] && !this.orders[newOrderId]) {
+      this.recordChange(`Rename order ${oldOrderId}`, () => {
+        this.orders[newOrderId] = this.orders[oldOrderId];
+        delete this.orders[oldOrderId];
+        this.saveOrders();
+
+        // Update active order ID if needed
+        if (this.activeOrderId === oldOrderId) {
+          this.activeOrderId = newOrderId;
+          this.saveActiveOrderId();
+        }
+      });
+
+      this.showNotification(`Renamed order to: ${newOrderId}`, 'success');
+      return true;
+    }
+    return false;
+  }
+
+  // Generate unique order ID
+  generateOrderId(prefix = 'order') {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+  }
+
+  // ========================================
+  // GROUP ORDERS
+  // ========================================
+
+  // An order's group ({host, participants: [{id, name}], locked}), or null
+  // for an order that is not a group order
+  getGroup(orderId = this.activeOrderId) {
+    const order = this.orders[orderId];
+    return order && order.group ? order.group : null;
+  }
+
+  /**
+   * Turn the active order into a group order colleagues add their own items
+   * to. Items already in it become the host's.
+   * @param {string} hostName - Name shown for the host (defaults to the
+   *   signed-in user's name)
+   * @returns {string|null} The host's participant ID
+   */
+  startGroupOrder(hostName = null) {
+    if (this.getGroup()) {
+      this.showNotification('This is already a group order', 'info');
+      return null;
+    }
+
+    const user = this.authManager && this.authManager.currentUser;
+    const name = sanitizeInput(String(hostName || (user && user.name) || 'Host').trim());
+    const host = { id: this.generateOrderId('person'), name };
+
+    this.recordChange(`Start group order ${this.activeOrderId}`, () => {
+      const order = this.orders[this.activeOrderId];
+      order.group = { host: host.id, participants: [host], locked: false };
+      order.items = this.mergeLines(order.items.map(line => ({ ...line, participant: host.id })));
+      this.saveOrders();
+    });
+    this.participantId = host.id;
+    this.updateCartDisplay();
+    this.showNotification('Group order started. Add the people ordering with you.', 'success', this.undoAction());
+    return host.id;
+  }
+
+  // Turn the active group order back into a plain order, keeping its items
+  endGroupOrder() {
+    const group = this.getGroup();
+    if (!group || this.rejectIfLocked()) return false;
+
+    this.recordChange(`End group order ${this.activeOrderId}`, () => {
+      const order = this.orders[this.activeOrderId];
+      delete order.group;
+      order.items = this.mergeLines(order.items.map(line => this.assignParticipant(line)));
+      this.saveOrders();
+    });
+    this.participantId = null;
+    this.updateCartDisplay();
+    this.showNotification('Group order ended', 'info', this.undoAction());
+    return true;
+  }
+
+  /**
+   * Add someone to the active group order
+   * @param {string} name - Their name, unique within the order
+   * @returns {string|null} Their participant ID
+   */
+  addParticipant(name) {
+    const group = this.getGroup();
+    if (!group || this.rejectIfLocked()) return null;
+
+    const cleanName = sanitizeInput(String(name || '').trim());
+    if (!cleanName) {
+      this.showNotification('Please enter a name', 'error');
+      return null;
+    }
+
+    if (group.participants.some(participant => participant.name.toLowerCase() === cleanName.toLowerCase())) {
+      this.showNotification(`${cleanName} is already in this order`, 'error');
+      return null;
+    }
+
+    const participant = { id: this.generateOrderId('person'), name: cleanName };
+    this.recordChange(`Add ${cleanName} to group order`, () => {
+      this.getGroup().participants.push(participant);
+      this.saveOrders();
+    });
+    this.notifyListeners();
+    return participant.id;
+  }
+
+  // Take someone out of the active group order, with their items
+  removeParticipant(participantId) {
+    const group = this.getGroup();
+    if (!group || this.rejectIfLocked()) return false;
+
+    const participant = group.participants.find(candidate => candidate.id === participantId);
+    if (!participant || participant.id === group.host) {
+      this.showNotification('The host cannot be removed from a group order', 'error');
+      return false;
+    }
+
+    this.recordChange(`Remove ${participant.name} from group order`, () => {
+      const order = this.orders[this.activeOrderId];
+      order.group.participants = order.group.participants.filter(candidate => candidate.id !== participantId);
+      order.items = order.items.filter(line => line.participant !== participantId);
+      this.saveOrders();
+    });
+    this.updateCartDisplay();
+    this.showNotification(`Removed ${participant.name} and their items`, 'info', this.undoAction());
+    return true;
+  }
+
+  // Choose who this tab adds group order items for
+  setParticipant(participantId) {
+    this.participantId = participantId;
+    this.notifyListeners();
+  }
+
+  // Who items added to a group order are for: the chosen person, or the host
+  getParticipantId(group = this.getGroup()) {
+    if (!group) return null;
+    return group.participants.some(participant => participant.id === this.participantId) ? this.participantId : group.host;
+  }
+
+  getParticipantName(participantId, group = this.getGroup()) {
+    const participant = group && (group.participants.find(candidate => candidate.id === participantId) ||
+      group.participants.find(candidate => candidate.id === group.host));
+    return participant ? participant.name : '';
+  }
+
+  // Tag a line with who it is for when it goes into a group order (keeping
+  // its person if they are in that order); lines of plain orders have none
+  assignParticipant(line, orderId = this.activeOrderId) {
+    const group = this.getGroup(orderId);
+    const assigned = { ...line };
+    if (!group) {
+      delete assigned.participant;
+    } else if (!group.participants.some(participant => participant.id === line.participant)) {
+      assigned.participant = this.getParticipantId(group);
+    }
+    return assigned;
+  }
+
+  /**
+   * Lock or unlock the active group order. A locked order cannot be changed,
+   * and a group order has to be locked before it is placed. Only the host
+   * can do this.
+   * @param {boolean} locked - Lock (true) or unlock (false)
+   * @returns {boolean} Whether the order is now in that state
+   */
+  setGroupLocked(locked) {
+    const group = this.getGroup();
+    if (!group) return false;
+    if (group.locked === locked) return true;
+
+    if (this.getParticipantId(group) !== group.host) {
+      this.showNotification(`Only ${this.getParticipantName(group.host, group)}, who started this group order, can ${locked ? 'lock' : 'unlock'} it`, 'error');
+      return false;
+    }
+
+    this.recordChange(`${locked ? 'Lock' : 'Unlock'} group order ${this.activeOrderId}`, () => {
+      this.getGroup().locked = locked;
+      this.saveOrders();
+    });
+    this.showNotification(locked ? 'Group order locked. Nobody can change it now.' : 'Group order unlocked', 'info', this.undoAction());
+    return true;
+  }
+
+  // Refuse (and say why) to change a locked group order
+  rejectIfLocked(orderId = this.activeOrderId) {
+    const group = this.getGroup(orderId);
+    if (group && group.locked) {
+      this.showNotification('This group order is locked. Ask the host to unlock it to make changes.', 'error');
+      return true;
+    }
+    return false;
+  }
+
+  // Who pays what for a group order (see PricingEngine.splitBill), or null
+  getSplit(orderId = null) {
+    const group = this.getGroup(orderId || this.activeOrderId);
+    return group ? this.pricingEngine.splitBill(this.getBill(orderId), group.participants) : null;
+  }
+
+  // ========================================
+  // ORDER TEMPLATES FUNCTIONALITY
+  // ========================================
+
+  // Save current order as template
+  saveAsTemplate(templateName) {
+    if (!templateName || templateName.trim() === '') {
+      this.showNotification('Please enter a template name', 'error');
+      return false;
+    }
+
+    const sanitizedName = sanitizeInput(templateName.trim());
+    
+    // Check if template already exists
+    if (this.orderTemplates.find(t => t.name === sanitizedName)) {
+      this.showNotification('Template with this name already exists', 'error');
+      return false;
+    }
+
+    const bill = this.pricingEngine.calculate(this.cart);
+    const template = {
+      id: this.generateOrderId('template'),
+      name: sanitizedName,
+      items: [...this.cart],
+      createdAt: new Date().toISOString(),
+      bill,
+      total: bill.total,
+      itemCount: bill.itemCount
+    };
+
+    this.recordChange(`Save template ${sanitizedName}`, () => {
+      this.orderTemplates.push(template);
+      this.saveOrderTemplates();
+    });
+    this.showNotification(`Saved template: ${sanitizedName}`, 'success');
+    return template.id;
+  }
+
+  // Load template
+  loadTemplate(templateId, targetOrderId = null) {
+    const template = this.orderTemplates.find(t => t.id === templateId);
+    if (!template) {
+      this.showNotification('Template not found', 'error');
+      return false;
+    }
+
+    const orderId = targetOrderId || this.activeOrderId;
+    if (this.rejectIfLocked(orderId)) return false;
+
+    this.recordChange(`Load template ${template.name}`, () => {
+      this.setOrderItems(orderId, (this.menuCatalog && this.menuCatalog.loaded
+        ? template.items.map(line => this.resolveLine(line))
+        : template.items).map(line => this.assignParticipant(line, orderId)));
+      this.saveOrders();
+    });
+    this.updateCartDisplay();
+    // Loading replaces the order's items, so offer a way back
+    this.showNotification(`Loaded template: ${template.name}`, 'success', this.undoAction());
+    return true;
+  }
+
+  // Delete template
+  deleteTemplate(templateId) {
+    const index = this.orderTemplates.findIndex(t => t.id === templateId);
+    if (index !== -1) {
+      const templateName = this.orderTemplates[index].name;
+      this.recordChange(`Delete template ${templateName}`, () => {
+        this.orderTemplates.splice(index, 1);
+        this.saveOrderTemplates();
+      });
+      this.showNotification(`Deleted template: ${templateName}`, 'info', this.undoAction());
+      return true;
+    }
+    return false;
+  }
+
+  // Get all templates
+  getAllTemplates() {
+    return [...this.orderTemplates];
+  }
+
+  // Get template details
+  getTemplate(templateId) {
+    return this.orderTemplates.find(t => t.id === templateId);
+  }
+
+  // Update template
+  updateTemplate(templateId, newName = null, newItems = null) {
+    const template = this.orderTemplates.find(t => t.id === templateId);
+    if (!template) {
+      return false;
+    }
+
+    this.recordChange(`Edit template ${template.name}`, () => {
+      if (newName) {
+        template.name = sanitizeInput(newName.trim());
+      }
+
+      if (newItems) {
+        const bill = this.pricingEngine.calculate(newItems);
+        template.items = [...newItems];
+        template.bill = bill;
+        template.total = bill.total;
+        template.itemCount = bill.itemCount;
+      }
+
+      template.updatedAt = new Date().toISOString();
+      this.saveOrderTemplates();
+    });
+    this.showNotification('Template updated successfully', 'success');
+    return true;
+  }
+
+  // Duplicate template
+  duplicateTemplate(templateId, newName = null) {
+    const template = this.getTemplate(templateId);
+    if (!template) {
+      return false;
+    }
+
+    const newTemplate = {
+      ...template,
+      id: this.generateOrderId('template'),
+      name: newName || `${template.name} (Copy)`,
+      createdAt: new Date().toISOString()
+    };
+
+    this.recordChange(`Duplicate template ${template.name}`, () => {
+      this.orderTemplates.push(newTemplate);
+      this.saveOrderTemplates();
+    });
+    this.showNotification(`Duplicated template as: ${newTemplate.name}`, 'success');
+    return newTemplate.id;
+  }
+}
+
+// ========================================
+// IMPORT / EXPORT
+// ========================================
+
+// Version of the export file format. Files from this version or older can
+// be imported.
+const ORDER_EXPORT_VERSION = 1;
+
+const ORDER_EXPORT_CSV_HEADER = ['Type', 'Name', 'SKU', 'Item', 'Options', 'Qty', 'Unit Price', 'Line Total'];
+
+// Error raised while reading an import file; `userMessage` is safe to show
+// to the customer
+class ImportError extends Error {
+  constructor(message, userMessage = 'This file could not be imported.') {
+    super(message);
+    this.name = 'ImportError';
+    this.userMessage = userMessage;
+  }
+}
+
+/**
+ * Moves orders and templates between browsers: exports them to a
+ * versioned JSON file or a CSV sheet, and imports either back after
+ * checking every line against the current menu
+ */
+class OrderTransfer {
+  constructor(cartManager) {
+    this.cartManager = cartManager;
+  }
+
+  // ========================================
+  // EXPORT
+  // ========================================
+
+  /**
+   * Orders and templates to export
+   * @param {Object} selection - {orderIds, templateIds}
+   * @returns {{orders: Object[], templates: Object[]}}
+   */
+  collect({ orderIds = [], templateIds = [] } = {}) {
+    const entry = (name, source) => ({
+      name,
+      createdAt: source.createdAt || null,
+      updatedAt: source.updatedAt || null,
+      items: source.items.map(line => this.exportLine(line))
+    });
+
+    return {
+      orders: orderIds
+        .filter(orderId => this.cartManager.orders[orderId])
+        .map(orderId => entry(orderId, this.cartManager.orders[orderId])),
+      templates: templateIds
+        .map(templateId => this.cartManager.getTemplate(templateId))
+        .filter(Boolean)
+        .map(template => entry(this.plainText(template.name), template))
+    };
+  }
+
+  // Template and item names are stored HTML-escaped (see sanitizeInput);
+  // files get the plain text
+  plainText(html) {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = html;
+    return textarea.value;
+  }
+
+  // Order names are used as order IDs, which end up in markup and inline
+  // handlers, so an imported one keeps only plain characters
+  toOrderId(name) {
+    return name.replace(/[^\w\s().-]/g, '').replace(/\s+/g, ' ').trim() || 'imported';
+  }
+
+  exportLine(line) {
+    return {
+      sku: line.sku || null,
+      name: this.plainText(line.name),
+      price: line.price,
+      quantity: line.quantity,
+      modifiers: (line.modifiers || []).map(modifier => ({
+        group: modifier.group,
+        choice: modifier.choice,
+        name: modifier.name
+      }))
+    };
+  }
+
+  toJSON(selection) {
+    return JSON.stringify({
+      format: 'rex-orders',
+      version: ORDER_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      ...this.collect(selection)
+    }, null, 2);
+  }
+
+  // One row per line: item, quantity, unit price and line total
+  toCSV(selection) {
+    const { orders, templates } = this.collect(selection);
+    const rows = [ORDER_EXPORT_CSV_HEADER];
+
+    [...orders.map(order => ['order', order]), ...templates.map(template => ['template', template])]
+      .forEach(([type, entry]) => entry.items.forEach(line => rows.push([
+        type,
+        entry.name,
+        line.sku || '',
+        line.name,
+        line.modifiers.map(modifier => modifier.name).join('; '),
+        line.quantity,
+        line.price.toFixed(2),
+        roundMoney(line.price * line.quantity).toFixed(2)
+      ])));
+
+    return toCsv(rows);
+  }
+
+  // A group order's split (see PricingEngine.splitBill): one row per
+  // person with what they ordered and what they owe, then the totals
+  splitToCSV(split) {
+    const amounts = ['subtotal', 'discount', 'packaging', 'tax', 'deliveryFee', 'roundOff', 'total'];
+    const rows = [['Person', 'Items', 'Item Total', 'Discount', 'Packaging', 'GST', 'Delivery Fee', 'Round Off', 'Share']];
+
+    split.forEach(share => rows.push([
+      this.plainText(share.name),
+      share.lines.map(line => {
+        const options = (line.modifiers || []).map(modifier => modifier.name).join(', ');
+        return `${line.quantity}× ${this.plainText(line.name)}${options ? ` (${options})` : ''}`;
+      }).join('; '),
+      ...amounts.map(field => share[field].toFixed(2))
+    ]));
+    rows.push([
+      'Total',
+      '',
+      ...amounts.map(field => roundMoney(split.reduce((sum, share) => sum + share[field], 0)).toFixed(2))
+    ]);
+
+    return toCsv(rows);
+  }
+
+  // ========================================
+  // IMPORT
+  // ========================================
+
+  /**
+   * Read an exported JSON or CSV file
+   * @param {string} text - File contents
+   * @returns {{orders: Object[], templates: Object[]}}
+   * @throws {ImportError} When the file is not an export this app can read
+   */
+  parse(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '').trim();
+    if (!content) {
+      throw new ImportError('Empty import file', 'This file is empty.');
+    }
+    return content.startsWith('{') ? this.parseJSON(content) : this.parseCSV(content);
+  }
+
+  parseJSON(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ImportError(`Invalid JSON: ${error.message}`, 'This file is damaged or is not an order export.');
+    }
+
+    if (!data || data.format !== 'rex-orders' || !Number.isInteger(data.version)) {
+      throw new ImportError('Not an order export', 'This file is not an order export from REX.');
+    }
+    if (data.version > ORDER_EXPORT_VERSION) {
+      throw new ImportError(`Unsupported export version ${data.version}`, 'This file was exported by a newer version of the app. Please reload the page and try again.');
+    }
+
+    return {
+      orders: this.readEntries(data.orders, 'order'),
+      templates: this.readEntries(data.templates, 'template')
+    };
+  }
+
+  parseCSV(content) {
+    const [header, ...rows] = parseCsv(content);
+    const columns = header.map(name => name.trim().toLowerCase());
+    const column = name => columns.indexOf(name.toLowerCase());
+    const required = ['Type', 'Name', 'Item', 'Qty', 'Unit Price'];
+    const missing = required.filter(name => column(name) === -1);
+
+    if (missing.length > 0) {
+      throw new ImportError(`CSV is missing columns: ${missing.join(', ')}`, `This CSV file needs the columns ${required.join(', ')}.`);
+    }
+
+    const cell = (row, name) => (column(name) === -1 ? '' : (row[column(name)] || '').trim());
+    const entries = { order: new Map(), template: new Map() };
+
+    rows.forEach((row, index) => {
+      const type = cell(row, 'Type').toLowerCase();
+      const name = cell(row, 'Name');
+      if (!entries[type] || !name) {
+        throw new ImportError(`CSV row ${index + 2} has no valid type or name`, `Row ${index + 2} of this CSV file needs a type (order or template) and a name.`);
+      }
+
+      if (!entries[type].has(name)) {
+        entries[type].set(name, { name, items: [] });
+      }
+      entries[type].get(name).items.push({
+        sku: cell(row, 'SKU') || null,
+        name: cell(row, 'Item'),
+        price: Number(cell(row, 'Unit Price')),
+        quantity: Number(cell(row, 'Qty')),
+        // Matched to the item's option groups by name when checking
+        optionNames: cell(row, 'Options').split(';').map(option => option.trim()).filter(Boolean)
+      });
+    });
+
+    return {
+      orders: this.readEntries([...entries.order.values()], 'order'),
+      templates: this.readEntries([...entries.template.values()], 'template')
+    };
+  }
+
+  // Check an exported list's shape; what its lines contain is checked later
+  readEntries(entries = [], type) {
+    if (!Array.isArray(entries)) {
+      throw new ImportError(`Expected a list of ${type}s`, 'This file is damaged or is not an order export.');
+    }
+
+    return entries.map(entry => {
+      if (!entry || typeof entry.name !== 'string' || !entry.name.trim() || !Array.isArray(entry.items)) {
+        throw new ImportError(`Invalid ${type} entry`, `A ${type} in this file has no name or items.`);
+      }
+      return {
+        name: entry.name.trim(),
+        createdAt: entry.createdAt || null,
+        items: entry.items.filter(line => line && typeof line === 'object')
+      };
+    });
+  }
+
+  /**
+   * Check parsed entries against the current menu and what is already saved
+   * @param {{orders: Object[], templates: Object[]}} data - From parse()
+   * @returns {{orders: Object[], templates: Object[]}} Each entry gets
+   *   `lines` ({line, status, resolved, message}; status is ok, repriced,
+   *   unavailable or invalid) and `collision` when its name is taken
+   */
+  check(data) {
+    const catalog = this.cartManager.menuCatalog;
+    if (!catalog || !catalog.loaded) {
+      throw new ImportError('Menu not loaded', 'Our menu is unavailable right now. Please try again shortly.');
+    }
+
+    const templateNames = this.cartManager.getAllTemplates().map(template => template.name);
+    const checkEntry = (entry, taken) => ({
+      ...entry,
+      lines: entry.items.map(line => this.checkLine(line)),
+      collision: taken.includes(sanitizeInput(entry.name))
+    });
+
+    return {
+      orders: data.orders.map(order => checkEntry({ ...order, name: this.toOrderId(order.name) }, this.cartManager.getAllOrderIds())),
+      templates: data.templates.map(template => checkEntry(template, templateNames))
+    };
+  }
+
+  checkLine(line) {
+    const name = typeof line.name === 'string' ? line.name : '';
+    if (!Number.isInteger(line.quantity) || line.quantity < 1 || typeof line.price !== 'number' || !(line.price >= 0) || (!line.sku && !name)) {
+      return { line, status: 'invalid', resolved: null, message: 'Missing item, quantity or price' };
+    }
+
+    const catalog = this.cartManager.menuCatalog;
+    const menuItem = (line.sku && catalog.getItem(line.sku)) || (!line.sku && catalog.findByName(name));
+    if (!menuItem) {
+      return { line, status: 'unavailable', resolved: null, message: 'No longer on the menu' };
+    }
+
+    const modifiers = line.optionNames
+      ? this.matchOptions(menuItem, line.optionNames)
+      : (Array.isArray(line.modifiers) ? line.modifiers : []);
+    if (!modifiers) {
+      return { line, status: 'unavailable', resolved: null, message: 'Some options are no longer available' };
+    }
+
+    const resolved = this.cartManager.resolveLine({ sku: line.sku, name, price: line.price, quantity: line.quantity, modifiers });
+    if (resolved.unavailable) {
+      return { line, status: 'unavailable', resolved: null, message: 'No longer on the menu' };
+    }
+
+    const clean = {
+      sku: resolved.sku,
+      name: resolved.name,
+      price: resolved.price,
+      modifiers: resolved.modifiers,
+      quantity: resolved.quantity
+    };
+    if (Math.abs(resolved.price - line.price) >= 0.01) {
+      return { line, status: 'repriced', resolved: clean, message: `Was ${formatCurrency(line.price)}, now ${formatCurrency(resolved.price)}` };
+    }
+    return { line, status: 'ok', resolved: clean, message: '' };
+  }
+
+  // CSV lists options by name; find them among the item's option groups
+  matchOptions(menuItem, optionNames) {
+    const groups = this.cartManager.menuCatalog.getOptionGroups(menuItem);
+    const modifiers = [];
+
+    for (const optionName of optionNames) {
+      const wanted = optionName.replace(/^\+\s*/, '').toLowerCase();
+      const group = groups.find(candidate => candidate.choices.some(choice => choice.name.toLowerCase() === wanted));
+      if (!group) return null;
+      modifiers.push({ group: group.id, choice: group.choices.find(choice => choice.name.toLowerCase() === wanted).id });
+    }
+    return modifiers;
+  }
+
+  // A name not yet used, e.g. "Lunch (2)"
+  suggestName(name, taken) {
+    let candidate = name;
+    for (let i = 2; taken.includes(candidate); i++) {
+      candidate = `${name} (${i})`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Add checked entries as new orders and templates (one undoable step).
+   * Lines that are unavailable or invalid are left out; the rest use
+   * today's prices. Orders whose name is taken get a numbered name.
+   * @param {Object} preview - From check()
+   * @param {Object} options - {templateNames: name to use per template index
+   *   (null skips it), skip: {orders: [indexes], templates: [indexes]}}
+   * @returns {{orders: string[], templates: string[]}} Names that were added
+   */
+  apply(preview, { templateNames = {}, skip = {} } = {}) {
+    const usable = entry => entry.lines.filter(check => check.resolved).map(check => check.resolved);
+    const imported = { orders: [], templates: [] };
+
+    this.cartManager.recordChange('Import', () => {
+      preview.orders.forEach((order, index) => {
+        const items = usable(order);
+        if ((skip.orders || []).includes(index) || items.length === 0) return;
+
+        const orderId = this.suggestName(this.toOrderId(order.name), this.cartManager.getAllOrderIds());
+        this.cartManager.orders[orderId] = createOrderRecord(items);
+        imported.orders.push(orderId);
+      });
+
+      preview.templates.forEach((template, index) => {
+        const items = usable(template);
+        const requested = index in templateNames ? templateNames[index] : template.name;
+        if ((skip.templates || []).includes(index) || !requested || items.length === 0) return;
+
+        const bill = this.cartManager.pricingEngine.calculate(items);
+        const name = this.suggestName(sanitizeInput(requested.trim()), this.cartManager.getAllTemplates().map(t => t.name));
+        this.cartManager.orderTemplates.push({
+          id: this.cartManager.generateOrderId('template'),
+          name,
+          items,
+          createdAt: new Date().toISOString(),
+          bill,
+          total: bill.total,
+          itemCount: bill.itemCount
+        });
+        imported.templates.push(name);
+      });
+
+      if (imported.orders.length > 0) this.cartManager.saveOrders();
+      if (imported.templates.length > 0) this.cartManager.saveOrderTemplates();
+    });
+
+    return imported;
+  }
+}
+
+
+// ========================================
+// SHARED CART LINKS
+// ========================================
+
+// Version of the shared cart payload. Links from this version or older
+// can be opened.
+const SHARE_LINK_VERSION = 1;
+
+/**
+ * Turns an order into a short link (main.html#cart=...) a colleague can
+ * open to add the same items, and reads such links back.
+ *
+ * The payload is `<version><z|j>.<base64url>`: JSON of
+ * [name, [[sku, quantity, unit price, ["group:choice", ...]], ...]],
+ * deflated (z) where the browser supports CompressionStream, plain (j)
+ * otherwise.
+ */
+class CartShare {
+  constructor(cartManager, orderTransfer = new OrderTransfer(cartManager)) {
+    this.cartManager = cartManager;
+    this.orderTransfer = orderTransfer;
+  }
+
+  /**
+   * Build a link to an order
+   * @param {string} orderId - Order to share (defaults to the active one)
+   * @returns {Promise<string|null>} The link, or null for an empty order
+   */
+  async createLink(orderId = null) {
+    const summary = this.cartManager.getOrderSummary(orderId);
+    if (summary.items.length === 0) {
+      return null;
+    }
+
+    const payload = [
+      this.orderTransfer.plainText(summary.orderId),
+      summary.items.map(line => [
+        line.sku,
+        line.quantity,
+        line.price,
+        (line.modifiers || []).map(modifier => `${modifier.group}:${modifier.choice}`)
+      ])
+    ];
+
+    const url = new URL('main.html', window.location.href);
+    url.search = '';
+    url.hash = `cart=${await this.encode(JSON.stringify(payload))}`;
+    return url.toString();
+  }
+
+  // The #cart= payload of a URL, if it has one
+  getPayload(href = window.location.href) {
+    const match = new URL(href).hash.match(/^#cart=([\w.-]+)$/);
+    return match ? match[1] : null;
+  }
+
+  async encode(text) {
+    const bytes = new TextEncoder().encode(text);
+    if (typeof CompressionStream === 'undefined') {
+      return `${SHARE_LINK_VERSION}j.${base64UrlEncode(bytes)}`;
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+    return `${SHARE_LINK_VERSION}z.${base64UrlEncode(compressed)}`;
+  }
+
+  /**
+   * Read a shared cart payload
+   * @param {string} payload - What follows #cart= in the link
+   * @returns {Promise<{name: string, items: Object[]}>} Lines in the shape
+   *   OrderTransfer.check expects
+   * @throws {ImportError} When the link is damaged or from a newer app
+   */
+  async decode(payload) {
+    const match = String(payload).match(/^(\d+)([zj])\.([\w-]+)$/);
+    if (!match) {
+      throw new ImportError('Malformed shared cart link', 'This cart link is incomplete or damaged.');
+    }
+
+    const [, version, encoding, data] = match;
+    if (Number(version) > SHARE_LINK_VERSION) {
+      throw new ImportError(`Unsupported share link version ${version}`, 'This cart link was made by a newer version of the app. Please reload the page and try again.');
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(encoding === 'z' ? await this.inflate(data) : base64UrlDecode(data));
+    } catch (error) {
+      if (error instanceof ImportError) throw error;
+      throw new ImportError(`Unreadable shared cart link: ${error.message}`, 'This cart link is incomplete or damaged.');
+    }
+
+    const [name, lines] = Array.isArray(parsed) ? parsed : [];
+    if (typeof name !== 'string' || !Array.isArray(lines)) {
+      throw new ImportError('Unexpected shared cart contents', 'This cart link is incomplete or damaged.');
+    }
+
+    return {
+      name,
+      items: lines.filter(Array.isArray).map(([sku, quantity, price, modifiers]) => ({
+        sku: typeof sku === 'string' ? sku : null,
+        name: typeof sku === 'string' ? sku : '',
+        quantity,
+        price,
+        modifiers: (Array.isArray(modifiers) ? modifiers : [])
+          .map(modifier => String(modifier).match(/^([^:]*):(.*)$/))
+          .filter(Boolean)
+          .map(([, group, choice]) => ({ group, choice }))
+      }))
+    };
+  }
+
+  async inflate(data) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new ImportError('DecompressionStream unavailable', 'This browser cannot open cart links. Please try a current version of Chrome, Edge, Firefox or Safari.');
+    }
+
+    const stream = new Blob([base64UrlToBytes(data)]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  }
+
+  /**
+   * Check a shared cart against the current menu (see OrderTransfer.check)
+   * @param {{name: string, items: Object[]}} shared - From decode()
+   * @returns {Object} The checked entry: {name, lines, collision}
+   */
+  preview(shared) {
+    return this.orderTransfer.check({ orders: [shared], templates: [] }).orders[0];
+  }
+
+  /**
+   * Add a shared cart as a new order and switch to it
+   * @param {Object} preview - From preview()
+   * @param {string} name - Name for the new order (numbered if taken)
+   * @returns {string|null} The new order's ID, or null if nothing could be added
+   */
+  importAsOrder(preview, name = preview.name) {
+    return this.cartManager.recordChange('Add shared cart', () => {
+      const [orderId] = this.orderTransfer.apply({ orders: [{ ...preview, name }], templates: [] }).orders;
+      if (orderId) {
+        this.cartManager.switchToOrder(orderId);
+      }
+      return orderId || null;
+    });
+  }
+
+  /**
+   * Add a shared cart's items to the active order
+   * @param {Object} preview - From preview()
+   * @returns {number} How many items were added
+   */
+  mergeIntoActive(preview) {
+    const lines = preview.lines.filter(check => check.resolved).map(check => this.cartManager.assignParticipant(check.resolved));
+    if (lines.length === 0 || this.cartManager.rejectIfLocked()) {
+      return 0;
+    }
+
+    this.cartManager.recordChange('Add shared cart', () => {
+      const cart = this.cartManager.cart;
+      lines.forEach(line => {
+        const existing = cart.find(cartItem => this.cartManager.getLineKey(cartItem) === this.cartManager.getLineKey(line));
+        if (existing) {
+          existing.quantity += line.quantity;
+        } else {
+          cart.push(line);
+        }
+      });
+      this.cartManager.saveOrders();
+    });
+    this.cartManager.updateCartDisplay();
+    return lines.reduce((count, line) => count + line.quantity, 0);
+  }
+}
+
+
+// ========================================
+// RECURRING ORDERS
+// ========================================
+
+// Weekdays in the order people read them, Monday first
+const RECURRENCE_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// How far ahead to look for a template's next occurrences
+const RECURRENCE_SEARCH_DAYS = 60;
+
+/**
+ * Orders that come round on a schedule, from templates. A template's
+ * `recurrence` ({days, time, paused, skipped, materialized}) says on which
+ * weekdays and at which delivery slot time it is wanted; skipped and
+ * materialized hold dates ("YYYY-MM-DD"). Shortly before each occurrence
+ * the scheduler turns the template into an order in the cart, with that
+ * slot, checked against today's menu, for the customer to place.
+ */
+class RecurringOrders {
+  constructor(cartManager, deliverySchedule, orderTransfer = new OrderTransfer(cartManager), options = {}) {
+    this.cartManager = cartManager;
+    this.deliverySchedule = deliverySchedule;
+    this.orderTransfer = orderTransfer;
+    // Days before an occurrence its order appears (0 = on the day)
+    this.lookaheadDays = options.lookaheadDays !== undefined ? options.lookaheadDays : 1;
+    this.timer = null;
+  }
+
+  // Materialize due orders now and then every `interval` ms
+  start(interval = 60000) {
+    this.stop();
+    this.timer = setInterval(() => this.materialize(), interval);
+
+    const catalog = this.cartManager.menuCatalog;
+    return Promise.all([this.deliverySchedule.load(), catalog ? catalog.load() : null])
+      .then(() => this.materialize());
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Make a template recur, or change when it does
+   * @param {string} templateId - Template ID
+   * @param {{days: string[], time: string}} rule - Weekdays (mon..sun) and
+   *   the delivery slot time ("HH:MM")
+   * @returns {boolean} Whether the rule was saved
+   */
+  setRecurrence(templateId, { days = [], time = '' } = {}) {
+    const template = this.cartManager.getTemplate(templateId);
+    if (!template) {
+      this.cartManager.showNotification('Template not found', 'error');
+      return false;
+    }
+
+    if (!this.deliverySchedule.loaded) {
+      this.cartManager.showNotification('Delivery slots are unavailable right now. Please try again shortly.', 'error');
+      return false;
+    }
+
+    const chosenDays = RECURRENCE_DAYS.filter(day => days.includes(day));
+    if (chosenDays.length === 0) {
+      this.cartManager.showNotification('Choose at least one day', 'error');
+      return false;
+    }
+
+    const closedDay = chosenDays.find(day => !this.deliverySchedule.getSlotTimes([day]).includes(time));
+    if (closedDay) {
+      this.cartManager.showNotification(time
+        ? `We do not deliver at ${this.formatTime(time)} on ${this.formatDay(closedDay)}`
+        : 'Choose a delivery time', 'error');
+      return false;
+    }
+
+    const previous = template.recurrence || {};
+    this.updateRule(template, `Repeat template ${template.name}`, () => ({
+      paused: false,
+      skipped: [],
+      materialized: [],
+      ...previous,
+      days: chosenDays,
+      time
+    }));
+    this.cartManager.showNotification(`${template.name} repeats ${this.describe(template.recurrence)}`, 'success');
+    this.materialize();
+    return true;
+  }
+
+  removeRecurrence(templateId) {
+    const template = this.cartManager.getTemplate(templateId);
+    if (!template || !template.recurrence) return false;
+
+    this.updateRule(template, `Stop repeating ${template.name}`, () => null);
+    this.cartManager.showNotification(`${template.name} no longer repeats`, 'info', this.cartManager.undoAction());
+    return true;
+  }
+
+  // Pause or resume every occurrence of a template
+  setPaused(templateId, paused) {
+    const template = this.cartManager.getTemplate(templateId);
+    if (!template || !template.recurrence) return false;
+
+    this.updateRule(template, `${paused ? 'Pause' : 'Resume'} ${template.name}`, rule => ({ ...rule, paused }));
+    this.cartManager.showNotification(`${template.name} ${paused ? 'paused' : 'resumed'}`, 'info', this.cartManager.undoAction());
+    if (!paused) this.materialize();
+    return true;
+  }
+
+  // Skip one date, or take it back
+  toggleSkip(templateId, date) {
+    const template = this.cartManager.getTemplate(templateId);
+    if (!template || !template.recurrence) return false;
+
+    const skipping = !template.recurrence.skipped.includes(date);
+    this.updateRule(template, `${skipping ? 'Skip' : 'Unskip'} ${template.name} on ${date}`, rule => ({
+      ...rule,
+      skipped: skipping ? [...rule.skipped, date].sort() : rule.skipped.filter(skipped => skipped !== date)
+    }));
+    if (!skipping) this.materialize();
+    return true;
+  }
+
+  // Change a template's rule as one undoable step
+  updateRule(template, label, change) {
+    this.cartManager.recordChange(label, () => {
+      const rule = change(template.recurrence ? cloneData(template.recurrence) : null);
+      if (rule) {
+        template.recurrence = this.prune(rule);
+      } else {
+        delete template.recurrence;
+      }
+      template.updatedAt = new Date().toISOString();
+      this.cartManager.saveOrderTemplates();
+    });
+  }
+
+  // Dates before today no longer matter
+  prune(rule, now = new Date()) {
+    const today = this.deliverySchedule.formatDate(now);
+    return {
+      ...rule,
+      skipped: rule.skipped.filter(date => date >= today),
+      materialized: rule.materialized.filter(date => date >= today)
+    };
+  }
+
+  /**
+   * The next times a template comes round
+   * @param {Object} template - Template with a recurrence
+   * @param {{count: number, now: Date}} options - How many, from when
+   * @returns {Object[]} {date, slotId, start, end, status}; status is
+   *   upcoming, materialized (its order is in the cart), skipped, paused
+   *   or closed (the kitchen is closed then)
+   */
+  getOccurrences(template, { count = 5, now = new Date() } = {}) {
+    const rule = template && template.recurrence;
+    if (!rule || !this.deliverySchedule.loaded) return [];
+
+    const schedule = this.deliverySchedule;
+    const occurrences = [];
+    for (let offset = 0; occurrences.length < count && offset < RECURRENCE_SEARCH_DAYS; offset++) {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+      if (!rule.days.includes(WEEKDAY_KEYS[day.getDay()])) continue;
+
+      const start = schedule.atTime(day, rule.time);
+      if (start <= now) continue;
+
+      const date = schedule.formatDate(day);
+      const slotId = `${date}T${rule.time}`;
+      let status = 'upcoming';
+      if (rule.materialized.includes(date)) {
+        status = 'materialized';
+      } else if (rule.skipped.includes(date)) {
+        status = 'skipped';
+      } else if (!schedule.getDaySlots(day).some(slot => slot.id === slotId)) {
+        status = 'closed';
+      } else if (rule.paused) {
+        status = 'paused';
+      }
+
+      occurrences.push({
+        date,
+        slotId,
+        start: start.toISOString(),
+        end: new Date(start.getTime() + schedule.config.slotMinutes * 60000).toISOString(),
+        status
+      });
+    }
+    return occurrences;
+  }
+
+  // Each template line checked against today's menu (see OrderTransfer.checkLine)
+  checkItems(template) {
+    const catalog = this.cartManager.menuCatalog;
+    if (!catalog || !catalog.loaded) return null;
+    return template.items.map(line => this.orderTransfer.checkLine(line));
+  }
+
+  /**
+   * Put the orders of occurrences that are close enough into the cart.
+   * Items no longer on the menu are left out and changed prices are
+   * updated; both are listed on the order's `recurrence.drift` so the
+   * customer sees them before placing it.
+   * @param {Date} now - Current time
+   * @returns {Object[]} {orderId, template, occurrence, drift} per new order
+   */
+  materialize(now = new Date()) {
+    const catalog = this.cartManager.menuCatalog;
+    if (!this.deliverySchedule.loaded || !catalog || !catalog.loaded) return [];
+
+    const until = new Date(now.getFullYear(), now.getMonth(), now.getDate() + this.lookaheadDays + 1);
+    const created = [];
+
+    this.cartManager.getAllTemplates().forEach(template => {
+      this.getOccurrences(template, { count: this.lookaheadDays + 1, now })
+        .filter(occurrence => occurrence.status === 'upcoming' && new Date(occurrence.start) < until &&
+          !this.deliverySchedule.isTooSoon(occurrence, now))
+        .forEach(occurrence => {
+          const checks = this.checkItems(template);
+          const drift = checks
+            .filter(check => check.status !== 'ok')
+            .map(check => ({ name: (check.resolved || check.line).name, status: check.status, message: check.message }));
+          const orderId = this.orderTransfer.suggestName(
+            this.orderTransfer.toOrderId(`${this.orderTransfer.plainText(template.name)} (${occurrence.date})`),
+            this.cartManager.getAllOrderIds()
+          );
+
+          this.cartManager.orders[orderId] = {
+            ...createOrderRecord(checks.filter(check => check.resolved).map(check => ({ ...check.resolved }))),
+            recurrence: {
+              templateId: template.id,
+              date: occurrence.date,
+              slotId: occurrence.slotId,
+              start: occurrence.start,
+              end: occurrence.end,
+              drift
+            }
+          };
+          template.recurrence = this.prune({
+            ...template.recurrence,
+            materialized: [...template.recurrence.materialized, occurrence.date]
+          }, now);
+          template.updatedAt = now.toISOString();
+          created.push({ orderId, template, occurrence, drift });
+        });
+    });
+
+    if (created.length > 0) {
+      this.cartManager.saveOrders();
+      this.cartManager.saveOrderTemplates();
+      this.cartManager.updateCartDisplay();
+
+      const changed = created.some(entry => entry.drift.length > 0);
+      this.cartManager.showNotification(
+        `${created.map(entry => entry.orderId).join(', ')} ${created.length === 1 ? 'is' : 'are'} ready to place` +
+          (changed ? '. Some items changed on the menu, so check before placing.' : ''),
+        changed ? 'error' : 'info',
+        { label: 'Open', onClick: () => this.cartManager.switchToOrder(created[0].orderId) }
+      );
+    }
+    return created;
+  }
+
+  // "Mon–Fri at 12:30 pm", "Every Fri at 1:00 pm"
+  describe(rule) {
+    const days = RECURRENCE_DAYS.filter(day => rule.days.includes(day));
+    let when;
+    if (days.length === 7) {
+      when = 'Every day';
+    } else if (days.join() === 'mon,tue,wed,thu,fri') {
+      when = 'Mon–Fri';
+    } else if (days.length === 1) {
+      when = `Every ${this.formatDay(days[0])}`;
+    } else {
+      when = days.map(day => this.formatDay(day)).join(', ');
+    }
+    return `${when} at ${this.formatTime(rule.time)}`;
+  }
+
+  formatDay(day) {
+    return day.charAt(0).toUpperCase() + day.slice(1);
+  }
+
+  formatTime(time) {
+    return this.deliverySchedule.atTime(new Date(), time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  }
+}
+
+
+// ========================================
+// FORM VALIDATION
+// ========================================
+
+class FormValidator {
+  static validateEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+  }
+
+  static validatePhone(phone) {
+    const phoneRegex = /^[+]?[\d\s-()]{10,}$/;
+    return phoneRegex.test(phone);
+  }
+
+  static validatePassword(password) {
+    return password.length >= 6;
+  }
+
+  static validateRequired(value) {
+    return value && value.trim().length > 0;
+  }
+
+  // Show a message under the field, announced by screen readers and tied
+  // to the field through aria-describedby
+  static showFieldError(field, message) {
+    FormValidator.clearFieldError(field);
+
+    const errorElement = document.createElement('div');
+    errorElement.className = 'field-error';
+    errorElement.setAttribute('role', 'alert');
+    errorElement.textContent = message;
+    errorElement.style.color = 'var(--primary-color)';
+    errorElement.style.fontSize = '0.9rem';
+    errorElement.style.marginTop = '0.25rem';
+
+    if (field.id) {
+      errorElement.id = `${field.id}-error`;
+      const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      if (!describedBy.includes(errorElement.id)) {
+        field.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
+      }
+    }
+
+    field.parentNode.appendChild(errorElement);
+    field.classList.add('error');
+    field.setAttribute('aria-invalid', 'true');
+  }
+
+  static clearFieldError(field) {
+    const existingError = field.parentNode.querySelector('.field-error');
+    if (existingError) {
+      existingError.remove();
+    }
+    field.classList.remove('error');
+    field.removeAttribute('aria-invalid');
+
+    if (field.id && field.hasAttribute('aria-describedby')) {
+      const describedBy = field.getAttribute('aria-describedby').split(/\s+/).filter(id => id && id !== `${field.id}-error`);
+      if (describedBy.length) {
+        field.setAttribute('aria-describedby', describedBy.join(' '));
+      } else {
+        field.removeAttribute('aria-describedby');
+      }
+    }
+  }
+}
+
+/**
+ * Declarative validation rules for a form, keyed by field name (or id for
+ * unnamed fields). Each field's rules are checked in this order, stopping
+ * at the first failure:
+ *
+ *   required   - true, or (context) => boolean; a field's `required`
+ *                attribute counts too. Checkboxes must be ticked.
+ *   email      - true for an email address
+ *   phone      - true for a phone number
+ *   pattern    - RegExp the value must match
+ *   minLength  - Minimum number of characters
+ *   matches    - Name of a field this one must equal (password confirmation);
+ *                editing that field re-checks this one
+ *   validate   - (value, context) => message|null, or an array of them
+ *   validateAsync - async (value, context) => message|null, run once the
+ *                others pass (e.g. asking the server whether an email is taken)
+ *
+ * `label` names the field in default messages and `messages` overrides them
+ * per rule, e.g. {required: 'Please select a rating'}. Fields that are hidden
+ * or disabled are not checked, and empty optional fields are valid.
+ * Validators get {form, field, values}, with `values` holding every field's
+ * trimmed value (a ticked checkbox counts as its value, an unticked one as '').
+ */
+class FormSchema {
+  constructor(fields = {}) {
+    this.fields = fields;
+    // Latest async check per field, so a slow answer cannot overwrite a newer one
+    this.pending = new WeakMap();
+  }
+
+  getName(field) {
+    return field.name || field.id;
+  }
+
+  getLabel(name) {
+    const rules = this.fields[name];
+    return rules && rules.label ? rules.label : name;
+  }
+
+  getValue(field) {
+    if (field.type === 'checkbox') {
+      return field.checked ? field.value : '';
+    }
+    if (field.type === 'radio') {
+      const checked = field.form && field.name
+        ? field.form.querySelector(`input[type="radio"][name="${field.name}"]:checked`)
+        : (field.checked ? field : null);
+      return checked ? checked.value : '';
+    }
+    return field.value.trim();
+  }
+
+  getValues(form) {
+    const values = {};
+    this.getFields(form).forEach(field => {
+      values[this.getName(field)] = this.getValue(field);
+    });
+    return values;
+  }
+
+  // Every field worth checking; one per radio group
+  getFields(form) {
+    const seen = new Set();
+    return Array.from(form.querySelectorAll('input, textarea, select')).filter(field => {
+      const name = this.getName(field);
+      if (!name || field.type === 'submit' || field.type === 'button' || seen.has(name)) {
+        return false;
+      }
+      seen.add(name);
+      return true;
+    });
+  }
+
+  // The customer cannot fix what they cannot see
+  isActive(field) {
+    return !field.disabled && !field.closest('.hidden');
+  }
+
+  getContext(field) {
+    const form = field.form || field.closest('form');
+    return { form, field, values: form ? this.getValues(form) : { [this.getName(field)]: this.getValue(field) } };
+  }
+
+  /**
+   * Check a field against its synchronous rules
+   * @param {HTMLElement} field - Input, select or textarea
+   * @returns {string|null} The first failing rule's message
+   */
+  check(field) {
+    if (!this.isActive(field)) return null;
+
+    const name = this.getName(field);
+    const rules = this.fields[name] || {};
+    const messages = rules.messages || {};
+    const label = this.getLabel(name);
+    const value = this.getValue(field);
+    const context = this.getContext(field);
+
+    const required = typeof rules.required === 'function' ? rules.required(context) : rules.required;
+    if (!value) {
+      return required || field.hasAttribute('required') ? (messages.required || `${label} is required`) : null;
+    }
+
+    if (rules.email && !FormValidator.validateEmail(value)) {
+      return messages.email || 'Please enter a valid email address';
+    }
+    if (rules.phone && !FormValidator.validatePhone(value)) {
+      return messages.phone || 'Please enter a valid phone number';
+    }
+    if (rules.pattern && !rules.pattern.test(value)) {
+      return messages.pattern || `Please enter a valid ${label.toLowerCase()}`;
+    }
+    if (rules.minLength && value.length < rules.minLength) {
+      return messages.minLength || `${label} must be at least ${rules.minLength} characters long`;
+    }
+    if (rules.matches && value !== context.values[rules.matches]) {
+      return messages.matches || `${label} does not match`;
+    }
+
+    const validators = [].concat(rules.validate || []);
+    for (const validator of validators) {
+      const message = validator(value, context);
+      if (message) return message;
+    }
+    return null;
+  }
+
+  /**
+   * Show or clear a field's error
+   * @returns {boolean} Whether the field is valid
+   */
+  report(field, message) {
+    if (message) {
+      FormValidator.showFieldError(field, message);
+    } else {
+      FormValidator.clearFieldError(field);
+    }
+    return !message;
+  }
+
+  /**
+   * Check a field against all its rules, including asynchronous ones,
+   * and show the result
+   * @returns {Promise<boolean>} Whether the field is valid
+   */
+  async validateField(field) {
+    const message = this.check(field);
+    const rules = this.fields[this.getName(field)] || {};
+    const value = this.getValue(field);
+    if (message || !rules.validateAsync || !value || !this.isActive(field)) {
+      this.pending.delete(field);
+      return this.report(field, message);
+    }
+
+    const pending = Symbol('check');
+    this.pending.set(field, pending);
+    field.setAttribute('aria-busy', 'true');
+    let asyncMessage = null;
+    try {
+      asyncMessage = await rules.validateAsync(value, this.getContext(field));
+    } catch (error) {
+      // The server checks again on submit, so a failed check is not an error
+      console.warn('Field check failed:', error);
+    }
+
+    if (this.pending.get(field) !== pending) {
+      // The field was edited or checked again since; that check shows its result
+      return !asyncMessage && this.getValue(field) === value;
+    }
+    this.pending.delete(field);
+    field.removeAttribute('aria-busy');
+    return this.report(field, asyncMessage);
+  }
+
+  /**
+   * Check every field and show the results, focusing the first invalid one
+   * @param {HTMLFormElement} form - Form to check
+   * @returns {Promise<boolean>} Whether the whole form is valid
+   */
+  async validate(form) {
+    const fields = this.getFields(form);
+    const results = await Promise.all(fields.map(field => this.validateField(field)));
+    const firstInvalid = fields.find((field, index) => !results[index]);
+    if (firstInvalid) {
+      firstInvalid.focus();
+    }
+    return !firstInvalid;
+  }
+
+  /**
+   * Check fields as the customer leaves them and clear errors as they type.
+   * With `onSubmit`, the form is also checked on submit and `onSubmit(form)`
+   * runs only when it is valid.
+   * @param {HTMLFormElement} form - Form to bind
+   * @param {Function} onSubmit - Called with the form once it is valid
+   */
+  bind(form, onSubmit = null) {
+    form.querySelectorAll('input, textarea, select').forEach(field => {
+      const name = this.getName(field);
+      field.addEventListener('blur', () => this.validateField(field));
+      field.addEventListener(field.type === 'checkbox' || field.type === 'radio' || field.tagName === 'SELECT' ? 'change' : 'input', () => {
+        this.pending.delete(field);
+        field.removeAttribute('aria-busy');
+        FormValidator.clearFieldError(field);
+
+        // Re-check fields that must match this one, once they have a value
+        Object.keys(this.fields).filter(other => this.fields[other].matches === name).forEach(other => {
+          const dependent = form.querySelector(`[name="${other}"], #${other}`);
+          if (dependent && this.getValue(dependent)) {
+            this.report(dependent, this.check(dependent));
+          }
+        });
+      });
+    });
+
+    if (onSubmit) {
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (await this.validate(form)) {
+          onSubmit(form);
+        }
+      });
+    }
+  }
+}
+
+// ========================================
+// ORDER MANAGEMENT
+// ========================================
+
+class OrderManager {
+  constructor(cartManager, orderHistory = new OrderHistory(), apiClient = createApiClient(), deliverySchedule = new DeliverySchedule(), addressBook = new AddressBook(), pincodeDirectory = new PincodeDirectory(), deliveryZones = new DeliveryZones(), paymentProcessor = createPaymentProcessor()) {
+    this.cartManager = cartManager;
+    this.orderHistory = orderHistory;
+    this.apiClient = apiClient;
+    this.deliverySchedule = deliverySchedule;
+    this.addressBook = addressBook;
+    this.pincodeDirectory = pincodeDirectory;
+    this.deliveryZones = deliveryZones;
+    this.paymentProcessor = paymentProcessor;
+    this.paymentController = null;
+    this.pendingOrder = null;
+    this.checkoutSchema = this.createCheckoutSchema();
+    this.init();
+  }
+
+  init() {
+    this.deliverySchedule.load();
+    this.bindOrderForm();
+  }
+
+
+  bindOrderForm() {
+    const orderForm = document.querySelector('.order-form');
+    if (!orderForm) return;
+
+    orderForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.processOrder(orderForm);
+    });
+
+    // Real-time validation
+    this.checkoutSchema.bind(orderForm);
+
+    // Card details or a UPI ID, depending on the payment method
+    const paymentSelect = orderForm.querySelector('#payment');
+    if (paymentSelect) {
+      paymentSelect.addEventListener('change', () => this.setPaymentMethod(orderForm, paymentSelect.value));
+    }
+
+    this.bindCardFields(orderForm);
+    this.bindPromoField(orderForm);
+    this.bindDeliveryTime(orderForm);
+    this.bindAddressBook(orderForm);
+    this.bindDeliveryZone(orderForm);
+  }
+
+  // Saved addresses for signed-in customers, and district and state filled
+  // in from the pin code
+  bindAddressBook(orderForm) {
+    const select = orderForm.querySelector('#saved-address');
+    const defaultBtn = orderForm.querySelector('#address-default-btn');
+    const deleteBtn = orderForm.querySelector('#address-delete-btn');
+    const pincodeInput = orderForm.querySelector('#pincode');
+    const labelInput = orderForm.querySelector('#address-label');
+
+    if (select) {
+      select.addEventListener('change', () => {
+        const address = this.addressBook.getAddress(this.cartManager.getUserKey(), select.value);
+        if (address) {
+          this.fillAddress(orderForm, address);
+        }
+        if (labelInput) {
+          labelInput.value = address ? address.label : '';
+        }
+        this.updateAddressActions();
+      });
+    }
+
+    if (defaultBtn) {
+      defaultBtn.addEventListener('click', () => {
+        if (this.addressBook.setDefault(this.cartManager.getUserKey(), select.value)) {
+          this.showNotification('Default address updated', 'success');
+        }
+      });
+    }
+
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', () => {
+        const address = this.addressBook.getAddress(this.cartManager.getUserKey(), select.value);
+        if (address && confirm(`Delete the saved address "${address.label}"?`)) {
+          this.addressBook.remove(this.cartManager.getUserKey(), address.id);
+          this.showNotification(`Deleted address: ${address.label}`, 'info');
+        }
+      });
+    }
+
+    if (pincodeInput) {
+      pincodeInput.addEventListener('input', () => this.lookupPincode(orderForm));
+    }
+
+    // Typing over a filled-in district or state keeps what was typed
+    ['district', 'state'].forEach(name => {
+      const input = orderForm.querySelector(`#${name}`);
+      if (input) {
+        input.addEventListener('input', () => {
+          delete input.dataset.autofilled;
+          this.updatePincodeStatus(orderForm);
+        });
+      }
+    });
+
+    this.addressBook.onChange(() => this.renderAddressBook());
+    if (this.cartManager.authManager) {
+      this.cartManager.authManager.onChange(() => this.renderAddressBook(true));
+    }
+    this.pincodeDirectory.load().then(() => this.updatePincodeStatus(orderForm));
+    this.renderAddressBook(true);
+  }
+
+  /**
+   * Offer the signed-in customer's saved addresses
+   * @param {boolean} useDefault - Fill in the default address when no
+   *   address has been entered yet
+   */
+  renderAddressBook(useDefault = false) {
+    const orderForm = document.querySelector('.order-form');
+    const select = document.getElementById('saved-address');
+    if (!orderForm || !select) return;
+
+    const userKey = this.cartManager.getUserKey();
+    const addresses = userKey === 'guest' ? [] : this.addressBook.getAddresses(userKey);
+    const defaultAddress = this.addressBook.getDefault(userKey);
+    const selected = select.value;
+
+    orderForm.querySelectorAll('.address-book-field').forEach(field => field.classList.toggle('hidden', addresses.length === 0));
+    orderForm.querySelectorAll('.save-address-field').forEach(field => field.classList.toggle('hidden', userKey === 'guest'));
+
+    select.innerHTML = `
+      <option value="">Enter a new address</option>
+      ${addresses.map(address => `
+        <option value="${address.id}">
+          ${sanitizeInput(this.addressBook.describe(address))}${defaultAddress && address.id === defaultAddress.id ? ' (default)' : ''}
+        </option>
+      `).join('')}
+    `;
+    select.value = addresses.some(address => address.id === selected) ? selected : '';
+
+    const street = orderForm.querySelector('#street');
+    const pincode = orderForm.querySelector('#pincode');
+    const empty = (!street || !street.value.trim()) && (!pincode || !pincode.value.trim());
+    if (useDefault && defaultAddress && empty) {
+      select.value = defaultAddress.id;
+      select.dispatchEvent(new Event('change'));
+    }
+    this.updateAddressActions();
+  }
+
+  // Default and delete apply to the chosen saved address
+  updateAddressActions() {
+    const select = document.getElementById('saved-address');
+    const defaultBtn = document.getElementById('address-default-btn');
+    const deleteBtn = document.getElementById('address-delete-btn');
+    if (!select) return;
+
+    const defaultAddress = this.addressBook.getDefault(this.cartManager.getUserKey());
+    if (defaultBtn) {
+      defaultBtn.classList.toggle('hidden', !select.value || Boolean(defaultAddress && defaultAddress.id === select.value));
+    }
+    if (deleteBtn) {
+      deleteBtn.classList.toggle('hidden', !select.value);
+    }
+  }
+
+  fillAddress(orderForm, address) {
+    ADDRESS_FIELDS.forEach(name => {
+      const input = orderForm.querySelector(`#${name}`);
+      if (input) {
+        input.value = address[name] || '';
+        delete input.dataset.autofilled;
+        FormValidator.clearFieldError(input);
+      }
+    });
+    this.updatePincodeStatus(orderForm);
+    this.updateDeliveryZone(orderForm);
+  }
+
+  // Fill in district and state for a known pin code
+  lookupPincode(orderForm) {
+    const pincode = orderForm.querySelector('#pincode');
+    const place = pincode && this.pincodeDirectory.lookup(pincode.value);
+
+    if (place && place.district) {
+      [['district', place.district], ['state', place.state]].forEach(([name, value]) => {
+        const input = orderForm.querySelector(`#${name}`);
+        // Leave what the customer typed; replace what an earlier pin code filled in
+        if (input && (!input.value.trim() || input.dataset.autofilled === 'true')) {
+          input.value = value;
+          input.dataset.autofilled = 'true';
+          FormValidator.clearFieldError(input);
+        }
+      });
+    }
+    this.updatePincodeStatus(orderForm);
+  }
+
+  // Say where the pin code is, or that the district or state do not match it
+  updatePincodeStatus(orderForm) {
+    const status = orderForm.querySelector('#pincode-status');
+    if (!status) return;
+
+    const values = this.getAddressValues(orderForm);
+    const check = this.pincodeDirectory.check(values);
+    const place = this.pincodeDirectory.lookup(values.pincode);
+
+    if (check.status === 'mismatch') {
+      status.textContent = check.message;
+      status.className = 'promo-status promo-invalid';
+    } else if (check.status === 'ok') {
+      status.textContent = `${place.district}, ${place.state}`;
+      status.className = 'promo-status promo-valid';
+    } else {
+      status.textContent = '';
+      status.className = 'promo-status';
+    }
+  }
+
+  getAddressValues(orderForm) {
+    return ADDRESS_FIELDS.reduce((values, name) => {
+      const input = orderForm.querySelector(`#${name}`);
+      return { ...values, [name]: input ? input.value.trim() : '' };
+    }, {});
+  }
+
+  // Keep the delivery address in the address book when asked to
+  saveCheckoutAddress(form, orderData) {
+    const saveAddress = form.querySelector('#save-address');
+    const labelInput = form.querySelector('#address-label');
+    const userKey = this.cartManager.getUserKey();
+    if (!saveAddress || !saveAddress.checked || !labelInput || userKey === 'guest') return null;
+
+    return this.addressBook.save(userKey, { ...orderData, label: labelInput.value });
+  }
+
+  // The delivery fee, ETA and minimum order follow the pin code's zone
+  bindDeliveryZone(orderForm) {
+    const pincodeInput = orderForm.querySelector('#pincode');
+    if (pincodeInput) {
+      pincodeInput.addEventListener('input', () => this.updateDeliveryZone(orderForm));
+    }
+
+    // Adding or removing items can meet or miss the zone's minimum order
+    this.cartManager.onChange(() => this.updateDeliveryStatus(orderForm));
+    this.deliveryZones.load().then(() => this.updateDeliveryZone(orderForm));
+  }
+
+  // Price delivery for the pin code entered so far
+  updateDeliveryZone(orderForm) {
+    const pincode = orderForm.querySelector('#pincode');
+    const value = pincode ? pincode.value.trim() : '';
+    const quote = /^\d{6}$/.test(value) && this.deliveryZones.loaded ? this.deliveryZones.quote(value) : null;
+
+    this.cartManager.setDeliveryQuote(quote);
+    this.updateDeliveryStatus(orderForm);
+  }
+
+  // Say which branch delivers and how soon, or why we can't deliver
+  updateDeliveryStatus(orderForm) {
+    const status = orderForm.querySelector('#delivery-zone-status');
+    const quote = this.cartManager.deliveryQuote;
+    if (!status) return;
+
+    if (!quote) {
+      status.textContent = '';
+      status.className = 'promo-status';
+      return;
     }
-    return false;
+
+    const check = this.deliveryZones.check(quote.pincode, this.cartManager.cart.length > 0 ? this.cartManager.getBill().subtotal : null);
+    status.textContent = check.valid || check.shortBy > 0
+      ? `Delivered from ${formatDeliveryRoute(quote)}${check.shortBy > 0 ? `. ${check.message}` : ''}`
+      : check.message;
+    status.className = `promo-status ${check.valid ? 'promo-valid' : 'promo-invalid'}`;
   }
 
-  // Get all templates
-  getAllTemplates() {
-    return [...this.orderTemplates];
+  // "Deliver later" shows the slot picker, filled from the server
+  bindDeliveryTime(orderForm) {
+    const choices = orderForm.querySelectorAll('input[name="delivery-time"]');
+    choices.forEach(choice => choice.addEventListener('change', () => this.setDeliveryTime(choice.value)));
+
+    // A restored form draft may already have "later" chosen
+    const checked = orderForm.querySelector('input[name="delivery-time"]:checked');
+    this.setDeliveryTime(checked ? checked.value : 'now');
+
+    // A recurring order comes with its slot, picked when the order is opened
+    this.slotOrderId = this.cartManager.activeOrderId;
+    this.cartManager.onChange(() => {
+      if (this.slotOrderId === this.cartManager.activeOrderId) return;
+      this.slotOrderId = this.cartManager.activeOrderId;
+
+      const order = this.cartManager.orders[this.slotOrderId];
+      if (order && order.recurrence) {
+        this.setDeliveryTime('later', order.recurrence.slotId);
+      }
+    });
   }
 
-  // Get template details
-  getTemplate(templateId) {
-    return this.orderTemplates.find(t => t.id === templateId);
+  /**
+   * Choose between delivering now and later
+   * @param {string} choice - "now" or "later"
+   * @param {string} slotId - Slot to pick once slots are loaded
+   */
+  setDeliveryTime(choice, slotId = null) {
+    const slotField = document.querySelector('.delivery-slot-field');
+    const slotSelect = document.getElementById('delivery-slot');
+    const radio = document.querySelector(`input[name="delivery-time"][value="${choice}"]`);
+    if (!slotField || !slotSelect) return;
+
+    if (radio) radio.checked = true;
+    if (choice === 'later') {
+      slotField.classList.remove('hidden');
+      slotSelect.setAttribute('required', 'required');
+      this.refreshSlots(slotId);
+    } else {
+      slotField.classList.add('hidden');
+      slotSelect.removeAttribute('required');
+      FormValidator.clearFieldError(slotSelect);
+    }
   }
 
-  // Update template
-  updateTemplate(templateId, newName = null, newItems = null) {
-    const template = this.orderTemplates.find(t => t.id === templateId);
-    if (!template) {
-      return false;
+  // Offer the slots the server still has room in, keeping the chosen one
+  async refreshSlots(slotId = null) {
+    const slotSelect = document.getElementById('delivery-slot');
+    const status = document.getElementById('delivery-slot-status');
+    if (!slotSelect) return;
+
+    let days;
+    try {
+      days = (await this.apiClient.getDeliverySlots()).days;
+    } catch (error) {
+      console.error('Delivery slot error:', error);
+      if (status) status.textContent = error instanceof ApiError ? error.userMessage : 'Delivery slots are unavailable right now.';
+      return;
     }
 
-    if (newName) {
-      template.name = sanitizeInput(newName.trim());
+    const selected = slotId || slotSelect.value;
+    const now = new Date();
+    slotSelect.innerHTML = `
+      <option value="">Select a delivery time</option>
+      ${days.map(day => `
+        <optgroup label="${formatDeliveryDay(day.slots[0].start, now)}">
+          ${day.slots.map(slot => `
+            <option value="${slot.id}" ${slot.remaining === 0 ? 'disabled' : ''} ${slot.id === selected && slot.remaining > 0 ? 'selected' : ''}>
+              ${formatDeliverySlot(slot, now, false)}${slot.remaining === 0 ? ' (full)' : slot.remaining <= 2 ? ` (${slot.remaining} left)` : ''}
+            </option>
+          `).join('')}
+        </optgroup>
+      `).join('')}
+    `;
+
+    if (status) {
+      if (days.length === 0) {
+        status.textContent = 'No delivery slots are open in the next few days.';
+      } else if (slotId && slotSelect.value !== slotId) {
+        status.textContent = 'The usual delivery time for this order is not available. Please choose another.';
+      } else {
+        status.textContent = '';
+      }
     }
+  }
 
-    if (newItems) {
-      template.items = [...newItems];
-      template.total = newItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-      template.itemCount = newItems.reduce((count, item) => count + item.quantity, 0);
+  // Show the fields the chosen payment method needs
+  setPaymentMethod(orderForm, method) {
+    const upiField = orderForm.querySelector('.upi-field');
+    const upiInput = orderForm.querySelector('#upi-id');
+
+    if (upiField && upiInput) {
+      upiField.classList.toggle('hidden', method !== 'upi');
+      if (method !== 'upi') {
+        upiInput.value = '';
+        FormValidator.clearFieldError(upiInput);
+      }
     }
 
-    template.updatedAt = new Date().toISOString();
-    this.saveOrderTemplates();
-    this.showNotification('Template updated successfully', 'success');
-    return true;
+    orderForm.querySelectorAll('.card-field').forEach(field => {
+      field.classList.toggle('hidden', method !== 'card');
+      field.querySelectorAll('input').forEach(input => {
+        if (method === 'card') {
+          input.setAttribute('required', 'required');
+        } else {
+          input.removeAttribute('required');
+          input.value = '';
+          FormValidator.clearFieldError(input);
+        }
+      });
+    });
+    this.updateCardNetwork(orderForm);
   }
 
-  // Duplicate template
-  duplicateTemplate(templateId, newName = null) {
-    const template = this.getTemplate(templateId);
-    if (!template) {
-      return false;
+  // Group the card number as it is typed, name its network and put the
+  // slash in the expiry date
+  bindCardFields(orderForm) {
+    const numberInput = orderForm.querySelector('#card-number');
+    const expiryInput = orderForm.querySelector('#card-expiry');
+
+    if (numberInput) {
+      numberInput.addEventListener('input', () => {
+        numberInput.value = CardValidator.format(numberInput.value);
+        this.updateCardNetwork(orderForm);
+      });
     }
 
-    const newTemplate = {
-      ...template,
-      id: this.generateOrderId('template'),
-      name: newName || `${template.name} (Copy)`,
-      createdAt: new Date().toISOString()
-    };
+    if (expiryInput) {
+      expiryInput.addEventListener('input', (e) => {
+        const digits = expiryInput.value.replace(/\D/g, '').slice(0, 4);
+        // Let a deleted slash stay deleted
+        expiryInput.value = digits.length > 2 || (digits.length === 2 && e.inputType !== 'deleteContentBackward')
+          ? `${digits.slice(0, 2)}/${digits.slice(2)}`
+          : digits;
+      });
+    }
 
-    this.orderTemplates.push(newTemplate);
-    this.saveOrderTemplates();
-    this.showNotification(`Duplicated template as: ${newTemplate.name}`, 'success');
-    return newTemplate.id;
+    const cancelButton = document.getElementById('payment-cancel-btn');
+    if (cancelButton) {
+      cancelButton.addEventListener('click', () => {
+        if (this.paymentController) this.paymentController.abort();
+      });
+    }
   }
-}
 
-// ========================================
-// FORM VALIDATION
-// ========================================
+  updateCardNetwork(orderForm) {
+    const numberInput = orderForm.querySelector('#card-number');
+    const badge = orderForm.querySelector('#card-network');
+    const cvvInput = orderForm.querySelector('#card-cvv');
+    const network = numberInput ? CardValidator.detectNetwork(numberInput.value) : null;
 
-class FormValidator {
-  static validateEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+    if (badge) {
+      badge.textContent = network ? network.name : '';
+      badge.className = `card-network${network ? ` card-network-${network.id}` : ''}`;
+    }
+    if (cvvInput) {
+      cvvInput.maxLength = network ? network.cvvLength : 4;
+    }
   }
 
-  static validatePhone(phone) {
-    const phoneRegex = /^[+]?[\d\s-()]{10,}$/;
-    return phoneRegex.test(phone);
+  // Card details as typed; they are only handed to the payment gateway
+  getCardDetails(form) {
+    return ['number', 'name', 'expiry', 'cvv'].reduce((card, key) => {
+      const input = form.querySelector(`#card-${key}`);
+      return { ...card, [key]: input ? input.value.trim() : '' };
+    }, {});
   }
 
-  static validatePassword(password) {
-    return password.length >= 6;
-  }
+  /**
+   * Take payment for an order by card or UPI (cash is paid on delivery)
+   * @param {HTMLFormElement} form - Checkout form, for the card details
+   * @param {Object} orderData - Checkout form values
+   * @param {Object} bill - The bill to pay
+   * @returns {Promise<Object|null>} The gateway's payment, or null for cash
+   * @throws {PaymentError}
+   */
+  async collectPayment(form, orderData, bill) {
+    if (!['card', 'upi'].includes(orderData.payment)) return null;
 
-  static validateRequired(value) {
-    return value && value.trim().length > 0;
-  }
+    const reference = `REX${Date.now().toString(36).toUpperCase()}`;
+    this.paymentController = new AbortController();
 
-  static showFieldError(field, message) {
-    const existingError = field.parentNode.querySelector('.field-error');
-    if (existingError) {
-      existingError.remove();
+    try {
+      return await this.paymentProcessor.pay({
+        amount: bill.total,
+        method: orderData.payment,
+        reference,
+        card: orderData.payment === 'card' ? this.getCardDetails(form) : null,
+        upiId: orderData['upi-id'] || null
+      }, {
+        // A new key per attempt: a declined or refunded payment must not be reused
+        idempotencyKey: this.apiClient.createIdempotencyKey(),
+        signal: this.paymentController.signal,
+        onPending: payment => this.showPaymentPending(payment, orderData, reference)
+      });
+    } finally {
+      this.paymentController = null;
+      this.hidePaymentPending();
     }
-
-    const errorElement = document.createElement('div');
-    errorElement.className = 'field-error';
-    errorElement.textContent = message;
-    errorElement.style.color = 'var(--primary-color)';
-    errorElement.style.fontSize = '0.9rem';
-    errorElement.style.marginTop = '0.25rem';
-
-    field.parentNode.appendChild(errorElement);
-    field.classList.add('error');
   }
 
-  static clearFieldError(field) {
-    const existingError = field.parentNode.querySelector('.field-error');
-    if (existingError) {
-      existingError.remove();
+  // While the bank or UPI app confirms: a UPI QR code and app link for the
+  // amount, or a note to approve the card payment
+  showPaymentPending(payment, orderData, reference) {
+    const modal = document.getElementById('payment-modal');
+    const body = document.getElementById('payment-pending');
+    if (!modal || !body) return;
+
+    if (payment.method === 'upi') {
+      const link = this.paymentProcessor.getUpiLink(payment.amount, reference);
+      body.innerHTML = `
+        <p>Scan with any UPI app to pay <strong>${formatCurrency(payment.amount)}</strong></p>
+        <div class="payment-qr">${new QrCode(link).toSvg({ label: `UPI QR code to pay ${formatCurrency(payment.amount)}` })}</div>
+        <p><a class="btn btn-primary" href="${sanitizeInput(link)}">Open UPI App</a></p>
+        ${orderData['upi-id'] ? `<p>We have also sent a payment request to ${sanitizeInput(orderData['upi-id'])}.</p>` : ''}
+        <p class="payment-waiting" role="status">Waiting for your payment&hellip;</p>
+      `;
+    } else {
+      body.innerHTML = `
+        <p>Approve the payment of <strong>${formatCurrency(payment.amount)}</strong> in your bank's app or the window it opened.</p>
+        <p class="payment-waiting" role="status">Waiting for your bank&hellip;</p>
+      `;
     }
-    field.classList.remove('error');
+    modal.classList.add('show');
   }
-}
 
-// ========================================
-// ORDER MANAGEMENT
-// ========================================
-
-class OrderManager {
-  constructor(cartManager) {
-    this.cartManager = cartManager;
-    this.init();
+  hidePaymentPending() {
+    const modal = document.getElementById('payment-modal');
+    if (modal) modal.classList.remove('show');
   }
 
-  init() {
-    this.bindOrderForm();
+  // Give the money back for an order that was paid but could not be placed
+  async refundPayment(payment) {
+    try {
+      await this.paymentProcessor.refund(payment);
+      return true;
+    } catch (error) {
+      console.error('Refund error:', error);
+      return false;
+    }
   }
 
+  // Live promo code validation against the current cart
+  bindPromoField(orderForm) {
+    const promoInput = orderForm.querySelector('#promo-code');
+    if (!promoInput) return;
 
-  bindOrderForm() {
-    const orderForm = document.querySelector('.order-form');
-    if (!orderForm) return;
+    const applyPromo = debounce(() => {
+      this.cartManager.applyPromo(promoInput.value);
+    }, 400);
 
-    orderForm.addEventListener('submit', (e) => {
-      e.preventDefault();
-      this.processOrder(orderForm);
+    promoInput.addEventListener('input', () => {
+      promoInput.value = promoInput.value.toUpperCase();
+      applyPromo();
     });
 
-    // Real-time validation
-    const inputs = orderForm.querySelectorAll('input, textarea, select');
-    inputs.forEach(input => {
-      input.addEventListener('blur', () => this.validateField(input));
-      input.addEventListener('input', () => FormValidator.clearFieldError(input));
-    });
+    const removeButton = orderForm.querySelector('#promo-remove');
+    if (removeButton) {
+      removeButton.addEventListener('click', () => {
+        promoInput.value = '';
+        FormValidator.clearFieldError(promoInput);
+        this.cartManager.removePromo();
+      });
+    }
 
-    // Handle UPI field visibility
-    const paymentSelect = orderForm.querySelector('#payment');
-    const upiField = orderForm.querySelector('.upi-field');
-    const upiInput = orderForm.querySelector('#upi-id');
+    // Re-check the code whenever the cart changes
+    this.cartManager.onChange(() => this.updatePromoStatus());
 
-    if (paymentSelect && upiField && upiInput) {
-      paymentSelect.addEventListener('change', () => {
-        if (paymentSelect.value === 'upi') {
-          upiField.classList.remove('hidden');
-          upiInput.setAttribute('required', 'required');
-        } else {
-          upiField.classList.add('hidden');
-          upiInput.removeAttribute('required');
-          upiInput.value = '';
-          FormValidator.clearFieldError(upiInput);
-        }
-      });
+    if (promoInput.value) {
+      this.cartManager.applyPromo(promoInput.value);
     }
   }
 
+  updatePromoStatus() {
+    const status = document.getElementById('promo-status');
+    const removeButton = document.getElementById('promo-remove');
+    if (!status) return;
 
-  validateField(field) {
-    const value = field.value.trim();
-    const fieldName = field.name || field.id;
+    if (!this.cartManager.promoCode) {
+      status.textContent = '';
+      status.className = 'promo-status';
+      if (removeButton) removeButton.hidden = true;
+      return;
+    }
 
-    // Clear previous errors
-    FormValidator.clearFieldError(field);
+    const promo = this.cartManager.evaluatePromo();
+    status.textContent = promo.message;
+    status.className = `promo-status ${promo.valid ? 'promo-valid' : 'promo-invalid'}`;
+    if (removeButton) removeButton.hidden = false;
+  }
 
-    // Required field validation
-    if (field.hasAttribute('required') && !FormValidator.validateRequired(value)) {
-      FormValidator.showFieldError(field, `${this.getFieldLabel(fieldName)} is required`);
-      return false;
-    }
 
-    // Specific field validation
-    switch (fieldName.toLowerCase()) {
-      case 'email':
-        if (value && !FormValidator.validateEmail(value)) {
-          FormValidator.showFieldError(field, 'Please enter a valid email address');
-          return false;
-        }
-        break;
-      case 'phone':
-        if (value && !FormValidator.validatePhone(value)) {
-          FormValidator.showFieldError(field, 'Please enter a valid phone number');
-          return false;
-        }
-        break;
-      case 'password':
-        if (value && !FormValidator.validatePassword(value)) {
-          FormValidator.showFieldError(field, 'Password must be at least 6 characters long');
-          return false;
+  // Checkout rules; all synchronous, so a field can be checked on the spot
+  createCheckoutSchema() {
+    // Card fields are checked together, since the CVV's length depends on the card
+    const cardRule = (key, label) => ({
+      label,
+      validate: (value, { form }) => CardValidator.validate(this.getCardDetails(form)).errors[key] || null
+    });
+
+    return new FormSchema({
+      name: { label: 'Name' },
+      email: { label: 'Email', email: true },
+      phone: { label: 'Phone', phone: true },
+      street: { label: 'Street Address' },
+      village: { label: 'Village/Locality' },
+      district: { label: 'District' },
+      state: {
+        label: 'State',
+        // A wrong district may just be spelled differently, so only the
+        // state blocks the order; the pin code status flags both
+        validate: (value, { form }) => {
+          const check = this.pincodeDirectory.check(this.getAddressValues(form));
+          return check && check.field === 'state' ? check.message : null;
         }
-        break;
-      case 'pincode':
-        if (value && !/^[0-9]{6}$/.test(value)) {
-          FormValidator.showFieldError(field, 'Please enter a valid 6-digit pin code');
-          return false;
+      },
+      country: { label: 'Country' },
+      pincode: {
+        label: 'Pin Code',
+        pattern: /^[0-9]{6}$/,
+        messages: { pattern: 'Please enter a valid 6-digit pin code' },
+        // The minimum order is checked when the order is placed
+        validate: value => {
+          const zone = this.deliveryZones.check(value);
+          return zone && !zone.valid ? zone.message : null;
         }
-        break;
-      case 'upi-id':
-        if (value && !this.validateUPI(value)) {
-          FormValidator.showFieldError(field, 'Please enter a valid UPI ID (e.g., username@upi)');
-          return false;
+      },
+      'address-label': {
+        label: 'Address Label',
+        required: ({ form }) => Boolean(form.querySelector('#save-address:checked')),
+        messages: { required: 'Please name this address, e.g. Home or Office' }
+      },
+      company: { label: 'Company Name' },
+      gstin: {
+        label: 'GSTIN',
+        validate: value => validateGstin(value) ? null : 'Please enter a valid 15-character GSTIN, e.g. 29ABCDE1234F1ZW'
+      },
+      payment: { label: 'Payment Method' },
+      'card-number': cardRule('number', 'Card Number'),
+      'card-name': cardRule('name', 'Name on Card'),
+      'card-expiry': cardRule('expiry', 'Expiry Date'),
+      'card-cvv': cardRule('cvv', 'CVV'),
+      'upi-id': {
+        label: 'UPI ID',
+        validate: value => this.validateUPI(value) ? null : 'Please enter a valid UPI ID (e.g., username@upi)'
+      },
+      'delivery-slot': {
+        label: 'Delivery Slot',
+        validate: value => {
+          const check = this.deliverySchedule.checkSlot(value);
+          return check.valid ? null : check.message;
         }
-        break;
-    }
+      }
+    });
+  }
 
-    return true;
+  validateField(field) {
+    return this.checkoutSchema.report(field, this.checkoutSchema.check(field));
   }
 
+  // A UPI ID (VPA) is a name and a bank handle, e.g. name@okhdfcbank or 98xxxxxx10@ybl
   validateUPI(upiId) {
-    const upiRegex = /^[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+    const upiRegex = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/;
     return upiRegex.test(upiId);
   }
 
 
-  getFieldLabel(fieldName) {
-    const labelMap = {
-      'name': 'Name',
-      'email': 'Email',
-      'phone': 'Phone',
-      'address': 'Address',
-      'street': 'Street Address',
-      'village': 'Village/Locality',
-      'district': 'District',
-      'state': 'State',
-      'country': 'Country',
-      'pincode': 'Pin Code',
-      'upi-id': 'UPI ID',
-      'password': 'Password',
-      'payment': 'Payment Method'
-    };
-    return labelMap[fieldName.toLowerCase()] || fieldName;
-  }
-
-
   async processOrder(form) {
+    // Checkout needs a signed-in customer
+    const authManager = this.cartManager.authManager;
+    if (authManager && !authManager.requireAuth('main.html#order')) {
+      return;
+    }
+
     const formData = new FormData(form);
     const orderData = Object.fromEntries(formData.entries());
 
@@ -784,16 +8752,7 @@ class OrderManager {
     orderData.fullAddress = fullAddress;
 
     // Validate all fields
-    const inputs = form.querySelectorAll('input, textarea, select');
-    let isValid = true;
-
-    inputs.forEach(input => {
-      if (!this.validateField(input)) {
-        isValid = false;
-      }
-    });
-
-    if (!isValid) {
+    if (!await this.checkoutSchema.validate(form)) {
       this.showNotification('Please fix the errors above', 'error');
       return;
     }
@@ -804,40 +8763,214 @@ class OrderManager {
       return;
     }
 
+    // Nobody should change a group order while it is being paid for
+    const group = this.cartManager.getGroup();
+    if (group && !group.locked) {
+      this.showNotification('Lock the group order before placing it, so nobody changes it while you pay', 'error');
+      return;
+    }
+
+    // Turn away an address we don't deliver to, or an order below the
+    // zone's minimum, before anything is paid
+    const delivery = this.deliveryZones.check(orderData.pincode, this.cartManager.getBill().subtotal);
+    if (!delivery.valid) {
+      this.showNotification(delivery.message, 'error');
+      return;
+    }
+
+    // Don't silently drop a promo code the customer expects to be applied
+    if (this.cartManager.promoCode) {
+      const promo = this.cartManager.evaluatePromo();
+      if (!promo.valid) {
+        const promoInput = form.querySelector('#promo-code');
+        if (promoInput) FormValidator.showFieldError(promoInput, promo.message);
+        this.showNotification(promo.message, 'error');
+        return;
+      }
+    }
+
     // Show loading state
     const submitButton = form.querySelector('button[type="submit"]');
     const originalText = submitButton.textContent;
     showLoading(submitButton);
 
+    // Capture the bill and items before the cart is cleared
+    const bill = this.cartManager.getBill();
+    const split = this.cartManager.getSplit();
+    const items = this.cartManager.cart.map(line => ({ ...line }));
+
+    const payload = this.buildOrderPayload(orderData, items, bill);
+
     try {
-      // Simulate order processing
-      await this.simulateOrderProcessing(orderData);
+      const { placed, payment } = await this.placePaidOrder(payload, () => this.collectPayment(form, orderData, bill));
+      const orderId = placed.id;
+      const scheduledFor = placed.scheduledFor || null;
+      const route = placed.delivery || null;
+      const invoice = placed.invoice || null;
+
+      this.orderHistory.record(this.cartManager.getUserKey(), {
+        id: orderId,
+        placedAt: placed.placedAt,
+        items,
+        bill,
+        split,
+        scheduledFor,
+        delivery: route,
+        invoice,
+        customerName: orderData.name,
+        address: orderData.fullAddress,
+        payment: {
+          method: orderData.payment || '',
+          label: this.getPaymentLabel(orderData, payment),
+          transactionId: payment ? payment.id : null
+        }
+      });
 
-      // Generate order ID
-      const orderId = this.generateOrderId();
+      // Count the order (and its promo) towards per-user promo limits
+      if (this.cartManager.promoEngine) {
+        this.cartManager.promoEngine.recordOrder(this.cartManager.getUserKey(), bill.promoCode);
+      }
+      this.cartManager.removePromo();
+      this.saveCheckoutAddress(form, orderData);
 
       // Show immediate thank you notification
       this.showImmediateThankYou(orderData.name);
 
-      // Clear cart
-      this.cartManager.clearCart();
+      // Clear cart (no undo: the order is placed and can be reordered)
+      this.cartManager.clearCart({ undoable: false });
 
       // Reset form
       form.reset();
+      this.setPaymentMethod(form, '');
+      this.setDeliveryTime('now');
+      this.updatePincodeStatus(form);
+      this.updateDeliveryZone(form);
+      this.renderAddressBook(true);
 
       // Show detailed success modal after a short delay
       setTimeout(() => {
-        this.showOrderSuccess(orderId, orderData);
+        this.showOrderSuccess(orderId, orderData, bill, split, scheduledFor, route, payment, invoice);
       }, 2000);
 
     } catch (error) {
       console.error('Order processing error:', error);
-      this.showNotification('Failed to process order. Please try again.', 'error');
+      let message = error instanceof ApiError || error instanceof PaymentError
+        ? error.userMessage
+        : 'Failed to process order. Please try again.';
+
+      // Paid, but the order did not go through
+      const keptPayment = this.pendingOrder && this.pendingOrder.payment;
+      if (keptPayment) {
+        message = `Your payment of ${formatCurrency(keptPayment.amount)} went through, but we are still confirming your order. Place the same order again in a moment to finish it; you will not be charged again.`;
+      } else if (error.refund) {
+        message += error.refund.status === 'refunded'
+          ? ` Your payment of ${formatCurrency(error.refund.amount)} has been refunded.`
+          : ' We could not refund your payment. Please contact us to get your money back.';
+      }
+      this.showNotification(message, 'error');
+
+      // The chosen slot was taken or became too soon: offer what is left
+      if (error instanceof ApiError && error.type === 'conflict' && payload.deliverySlot) {
+        const slotSelect = form.querySelector('#delivery-slot');
+        if (slotSelect) FormValidator.showFieldError(slotSelect, error.userMessage);
+        this.refreshSlots();
+      }
+
+      // The server has the final say on where we deliver and on the GSTIN
+      if (error instanceof ApiError && error.details) {
+        ['pincode', 'gstin'].forEach(name => {
+          const input = form.querySelector(`#${name}`);
+          if (input && error.details[name]) FormValidator.showFieldError(input, error.details[name]);
+        });
+      }
     } finally {
       hideLoading(submitButton, originalText);
     }
   }
 
+  /**
+   * Take the payment, then place the order, so the kitchen only gets paid
+   * orders. The payment is refunded if the server turns the order down. If
+   * its answer never arrives (a timeout, network, server or rate limit
+   * error) the order may still go through, so the payment is kept with the
+   * pending order: placing the same order again reuses it and the
+   * idempotency key instead of charging twice.
+   * @param {Object} payload - Order as sent to the API
+   * @param {Function} collectPayment - Takes the payment; resolves to it, or to null for cash
+   * @returns {Promise<Object>} {placed, payment}: the server's response and the payment
+   * @throws {ApiError|PaymentError} When a payment was refunded, the error
+   *   has `refund`: {status: refunded or failed, amount}
+   */
+  async placePaidOrder(payload, collectPayment) {
+    const idempotencyKey = this.getIdempotencyKey(payload);
+    const pending = this.pendingOrder;
+    if (!pending.payment) {
+      pending.payment = await collectPayment();
+    }
+
+    const { payment } = pending;
+    const paidPayload = payment
+      ? { ...payload, payment: { ...payload.payment, transactionId: payment.id, network: payment.network, last4: payment.last4 } }
+      : payload;
+
+    try {
+      const placed = await this.apiClient.placeOrder(paidPayload, idempotencyKey);
+      this.pendingOrder = null;
+      return { placed, payment };
+    } catch (error) {
+      if (payment && this.isOrderRejected(error)) {
+        pending.payment = null;
+        error.refund = { status: await this.refundPayment(payment) ? 'refunded' : 'failed', amount: payment.amount };
+      }
+      throw error;
+    }
+  }
+
+  // Only these errors mean the server turned the order down; after any
+  // other it may have placed the order without our hearing back
+  isOrderRejected(error) {
+    return error instanceof ApiError && ['validation', 'conflict', 'unauthorized'].includes(error.type);
+  }
+
+  // Order as sent to the API
+  buildOrderPayload(orderData, items, bill) {
+    return {
+      items: items.map(item => ({
+        sku: item.sku,
+        quantity: item.quantity,
+        options: this.cartManager.getLineSelections(item)
+      })),
+      promoCode: bill.promoCode,
+      total: bill.total,
+      deliverySlot: orderData['delivery-time'] === 'later' ? orderData['delivery-slot'] : null,
+      subtotal: bill.subtotal,
+      pincode: orderData.pincode,
+      state: orderData.state,
+      customer: {
+        name: orderData.name,
+        userKey: this.cartManager.getUserKey(),
+        // For GST invoices made out to a business
+        company: (orderData.company || '').trim(),
+        gstin: (orderData.gstin || '').trim().toUpperCase()
+      },
+      address: orderData.fullAddress,
+      payment: {
+        method: orderData.payment || '',
+        upiId: orderData.payment === 'upi' ? orderData['upi-id'] : undefined
+      }
+    };
+  }
+
+  // Reuse the idempotency key (and any payment taken) while retrying the
+  // same order, so a retry after a lost response cannot place it twice
+  getIdempotencyKey(payload) {
+    const fingerprint = JSON.stringify(payload);
+    if (!this.pendingOrder || this.pendingOrder.fingerprint !== fingerprint) {
+      this.pendingOrder = { fingerprint, key: this.apiClient.createIdempotencyKey() };
+    }
+    return this.pendingOrder.key;
+  }
+
   buildFullAddress(orderData) {
     const addressParts = [];
     
@@ -851,19 +8984,6 @@ class OrderManager {
     return addressParts.join(', ');
   }
 
-  simulateOrderProcessing(orderData) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        console.log('Order processed:', orderData);
-        resolve();
-      }, 2000);
-    });
-  }
-
-
-  generateOrderId() {
-    return `REX${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
-  }
 
   showImmediateThankYou(customerName) {
     const notification = document.createElement('div');
@@ -887,22 +9007,27 @@ class OrderManager {
 
 
 
-  showOrderSuccess(orderId, orderData) {
-    const modal = document.createElement('div');
-    modal.className = 'order-success-modal';
-    
-    // Build payment method display
-    let paymentMethod = '';
+  // Payment method display text, with the masked card once it is paid
+  getPaymentLabel(orderData, payment = null) {
     if (orderData.payment === 'upi') {
-      paymentMethod = `UPI Payment (${sanitizeInput(orderData['upi-id'])})`;
+      return orderData['upi-id'] ? `UPI Payment (${orderData['upi-id']})` : 'UPI Payment';
     } else if (orderData.payment === 'card') {
-      paymentMethod = 'Credit/Debit Card';
+      const network = payment && CARD_NETWORKS.find(card => card.id === payment.network);
+      return payment && payment.last4
+        ? `${network ? network.name : 'Card'} ${CardValidator.mask(payment.last4)}`
+        : 'Credit/Debit Card';
     } else if (orderData.payment === 'cash') {
-      paymentMethod = 'Cash on Delivery';
-    } else {
-      paymentMethod = 'Payment method not specified';
+      return 'Cash on Delivery';
     }
+    return 'Payment method not specified';
+  }
+
+  showOrderSuccess(orderId, orderData, bill, split = null, scheduledFor = null, delivery = null, payment = null, invoice = null) {
+    const modal = document.createElement('div');
+    modal.className = 'order-success-modal';
     
+    const paymentMethod = sanitizeInput(this.getPaymentLabel(orderData, payment));
+
     modal.innerHTML = `
       <div class="modal-content">
         <div class="modal-header">
@@ -922,8 +9047,19 @@ class OrderManager {
               ${sanitizeInput(orderData.fullAddress)}
             </div>
             <p><strong>💳 Payment Method:</strong> ${paymentMethod}</p>
-            <p><strong>💰 Total Amount:</strong> ${formatCurrency(this.cartManager.getTotal())}</p>
-            <p><strong>⏱️ Estimated Delivery:</strong> 30-45 minutes</p>
+            ${payment ? `<p><strong>🧾 Payment ID:</strong> ${sanitizeInput(payment.id)} (paid)</p>` : ''}
+            ${invoice ? `<p><strong>📄 Invoice No.:</strong> ${sanitizeInput(invoice.number)}</p>` : ''}
+            <p><strong>💰 Total Amount:</strong> ${formatCurrency(bill.total)}</p>
+            ${this.cartManager.pricingEngine.renderBreakdown(bill)}
+            ${split ? `<p><strong>👥 Split:</strong></p>${this.cartManager.pricingEngine.renderSplit(split)}` : ''}
+            ${scheduledFor ? `
+              <p><strong>🗓️ Scheduled Delivery:</strong> ${formatDeliverySlot(scheduledFor)}</p>
+              <p><small>You can cancel from My Orders until ${new Date(scheduledFor.cutoffAt).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}.</small></p>
+            ` : delivery ? `
+              <p><strong>⏱️ Estimated Delivery:</strong> ${delivery.eta[0]}–${delivery.eta[1]} minutes from ${sanitizeInput(delivery.branch.name)}</p>
+            ` : `
+              <p><strong>⏱️ Estimated Delivery:</strong> Confirmed once the restaurant accepts your order</p>
+            `}
           </div>
           <div class="delivery-message">
             <p>🚚 We're preparing your delicious meal with love and care!</p>
@@ -931,6 +9067,8 @@ class OrderManager {
           </div>
         </div>
         <div class="modal-footer">
+          <a class="btn btn-secondary" href="invoice.html?order=${encodeURIComponent(orderId)}" target="_blank" rel="noopener">${invoice ? 'Invoice' : 'Receipt'}</a>
+          <button class="btn btn-secondary track-order-btn">Track Order</button>
           <button class="btn btn-primary modal-close">Continue Shopping</button>
         </div>
       </div>
@@ -957,6 +9095,75 @@ class OrderManager {
         setTimeout(() => modal.remove(), 300);
       }
     });
+
+    modal.querySelector('.track-order-btn').addEventListener('click', () => {
+      modal.classList.remove('show');
+      setTimeout(() => modal.remove(), 300);
+      if (window.orderManagementUI) {
+        window.orderManagementUI.trackOrder(orderId);
+      }
+    });
+  }
+
+  /**
+   * Cancel a placed order. The server has to agree: it refuses once a
+   * scheduled order's cutoff has passed, and frees its slot otherwise.
+   * Orders paid by card or UPI are then refunded.
+   * @param {string} orderId - Order ID
+   * @returns {Promise<boolean>} Whether the order was cancelled
+   */
+  async cancelOrder(orderId) {
+    const userKey = this.cartManager.getUserKey();
+    const order = this.orderHistory.getOrder(userKey, orderId);
+    if (!order || !this.orderHistory.canCancel(order)) {
+      this.showNotification('This order can no longer be cancelled', 'error');
+      return false;
+    }
+
+    try {
+      await this.apiClient.cancelOrder(orderId);
+    } catch (error) {
+      // Orders from before the server kept them can only be cancelled here
+      if (!(error instanceof ApiError && error.type === 'not_found')) {
+        console.error('Order cancellation error:', error);
+        this.showNotification(error instanceof ApiError ? error.userMessage : 'We could not cancel this order. Please try again.', 'error');
+        return false;
+      }
+    }
+
+    if (!this.orderHistory.updateStatus(userKey, orderId, 'cancelled', { note: 'Cancelled by you' })) {
+      this.showNotification('This order can no longer be cancelled', 'error');
+      return false;
+    }
+
+    const refund = order.payment && order.payment.transactionId ? await this.refundOrder(userKey, order) : null;
+    if (!refund) {
+      this.showNotification('Order cancelled', 'info');
+    } else if (refund.status === 'refunded') {
+      this.showNotification(`Order cancelled. Your payment of ${formatCurrency(refund.amount)} has been refunded.`, 'info');
+    } else {
+      this.showNotification('Order cancelled, but we could not refund your payment. Please contact us to get your money back.', 'error');
+    }
+    return true;
+  }
+
+  /**
+   * Give the money back for a cancelled order paid by card or UPI, and note
+   * the outcome on the order
+   * @returns {Promise<Object>} {status: refunded or failed, amount, at}
+   */
+  async refundOrder(userKey, order) {
+    let refund;
+    try {
+      const payment = await this.paymentProcessor.refund({ id: order.payment.transactionId });
+      refund = { status: payment.status, amount: payment.amount, at: payment.refundedAt || new Date().toISOString() };
+    } catch (error) {
+      console.error('Refund error:', error);
+      refund = { status: 'failed', amount: order.bill ? order.bill.total : null, at: new Date().toISOString() };
+    }
+
+    this.orderHistory.updatePayment(userKey, order.id, { refund });
+    return refund;
   }
 
   showNotification(message, type) {
@@ -980,174 +9187,434 @@ class OrderManager {
 // ========================================
 
 class AuthManager {
-  constructor() {
+  constructor(apiClient = createApiClient(), {
+    sessionTtl = 30 * 60 * 1000,
+    rememberTtl = 30 * 24 * 60 * 60 * 1000,
+    oauthClient = createOAuthClient(),
+    storage = defaultStorage()
+  } = {}) {
+    this.apiClient = apiClient;
+    this.oauthClient = oauthClient;
+    this.storage = storage;
+    // Idle time before a session expires; activity slides the expiry forward
+    this.sessionTtl = sessionTtl;
+    this.rememberTtl = rememberTtl;
     this.currentUser = this.loadUser();
+    this.listeners = [];
     this.init();
   }
 
   init() {
     this.bindAuthForms();
+    this.bindSessionEvents();
+    this.renewSession();
     this.updateAuthUI();
+    this.redirectIfSignedIn();
+
+    if (this.oauthClient.isCallback(window.location.href)) {
+      this.completeProviderLogin();
+    }
   }
 
+  // Load the session; a tab-only session (sessionStorage) wins over a
+  // remembered one (app storage). Expired sessions are discarded.
   loadUser() {
     try {
-      const userData = localStorage.getItem('rex-user');
-      return userData ? JSON.parse(userData) : null;
+      const userData = sessionStorage.getItem('rex-user');
+      const session = userData ? JSON.parse(userData) : this.storage.get('rex-user');
+
+      // Sessions saved before expiry existed have no expiresAt and are dropped too
+      if (session && !(Date.parse(session.expiresAt) > Date.now())) {
+        this.clearSession();
+        return null;
+      }
+      return session;
     } catch (error) {
       console.error('Error loading user:', error);
       return null;
     }
   }
 
-  saveUser(userData) {
+  /**
+   * Start a session
+   * @param {Object} userData - {email, name, loginTime}
+   * @param {boolean} remember - Keep the session across browser restarts
+   */
+  saveUser(userData, remember = false) {
+    this.currentUser = { ...userData, remember };
+    this.writeSession();
+    this.updateAuthUI();
+    this.notifyListeners();
+  }
+
+  // Persist the current session with a fresh expiry
+  writeSession() {
+    const session = this.currentUser;
+    session.expiresAt = new Date(Date.now() + (session.remember ? this.rememberTtl : this.sessionTtl)).toISOString();
+
     try {
-      localStorage.setItem('rex-user', JSON.stringify(userData));
-      this.currentUser = userData;
-      this.updateAuthUI();
+      if (session.remember) {
+        this.storage.set('rex-user', session);
+        sessionStorage.removeItem('rex-user');
+      } else {
+        sessionStorage.setItem('rex-user', JSON.stringify(session));
+        this.storage.remove('rex-user');
+      }
     } catch (error) {
       console.error('Error saving user:', error);
     }
   }
 
+  clearSession() {
+    try {
+      sessionStorage.removeItem('rex-user');
+    } catch (error) {
+      console.error('Error clearing session:', error);
+    }
+    this.storage.remove('rex-user');
+  }
+
+  // Slide the expiry forward while the user is active
+  renewSession() {
+    if (!this.currentUser) return;
+
+    if (!(Date.parse(this.currentUser.expiresAt) > Date.now())) {
+      this.expireSession();
+      return;
+    }
+    this.writeSession();
+  }
+
+  expireSession() {
+    this.clearSession();
+    this.currentUser = null;
+    this.updateAuthUI();
+    this.notifyListeners();
+    this.showNotification('Your session has expired. Please log in again.', 'info');
+  }
+
+  bindSessionEvents() {
+    const renew = throttle(() => this.renewSession(), 60 * 1000);
+    ['click', 'keydown', 'scroll'].forEach(eventName => {
+      document.addEventListener(eventName, renew, { passive: true });
+    });
+
+    // Expire idle sessions even if the page is left open
+    setInterval(() => {
+      if (this.currentUser && !(Date.parse(this.currentUser.expiresAt) > Date.now())) {
+        this.expireSession();
+      }
+    }, 30 * 1000);
+
+    // A logout in any tab logs out every tab
+    this.storage.subscribe((key) => {
+      if (key === 'rex-logout' && this.currentUser) {
+        this.clearSession();
+        this.currentUser = null;
+        this.updateAuthUI();
+        this.notifyListeners();
+        this.showNotification('You have been logged out', 'info');
+      }
+    });
+  }
+
+  // Page (and hash) to come back to after logging in
+  getCurrentPath() {
+    const page = window.location.pathname.split('/').pop() || 'index.html';
+    return `${page}${window.location.search}${window.location.hash}`;
+  }
+
+  // The ?next= page to return to, limited to pages of this site
+  getNextUrl(fallback = 'main.html') {
+    const next = new URLSearchParams(window.location.search).get('next');
+    return next && /^[\w-]+\.html([?#][^\s]*)?$/.test(next) ? next : fallback;
+  }
+
+  /**
+   * Route guard: send signed-out users to the login page, remembering
+   * where to bring them back to
+   * @param {string} next - Page to return to after login (defaults to this page)
+   * @returns {boolean} Whether the user is signed in
+   */
+  requireAuth(next = this.getCurrentPath()) {
+    this.renewSession();
+    if (this.currentUser) return true;
+
+    this.showNotification('Please log in to continue', 'info');
+    setTimeout(() => {
+      window.location.href = `login.html?next=${encodeURIComponent(next)}`;
+    }, 1000);
+    return false;
+  }
+
+  // Skip the login page when already signed in and sent there by a guard
+  redirectIfSignedIn() {
+    const onAuthPage = document.querySelector('#login-form, .login-form');
+    if (onAuthPage && this.currentUser && new URLSearchParams(window.location.search).has('next')) {
+      window.location.href = this.getNextUrl();
+    }
+  }
+
   bindAuthForms() {
     // Login form
     const loginForm = document.querySelector('#login-form, .login-form');
     if (loginForm) {
-      loginForm.addEventListener('submit', (e) => this.handleLogin(e));
+      this.createLoginSchema().bind(loginForm, form => this.handleLogin(form));
     }
 
     // Signup form
     const signupForm = document.querySelector('#signup-form, .signup-form');
     if (signupForm) {
-      signupForm.addEventListener('submit', (e) => this.handleSignup(e));
+      this.createSignupSchema().bind(signupForm, form => this.handleSignup(form));
     }
 
-    // Logout button
-    const logoutBtn = document.querySelector('.logout-btn');
-    if (logoutBtn) {
-      logoutBtn.addEventListener('click', () => this.logout());
+    // Reset password form
+    const resetForm = document.querySelector('#reset-password-form');
+    if (resetForm) {
+      this.initPasswordReset(resetForm);
     }
+
+    // Logout button (the header, and so the button, may be added later)
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('.logout-btn')) {
+        e.preventDefault();
+        this.logout();
+      }
+    });
   }
 
-  async handleLogin(e) {
-    e.preventDefault();
-    const form = e.target;
-    const formData = new FormData(form);
-    const credentials = Object.fromEntries(formData.entries());
+  createLoginSchema() {
+    return new FormSchema({
+      email: { label: 'Email', required: true, email: true },
+      password: { label: 'Password', required: true }
+    });
+  }
 
-    // Validate input
-    if (!credentials.email || !credentials.password) {
-      this.showNotification('Please fill in all fields', 'error');
-      return;
-    }
+  // Choosing a password, at signup or through a reset link
+  createPasswordFields() {
+    return {
+      password: { label: 'Password', required: true, minLength: 6 },
+      'confirm-password': {
+        label: 'Password confirmation',
+        required: true,
+        matches: 'password',
+        messages: { required: 'Please confirm your password', matches: 'Passwords do not match' }
+      }
+    };
+  }
+
+  createSignupSchema() {
+    return new FormSchema({
+      name: {
+        label: 'Full name',
+        required: true,
+        minLength: 2,
+        messages: { minLength: 'Name must be at least 2 characters long' }
+      },
+      email: {
+        label: 'Email',
+        required: true,
+        email: true,
+        validateAsync: async value => {
+          const { available } = await this.apiClient.checkEmail(value);
+          return available ? null : 'An account with this email already exists';
+        }
+      },
+      ...this.createPasswordFields(),
+      terms: {
+        label: 'Terms of Service',
+        required: true,
+        messages: { required: 'You must agree to the Terms of Service' }
+      }
+    });
+  }
+
+  // Called by the login form's schema once the form is valid
+  async handleLogin(form) {
+    const credentials = Object.fromEntries(new FormData(form).entries());
 
     const submitButton = form.querySelector('button[type="submit"]');
     const originalText = submitButton.textContent;
     showLoading(submitButton);
 
     try {
-      // Simulate authentication
-      await this.simulateLogin(credentials);
+      const { user } = await this.apiClient.login({
+        email: credentials.email,
+        password: credentials.password
+      });
 
       // Create user session
       const userData = {
-        email: credentials.email,
-        name: credentials.email.split('@')[0],
+        email: user.email,
+        name: user.name || user.email.split('@')[0],
         loginTime: new Date().toISOString()
       };
 
-      this.saveUser(userData);
+      this.saveUser(userData, credentials.remember === 'on');
       this.showNotification('Login successful!', 'success');
 
-      // Redirect to menu page
+      // Redirect to the page that asked for login, or the menu page
       setTimeout(() => {
-        window.location.href = 'main.html';
+        window.location.href = this.getNextUrl();
       }, 1500);
 
     } catch (error) {
       console.error('Login error:', error);
-      this.showNotification('Invalid credentials', 'error');
+      this.showNotification(error instanceof ApiError ? error.userMessage : 'Invalid credentials', 'error');
     } finally {
       hideLoading(submitButton, originalText);
     }
   }
 
-  async handleSignup(e) {
-    e.preventDefault();
-    const form = e.target;
-    const formData = new FormData(form);
-    const userData = Object.fromEntries(formData.entries());
-
-    // Validate input
-    if (!userData.name || !userData.email || !userData.password) {
-      this.showNotification('Please fill in all fields', 'error');
-      return;
-    }
-
-    if (!FormValidator.validateEmail(userData.email)) {
-      this.showNotification('Please enter a valid email address', 'error');
-      return;
-    }
-
-    if (!FormValidator.validatePassword(userData.password)) {
-      this.showNotification('Password must be at least 6 characters long', 'error');
-      return;
-    }
+  // Called by the signup form's schema once the form is valid
+  async handleSignup(form) {
+    const userData = Object.fromEntries(new FormData(form).entries());
 
     const submitButton = form.querySelector('button[type="submit"]');
     const originalText = submitButton.textContent;
     showLoading(submitButton);
 
     try {
-      // Simulate registration
-      await this.simulateSignup(userData);
+      await this.apiClient.signup({
+        name: userData.name.trim(),
+        email: userData.email.trim(),
+        password: userData.password
+      });
 
       this.showNotification('Account created successfully!', 'success');
 
-      // Redirect to login page
+      // Redirect to login page, keeping where to go afterwards
       setTimeout(() => {
-        window.location.href = 'login.html';
+        window.location.href = `login.html${window.location.search}`;
       }, 1500);
 
     } catch (error) {
       console.error('Signup error:', error);
-      this.showNotification('Failed to create account', 'error');
+      if (error instanceof ApiError && error.type === 'conflict') {
+        FormValidator.showFieldError(form.querySelector('[name="email"]'), error.userMessage);
+      }
+      this.showNotification(error instanceof ApiError ? error.userMessage : 'Failed to create account', 'error');
     } finally {
       hideLoading(submitButton, originalText);
     }
   }
 
-  simulateLogin(credentials) {
-    return new Promise((resolve, reject) => {
+  /**
+   * Log in through an OAuth/OIDC provider ("Login with Google"); the
+   * browser leaves for the provider and comes back to completeProviderLogin
+   * @param {string} providerId - Provider key, e.g. 'google'
+   */
+  async loginWithProvider(providerId) {
+    try {
+      await this.oauthClient.begin(providerId, this.getNextUrl());
+    } catch (error) {
+      console.error('Social login error:', error);
+      this.showNotification(error instanceof OAuthError ? error.userMessage : 'Could not start sign-in', 'error');
+    }
+  }
+
+  // Finish a provider login on the page it redirected back to
+  async completeProviderLogin() {
+    const callbackUrl = window.location.href;
+    // Keep the one-time code out of the address bar and history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    try {
+      const { provider, idToken, next } = await this.oauthClient.handleCallback(callbackUrl);
+      const { user, linked } = await this.apiClient.loginWithProvider(provider.id, idToken);
+
+      this.saveUser({
+        email: user.email,
+        name: user.name || user.email.split('@')[0],
+        provider: provider.id,
+        loginTime: new Date().toISOString()
+      });
+      this.showNotification(linked
+        ? `Your ${provider.name} account is now linked to ${user.email}`
+        : `Logged in with ${provider.name}`, 'success');
+
       setTimeout(() => {
-        // Simulate successful login for any credentials
-        if (credentials.email && credentials.password) {
-          resolve();
-        } else {
-          reject(new Error('Invalid credentials'));
-        }
+        window.location.href = next;
       }, 1500);
-    });
+    } catch (error) {
+      console.error('Social login error:', error);
+      this.showNotification(error instanceof OAuthError || error instanceof ApiError ? error.userMessage : 'Could not complete sign-in', 'error');
+    }
   }
 
-  simulateSignup(userData) {
-    return new Promise((resolve, reject) => {
+  // Send reset instructions (the login page's "Forgot Password?")
+  async requestPasswordReset(email) {
+    if (!email || !FormValidator.validateEmail(email.trim())) {
+      this.showNotification('Please enter your email address first', 'error');
+      return false;
+    }
+
+    try {
+      const response = await this.apiClient.requestPasswordReset(email.trim());
+      this.showNotification(response.message, 'info');
+      return true;
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      this.showNotification(error instanceof ApiError ? error.userMessage : 'Could not send reset instructions', 'error');
+      return false;
+    }
+  }
+
+  // Check the link's token before letting the user pick a new password
+  async initPasswordReset(form) {
+    const token = new URLSearchParams(window.location.search).get('token');
+    const status = document.getElementById('reset-status');
+    const fieldset = form.querySelector('fieldset');
+
+    new FormSchema(this.createPasswordFields()).bind(form, () => this.handlePasswordReset(form, token));
+    fieldset.disabled = true;
+
+    try {
+      if (!token) {
+        throw new ApiError('validation', 'Missing reset token', {
+          userMessage: 'This reset link is invalid or has expired. Please request a new one.'
+        });
+      }
+      const { email } = await this.apiClient.checkPasswordResetToken(token);
+      status.textContent = `Choose a new password for ${email}`;
+      fieldset.disabled = false;
+    } catch (error) {
+      status.textContent = error instanceof ApiError ? error.userMessage : 'Could not check your reset link';
+    }
+  }
+
+  // Called by the reset form's schema once the new password is valid
+  async handlePasswordReset(form, token) {
+    const password = form.querySelector('#password');
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    const originalText = submitButton.textContent;
+    showLoading(submitButton);
+
+    try {
+      await this.apiClient.resetPassword(token, password.value);
+      form.reset();
+      form.querySelector('fieldset').disabled = true;
+      this.showNotification('Password updated. Please log in with your new password.', 'success');
+
       setTimeout(() => {
-        // Simulate successful registration
-        if (userData.name && userData.email && userData.password) {
-          resolve();
-        } else {
-          reject(new Error('Invalid data'));
-        }
+        window.location.href = 'login.html';
       }, 1500);
-    });
+    } catch (error) {
+      console.error('Password reset error:', error);
+      this.showNotification(error instanceof ApiError ? error.userMessage : 'Failed to reset password', 'error');
+    } finally {
+      hideLoading(submitButton, originalText);
+    }
   }
 
   logout() {
-    localStorage.removeItem('rex-user');
+    this.clearSession();
+    // Tell other tabs (they receive a storage event)
+    this.storage.set('rex-logout', Date.now());
     this.currentUser = null;
     this.updateAuthUI();
+    this.notifyListeners();
     this.showNotification('Logged out successfully', 'info');
     
     setTimeout(() => {
@@ -1155,6 +9622,15 @@ class AuthManager {
     }, 1000);
   }
 
+  // Called with the new user (or null) whenever someone signs in or out
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => callback(this.currentUser));
+  }
+
   updateAuthUI() {
     const authLinks = document.querySelectorAll('.auth-link');
     const userDisplay = document.querySelector('.user-display');
@@ -1210,14 +9686,27 @@ class AuthManager {
 // ========================================
 
 class OrderManagementUI {
-  constructor(cartManager) {
+  constructor(cartManager, orderHistory = null, orderTransfer = new OrderTransfer(cartManager), cartShare = new CartShare(cartManager, orderTransfer), recurringOrders = null) {
     this.cartManager = cartManager;
+    this.orderHistory = orderHistory;
+    this.orderTransfer = orderTransfer;
+    this.cartShare = cartShare;
+    this.recurringOrders = recurringOrders;
     this.init();
   }
 
   init() {
+    this.trackedOrderId = null;
+    // What the export dialog offers, and the checked file being imported
+    this.exportChoices = { orderIds: [], templateIds: [] };
+    this.importPreview = null;
+    // Checked contents of a shared cart link being opened
+    this.sharedPreview = null;
+    // Template whose repeat schedule is being edited
+    this.recurrenceTemplateId = null;
     this.bindEvents();
     this.updateDisplay();
+    this.openSharedCart();
   }
 
   bindEvents() {
@@ -1256,9 +9745,37 @@ class OrderManagementUI {
       refreshTemplatesBtn.addEventListener('click', () => this.updateTemplatesDisplay());
     }
 
+    // Order history
+    const myOrdersBtn = document.getElementById('my-orders-btn');
+    if (myOrdersBtn) {
+      myOrdersBtn.addEventListener('click', () => this.showOrderHistory());
+    }
+
+    // Keep the panel current, including changes made in other tabs
+    this.cartManager.onChange(() => this.updateDisplay());
+
+    if (this.orderHistory) {
+      this.orderHistory.onChange(() => {
+        this.updateOrderHistoryDisplay();
+        this.updateTrackingDisplay();
+      });
+    }
+
     // Template modal events
     this.bindTemplateModalEvents();
 
+    // Import / export
+    this.bindTransferEvents();
+
+    // Shared cart links
+    this.bindShareEvents();
+
+    // Group orders
+    this.bindGroupEvents();
+
+    // Recurring orders
+    this.bindRecurrenceEvents();
+
     // Close modal on outside click
     document.addEventListener('click', (e) => {
       if (e.target.classList.contains('modal')) {
@@ -1298,33 +9815,412 @@ class OrderManagementUI {
     }
   }
 
-  togglePanel() {
-    const panel = document.getElementById('order-management-panel');
-    if (panel) {
-      panel.classList.toggle('show');
-      if (panel.classList.contains('show')) {
-        this.updateDisplay();
+  bindTransferEvents() {
+    const exportBtn = document.getElementById('export-orders-btn');
+    const exportJsonBtn = document.getElementById('export-json-btn');
+    const exportCsvBtn = document.getElementById('export-csv-btn');
+    const importBtn = document.getElementById('import-orders-btn');
+    const fileInput = document.getElementById('import-file-input');
+    const importConfirmBtn = document.getElementById('import-confirm-btn');
+
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.showExportModal());
+    }
+
+    if (exportJsonBtn) {
+      exportJsonBtn.addEventListener('click', () => this.exportSelection('json'));
+    }
+
+    if (exportCsvBtn) {
+      exportCsvBtn.addEventListener('click', () => this.exportSelection('csv'));
+    }
+
+    if (importBtn && fileInput) {
+      importBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        // Let the same file be picked again later
+        fileInput.value = '';
+        if (file) {
+          this.previewImport(file);
+        }
+      });
+    }
+
+    if (importConfirmBtn) {
+      importConfirmBtn.addEventListener('click', () => this.confirmImport());
+    }
+  }
+
+  bindShareEvents() {
+    const shareBtn = document.getElementById('share-order-btn');
+    const copyBtn = document.getElementById('share-copy-btn');
+    const newOrderBtn = document.getElementById('shared-cart-new-btn');
+    const mergeBtn = document.getElementById('shared-cart-merge-btn');
+
+    if (shareBtn) {
+      shareBtn.addEventListener('click', () => this.shareCurrentOrder());
+    }
+
+    if (copyBtn) {
+      copyBtn.addEventListener('click', () => this.copyShareLink());
+    }
+
+    if (newOrderBtn) {
+      newOrderBtn.addEventListener('click', () => this.confirmSharedCart('new'));
+    }
+
+    if (mergeBtn) {
+      mergeBtn.addEventListener('click', () => this.confirmSharedCart('merge'));
+    }
+
+    // A link pasted into a tab that already has the page open
+    window.addEventListener('hashchange', () => this.openSharedCart());
+  }
+
+  bindGroupEvents() {
+    const container = document.getElementById('group-order');
+    const splitExportBtn = document.getElementById('split-export-btn');
+
+    if (container) {
+      container.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-group-action]');
+        if (button) {
+          this.handleGroupAction(button.dataset.groupAction, button.dataset.participantId);
+        }
+      });
+
+      container.addEventListener('change', (e) => {
+        if (e.target.id === 'group-participant-select') {
+          this.cartManager.setParticipant(e.target.value);
+        }
+      });
+
+      container.addEventListener('keypress', (e) => {
+        if (e.target.id === 'group-participant-name' && e.key === 'Enter') {
+          this.handleGroupAction('add');
+        }
+      });
+    }
+
+    if (splitExportBtn) {
+      splitExportBtn.addEventListener('click', () => {
+        this.downloadSplit(this.cartManager.getSplit());
+      });
+    }
+  }
+
+  bindRecurrenceEvents() {
+    const saveBtn = document.getElementById('recurrence-save-btn');
+    const pauseBtn = document.getElementById('recurrence-pause-btn');
+    const removeBtn = document.getElementById('recurrence-remove-btn');
+    const editor = document.getElementById('recurrence-editor');
+    if (!this.recurringOrders) return;
+
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.saveRecurrence());
+    }
+
+    if (pauseBtn) {
+      pauseBtn.addEventListener('click', () => {
+        const template = this.cartManager.getTemplate(this.recurrenceTemplateId);
+        if (template && template.recurrence) {
+          this.recurringOrders.setPaused(template.id, !template.recurrence.paused);
+          this.renderRecurrence();
+          this.updateDisplay();
+        }
+      });
+    }
+
+    if (removeBtn) {
+      removeBtn.addEventListener('click', () => {
+        if (this.recurringOrders.removeRecurrence(this.recurrenceTemplateId)) {
+          this.hideModal('recurrence-modal');
+          this.updateDisplay();
+        }
+      });
+    }
+
+    if (editor) {
+      editor.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-skip-date]');
+        if (button) {
+          this.recurringOrders.toggleSkip(this.recurrenceTemplateId, button.dataset.skipDate);
+          this.renderRecurrence();
+          this.updateDisplay();
+        }
+      });
+    }
+  }
+
+  togglePanel() {
+    const panel = document.getElementById('order-management-panel');
+    if (panel) {
+      panel.classList.toggle('show');
+      if (panel.classList.contains('show')) {
+        this.updateDisplay();
+      }
+    }
+  }
+
+  closePanel() {
+    const panel = document.getElementById('order-management-panel');
+    if (panel) {
+      panel.classList.remove('show');
+    }
+  }
+
+  updateDisplay() {
+    this.updateCurrentOrderDisplay();
+    this.updateGroupDisplay();
+    this.updateOrdersList();
+    this.updateTemplatesDisplay();
+  }
+
+  updateCurrentOrderDisplay() {
+    const currentOrderName = document.getElementById('current-order-name');
+    if (currentOrderName) {
+      currentOrderName.textContent = this.cartManager.activeOrderId;
+    }
+  }
+
+  updateGroupDisplay() {
+    const container = document.getElementById('group-order');
+    if (!container) return;
+
+    const group = this.cartManager.getGroup();
+    if (!group) {
+      container.innerHTML = `
+        <p class="group-order-hint">Let colleagues add their own items to this order and split the bill.</p>
+        <div class="template-actions">
+          <button class="btn btn-sm btn-primary" data-group-action="start">
+            <i class="fas fa-users"></i> Start Group Order
+          </button>
+        </div>
+      `;
+      return;
+    }
+
+    const current = this.cartManager.getParticipantId(group);
+    const split = this.cartManager.getSplit();
+    const isHost = current === group.host;
+
+    container.innerHTML = `
+      <p class="group-order-status">
+        <i class="fas ${group.locked ? 'fa-lock' : 'fa-lock-open'}"></i>
+        ${group.locked ? 'Locked: ready to place' : 'Open: everyone can add items'}
+      </p>
+      <div class="form-group">
+        <label for="group-participant-select">Adding items for:</label>
+        <select id="group-participant-select">
+          ${group.participants.map(participant => `
+            <option value="${participant.id}" ${participant.id === current ? 'selected' : ''}>${participant.name}</option>
+          `).join('')}
+        </select>
+      </div>
+      <ul class="group-participants">
+        ${split.map(share => `
+          <li>
+            <span>
+              ${share.name}${share.id === group.host ? ' <small>(host)</small>' : ''}
+              <small>${share.itemCount} item${share.itemCount === 1 ? '' : 's'} • ${formatCurrency(share.total)}</small>
+            </span>
+            ${share.id !== group.host && !group.locked ? `
+              <button class="btn-sm btn-danger" data-group-action="remove" data-participant-id="${share.id}" title="Remove ${share.name}">
+                <i class="fas fa-user-minus"></i>
+              </button>
+            ` : ''}
+          </li>
+        `).join('')}
+      </ul>
+      ${group.locked ? '' : `
+        <div class="group-add">
+          <input type="text" id="group-participant-name" placeholder="Colleague's name" aria-label="Colleague's name">
+          <button class="btn btn-sm btn-secondary" data-group-action="add">
+            <i class="fas fa-user-plus"></i> Add
+          </button>
+        </div>
+      `}
+      <div class="template-actions">
+        ${isHost ? `
+          <button class="btn btn-sm btn-primary" data-group-action="${group.locked ? 'unlock' : 'lock'}">
+            <i class="fas ${group.locked ? 'fa-lock-open' : 'fa-lock'}"></i> ${group.locked ? 'Unlock' : 'Lock'}
+          </button>
+        ` : ''}
+        <button class="btn btn-sm btn-info" data-group-action="split">
+          <i class="fas fa-calculator"></i> Split Bill
+        </button>
+        ${group.locked ? '' : `
+          <button class="btn btn-sm btn-secondary" data-group-action="end">
+            <i class="fas fa-user"></i> End Group Order
+          </button>
+        `}
+      </div>
+    `;
+  }
+
+  handleGroupAction(action, participantId) {
+    switch (action) {
+      case 'start':
+        this.cartManager.startGroupOrder();
+        break;
+      case 'end':
+        this.cartManager.endGroupOrder();
+        break;
+      case 'add': {
+        const nameInput = document.getElementById('group-participant-name');
+        const added = nameInput && this.cartManager.addParticipant(nameInput.value);
+        if (added) {
+          // Whoever was just added is probably choosing their items next
+          this.cartManager.setParticipant(added);
+        }
+        break;
       }
+      case 'remove':
+        this.cartManager.removeParticipant(participantId);
+        break;
+      case 'lock':
+      case 'unlock':
+        this.cartManager.setGroupLocked(action === 'lock');
+        break;
+      case 'split':
+        this.showSplitModal();
+        break;
     }
+    this.updateDisplay();
   }
 
-  closePanel() {
-    const panel = document.getElementById('order-management-panel');
-    if (panel) {
-      panel.classList.remove('show');
-    }
+  showSplitModal() {
+    const container = document.getElementById('split-summary');
+    const split = this.cartManager.getSplit();
+    if (!container || !split) return;
+
+    const bill = this.cartManager.getBill();
+    container.innerHTML = `
+      ${this.cartManager.pricingEngine.renderSplit(split)}
+      <p class="history-order-meta">
+        Everyone pays for their own items. Discounts, packaging and GST follow the items they belong to;
+        the delivery fee${bill.roundOff !== 0 ? ' and round off are' : ' is'} shared in proportion to each person's item total.
+      </p>
+    `;
+    this.showModal('split-modal');
   }
 
-  updateDisplay() {
-    this.updateCurrentOrderDisplay();
-    this.updateOrdersList();
-    this.updateTemplatesDisplay();
+  // Download a group order's split as CSV
+  downloadSplit(split) {
+    if (!split) return;
+    downloadFile(`rex-split-${new Date().toISOString().slice(0, 10)}.csv`, this.orderTransfer.splitToCSV(split), 'text/csv');
   }
 
-  updateCurrentOrderDisplay() {
-    const currentOrderName = document.getElementById('current-order-name');
-    if (currentOrderName) {
-      currentOrderName.textContent = this.cartManager.activeOrderId;
+  // "Mon–Fri at 12:30 pm · Next: Tomorrow, 12:30 pm – 1:00 pm"
+  describeRecurrence(template) {
+    const rule = template.recurrence;
+    const next = this.recurringOrders.getOccurrences(template).find(occurrence => ['upcoming', 'materialized'].includes(occurrence.status));
+    return [
+      rule.paused ? 'Paused' : '',
+      this.recurringOrders.describe(rule),
+      next && !rule.paused ? `Next: ${formatDeliverySlot(next)}` : ''
+    ].filter(Boolean).join(' • ');
+  }
+
+  showRecurrence(templateId) {
+    if (!this.recurringOrders || !this.cartManager.getTemplate(templateId)) return;
+    this.recurrenceTemplateId = templateId;
+    this.renderRecurrence();
+    this.showModal('recurrence-modal');
+  }
+
+  renderRecurrence() {
+    const container = document.getElementById('recurrence-editor');
+    const template = this.cartManager.getTemplate(this.recurrenceTemplateId);
+    if (!container || !template) return;
+
+    const rule = template.recurrence;
+    const times = this.recurringOrders.deliverySchedule.getSlotTimes();
+    const chosenTime = rule ? rule.time : (times.includes('12:30') ? '12:30' : times[0]);
+    const days = rule ? rule.days : ['mon', 'tue', 'wed', 'thu', 'fri'];
+    const checks = this.recurringOrders.checkItems(template) || [];
+    const changes = checks.filter(check => check.status !== 'ok');
+    const statusLabels = {
+      upcoming: '',
+      materialized: 'In your orders',
+      skipped: 'Skipped',
+      paused: 'Paused',
+      closed: 'Kitchen closed'
+    };
+
+    container.innerHTML = `
+      <p><strong>${template.name}</strong></p>
+      <fieldset class="options-group">
+        <legend>Repeat on</legend>
+        <div class="recurrence-days">
+          ${RECURRENCE_DAYS.map(day => `
+            <label class="option-choice">
+              <input type="checkbox" name="recurrence-day" value="${day}" ${days.includes(day) ? 'checked' : ''}>
+              ${this.recurringOrders.formatDay(day)}
+            </label>
+          `).join('')}
+        </div>
+      </fieldset>
+      <div class="form-group">
+        <label for="recurrence-time">Delivery time:</label>
+        <select id="recurrence-time">
+          ${times.map(time => `<option value="${time}" ${time === chosenTime ? 'selected' : ''}>${this.recurringOrders.formatTime(time)}</option>`).join('')}
+        </select>
+      </div>
+      ${changes.length > 0 ? `
+        <p class="history-order-meta">Changed on the menu since this template was saved:</p>
+        <ul class="history-order-items">
+          ${changes.map(check => `
+            <li class="import-line import-${check.status}">
+              <span>${check.line.quantity}× ${(check.resolved || check.line).name}</span>
+              <span class="cart-item-warning">${check.resolved ? check.message : `${check.message} (will be left out)`}</span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+      ${rule ? `
+        <p class="history-order-meta">Next orders:</p>
+        <ul class="history-order-items recurrence-occurrences">
+          ${this.recurringOrders.getOccurrences(template).map(occurrence => `
+            <li class="recurrence-${occurrence.status}">
+              <span>${formatDeliverySlot(occurrence)}</span>
+              <span>
+                ${statusLabels[occurrence.status]}
+                ${['upcoming', 'paused', 'skipped'].includes(occurrence.status) ? `
+                  <button type="button" class="btn-sm btn-secondary" data-skip-date="${occurrence.date}">
+                    ${occurrence.status === 'skipped' ? 'Unskip' : 'Skip'}
+                  </button>
+                ` : ''}
+              </span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+    `;
+
+    const pauseBtn = document.getElementById('recurrence-pause-btn');
+    const removeBtn = document.getElementById('recurrence-remove-btn');
+    if (pauseBtn) {
+      pauseBtn.classList.toggle('hidden', !rule);
+      pauseBtn.textContent = rule && rule.paused ? 'Resume' : 'Pause';
+    }
+    if (removeBtn) {
+      removeBtn.classList.toggle('hidden', !rule);
+    }
+  }
+
+  saveRecurrence() {
+    const days = [...document.querySelectorAll('#recurrence-editor input[name="recurrence-day"]:checked')].map(input => input.value);
+    const timeSelect = document.getElementById('recurrence-time');
+    const saved = this.recurringOrders.setRecurrence(this.recurrenceTemplateId, {
+      days,
+      time: timeSelect ? timeSelect.value : ''
+    });
+
+    if (saved) {
+      this.renderRecurrence();
+      this.updateDisplay();
     }
   }
 
@@ -1342,6 +10238,7 @@ class OrderManagementUI {
     ordersList.innerHTML = orderIds.map(orderId => {
       const summary = this.cartManager.getOrderSummary(orderId);
       const isActive = orderId === this.cartManager.activeOrderId;
+      const recurrence = this.cartManager.orders[orderId].recurrence;
       
       return `
         <div class="order-item ${isActive ? 'active' : ''}" data-order-id="${orderId}">
@@ -1350,6 +10247,12 @@ class OrderManagementUI {
             <div class="order-details">
               ${summary.itemCount} items • ₹${summary.total.toFixed(2)}
               ${isActive ? ' • Active' : ''}
+              ${recurrence ? `<br><small>For ${formatDeliverySlot(recurrence)}</small>` : ''}
+              ${recurrence && recurrence.drift.length > 0 ? `
+                <small class="cart-item-warning" title="${recurrence.drift.map(change => `${change.name}: ${change.message}`).join('&#10;')}">
+                  ${recurrence.drift.length} item${recurrence.drift.length === 1 ? '' : 's'} changed on the menu
+                </small>
+              ` : ''}
             </div>
           </div>
           <div class="order-actions">
@@ -1387,13 +10290,27 @@ class OrderManagementUI {
           <div class="template-details">
             ${template.itemCount} items • ₹${template.total.toFixed(2)}
             <br>
+            <small>${template.items.map(item => {
+              const modifiers = this.cartManager.formatModifiers(item);
+              return `${item.quantity}× ${item.name}${modifiers ? ` (${modifiers})` : ''}`;
+            }).join(', ')}</small>
+            <br>
             <small>Created: ${new Date(template.createdAt).toLocaleDateString()}</small>
+            ${template.recurrence && this.recurringOrders ? `
+              <br>
+              <small class="template-recurrence">${this.describeRecurrence(template)}</small>
+            ` : ''}
           </div>
         </div>
         <div class="template-actions-list">
           <button class="btn-sm btn-success" onclick="window.orderManagementUI.loadTemplate('${template.id}')" title="Load Template">
             <i class="fas fa-download"></i>
           </button>
+          ${this.recurringOrders ? `
+            <button class="btn-sm btn-secondary" onclick="window.orderManagementUI.showRecurrence('${template.id}')" title="Repeat Template">
+              <i class="fas fa-calendar-alt"></i>
+            </button>
+          ` : ''}
           <button class="btn-sm btn-secondary" onclick="window.orderManagementUI.duplicateTemplate('${template.id}')" title="Duplicate Template">
             <i class="fas fa-copy"></i>
           </button>
@@ -1457,7 +10374,10 @@ class OrderManagementUI {
     // Show preview
     previewContainer.innerHTML = currentOrderItems.map(item => `
       <div class="template-item-preview">
-        <span class="template-item-name">${item.name}</span>
+        <span class="template-item-name">
+          ${item.name}
+          ${item.modifiers && item.modifiers.length ? `<small class="template-item-modifiers">${this.cartManager.formatModifiers(item)}</small>` : ''}
+        </span>
         <span class="template-item-details">₹${item.price} x ${item.quantity} = ₹${(item.price * item.quantity).toFixed(2)}</span>
       </div>
     `).join('');
@@ -1505,6 +10425,526 @@ class OrderManagementUI {
     }
   }
 
+  // ========================================
+  // IMPORT / EXPORT
+  // ========================================
+
+  showExportModal() {
+    const container = document.getElementById('export-selection');
+    if (!container) return;
+
+    const orderIds = this.cartManager.getAllOrderIds();
+    const templates = this.cartManager.getAllTemplates();
+    this.exportChoices = { orderIds, templateIds: templates.map(template => template.id) };
+
+    // Checkboxes carry list positions, so names never end up in attributes
+    const choice = (name, index, label, detail) => `
+      <label class="option-choice">
+        <input type="checkbox" name="${name}" value="${index}" checked>
+        <span>${label}</span>
+        <span class="option-price">${detail}</span>
+      </label>
+    `;
+
+    container.innerHTML = `
+      <fieldset class="options-group">
+        <legend>Orders</legend>
+        ${orderIds.map((orderId, index) => {
+          const summary = this.cartManager.getOrderSummary(orderId);
+          return choice('export-order', index, sanitizeInput(orderId), `${summary.itemCount} items • ${formatCurrency(summary.total)}`);
+        }).join('')}
+      </fieldset>
+      <fieldset class="options-group">
+        <legend>Templates</legend>
+        ${templates.length === 0 ? '<p class="empty-cart">No templates saved yet</p>' : templates.map((template, index) =>
+          choice('export-template', index, template.name, `${template.itemCount} items • ${formatCurrency(template.total)}`)).join('')}
+      </fieldset>
+    `;
+
+    this.showModal('export-modal');
+  }
+
+  // Download the checked orders and templates as JSON or CSV
+  exportSelection(format) {
+    const checked = (name) => [...document.querySelectorAll(`#export-selection input[name="${name}"]:checked`)]
+      .map(input => Number(input.value));
+    const selection = {
+      orderIds: checked('export-order').map(index => this.exportChoices.orderIds[index]),
+      templateIds: checked('export-template').map(index => this.exportChoices.templateIds[index])
+    };
+
+    if (selection.orderIds.length === 0 && selection.templateIds.length === 0) {
+      this.cartManager.showNotification('Choose at least one order or template to export', 'error');
+      return;
+    }
+
+    const fileName = `rex-orders-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'csv') {
+      downloadFile(`${fileName}.csv`, this.orderTransfer.toCSV(selection), 'text/csv');
+    } else {
+      downloadFile(`${fileName}.json`, this.orderTransfer.toJSON(selection), 'application/json');
+    }
+    this.hideModal('export-modal');
+  }
+
+  // Read and check a chosen file, then show what importing it would add
+  async previewImport(file) {
+    try {
+      if (this.cartManager.menuCatalog) {
+        await this.cartManager.menuCatalog.load();
+      }
+      this.importPreview = this.orderTransfer.check(this.orderTransfer.parse(await file.text()));
+    } catch (error) {
+      console.error('Import error:', error);
+      this.cartManager.showNotification(error instanceof ImportError ? error.userMessage : 'This file could not be read.', 'error');
+      return;
+    }
+
+    if (this.importPreview.orders.length === 0 && this.importPreview.templates.length === 0) {
+      this.cartManager.showNotification('This file has no orders or templates', 'info');
+      return;
+    }
+
+    this.renderImportPreview();
+    this.showModal('import-modal');
+  }
+
+  renderImportPreview() {
+    const container = document.getElementById('import-preview');
+    if (!container || !this.importPreview) return;
+
+    const { orders, templates } = this.importPreview;
+    const lines = [...orders, ...templates].reduce((all, entry) => all.concat(entry.lines), []);
+    const skipped = lines.filter(check => !check.resolved).length;
+    const repriced = lines.filter(check => check.status === 'repriced').length;
+
+    const renderLine = (check) => {
+      const line = check.resolved || check.line;
+      const name = check.resolved ? line.name : sanitizeInput(line.name || line.sku || 'Unknown item');
+      const note = check.resolved ? check.message : `${check.message} (will be skipped)`;
+      return `
+        <li class="import-line import-${check.status}">
+          <span>${Number.isInteger(line.quantity) ? `${line.quantity}× ` : ''}${name}</span>
+          <span>
+            ${check.resolved ? formatCurrency(line.price * line.quantity) : ''}
+            ${note ? `<span class="cart-item-warning">${note}</span>` : ''}
+          </span>
+        </li>
+      `;
+    };
+
+    const renderEntry = (type, entry, index) => `
+      <div class="history-order import-entry">
+        <label class="option-choice">
+          <input type="checkbox" name="import-${type}" value="${index}" checked>
+          <strong>${type === 'order' ? 'Order' : 'Template'}: ${sanitizeInput(entry.name)}</strong>
+        </label>
+        ${entry.collision && type === 'template' ? `
+          <div class="form-group">
+            <label for="import-template-name-${index}">A template with this name already exists. Save this one as:</label>
+            <input type="text" id="import-template-name-${index}">
+          </div>
+        ` : ''}
+        ${entry.collision && type === 'order' ? '<p class="history-order-meta">An order with this name already exists, so this one will be numbered.</p>' : ''}
+        <ul class="history-order-items">
+          ${entry.lines.map(renderLine).join('')}
+        </ul>
+      </div>
+    `;
+
+    container.innerHTML = `
+      ${skipped || repriced ? `<p class="history-order-meta">${[
+        skipped ? `${skipped} item${skipped === 1 ? '' : 's'} cannot be imported and will be skipped.` : '',
+        repriced ? `${repriced} item${repriced === 1 ? ' has' : 's have'} a new price; today's price will be used.` : ''
+      ].join(' ')}</p>` : ''}
+      ${orders.map((order, index) => renderEntry('order', order, index)).join('')}
+      ${templates.map((template, index) => renderEntry('template', template, index)).join('')}
+    `;
+
+    // Suggest a free name for templates whose name is taken
+    const takenNames = this.cartManager.getAllTemplates().map(template => this.orderTransfer.plainText(template.name));
+    templates.forEach((template, index) => {
+      const input = document.getElementById(`import-template-name-${index}`);
+      if (input) {
+        input.value = this.orderTransfer.suggestName(template.name, takenNames);
+      }
+    });
+  }
+
+  confirmImport() {
+    if (!this.importPreview) return;
+
+    const unchecked = (name) => [...document.querySelectorAll(`#import-preview input[name="${name}"]`)]
+      .filter(input => !input.checked)
+      .map(input => Number(input.value));
+    const skip = { orders: unchecked('import-order'), templates: unchecked('import-template') };
+
+    // New names for templates that clash with existing ones
+    const takenNames = this.cartManager.getAllTemplates().map(template => template.name);
+    const templateNames = {};
+    let valid = true;
+    this.importPreview.templates.forEach((template, index) => {
+      const input = document.getElementById(`import-template-name-${index}`);
+      if (!input || skip.templates.includes(index)) return;
+
+      FormValidator.clearFieldError(input);
+      const name = input.value.trim();
+      if (!name) {
+        FormValidator.showFieldError(input, 'Please enter a template name');
+        valid = false;
+      } else if (takenNames.includes(sanitizeInput(name))) {
+        FormValidator.showFieldError(input, 'Template with this name already exists');
+        valid = false;
+      } else {
+        templateNames[index] = name;
+      }
+    });
+    if (!valid) return;
+
+    const imported = this.orderTransfer.apply(this.importPreview, { templateNames, skip });
+    this.importPreview = null;
+    this.hideModal('import-modal');
+    this.updateDisplay();
+
+    const parts = [
+      imported.orders.length ? `${imported.orders.length} order${imported.orders.length === 1 ? '' : 's'}` : '',
+      imported.templates.length ? `${imported.templates.length} template${imported.templates.length === 1 ? '' : 's'}` : ''
+    ].filter(Boolean);
+    if (parts.length === 0) {
+      this.cartManager.showNotification('Nothing was imported', 'info');
+      return;
+    }
+    this.cartManager.showNotification(`Imported ${parts.join(' and ')}`, 'success', this.cartManager.undoAction());
+  }
+
+  // ========================================
+  // SHARED CART LINKS
+  // ========================================
+
+  async shareCurrentOrder() {
+    const input = document.getElementById('share-link');
+    const link = await this.cartShare.createLink();
+    if (!link) {
+      this.cartManager.showNotification('Add some items before sharing this order', 'error');
+      return;
+    }
+
+    if (input) {
+      input.value = link;
+    }
+    this.showModal('share-modal');
+    if (input) {
+      input.select();
+    }
+  }
+
+  async copyShareLink() {
+    const input = document.getElementById('share-link');
+    if (!input || !input.value) return;
+
+    try {
+      await navigator.clipboard.writeText(input.value);
+      this.cartManager.showNotification('Link copied', 'success');
+    } catch (error) {
+      // Clipboard access can be refused; the link is selected for copying by hand
+      input.select();
+      this.cartManager.showNotification('Press Ctrl+C to copy the link', 'info');
+    }
+  }
+
+  // Show the order in the page's #cart= link, if it has one
+  async openSharedCart() {
+    const payload = this.cartShare.getPayload();
+    if (!payload) return;
+
+    // Opened once; reloading or sharing this page should not offer it again
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+
+    try {
+      if (this.cartManager.menuCatalog) {
+        await this.cartManager.menuCatalog.load();
+      }
+      this.sharedPreview = this.cartShare.preview(await this.cartShare.decode(payload));
+    } catch (error) {
+      console.error('Shared cart error:', error);
+      this.cartManager.showNotification(error instanceof ImportError ? error.userMessage : 'This cart link could not be opened.', 'error');
+      return;
+    }
+
+    this.renderSharedCart();
+    this.showModal('shared-cart-modal');
+  }
+
+  renderSharedCart() {
+    const container = document.getElementById('shared-cart-preview');
+    const nameInput = document.getElementById('shared-cart-name');
+    if (!container || !this.sharedPreview) return;
+
+    const { lines } = this.sharedPreview;
+    const usable = lines.filter(check => check.resolved);
+    const skipped = lines.length - usable.length;
+    const repriced = lines.filter(check => check.status === 'repriced').length;
+    const total = this.cartManager.pricingEngine.calculate(usable.map(check => check.resolved)).total;
+
+    container.innerHTML = `
+      ${skipped || repriced ? `<p class="history-order-meta">${[
+        skipped ? `${skipped} item${skipped === 1 ? '' : 's'} cannot be added and will be skipped.` : '',
+        repriced ? `${repriced} item${repriced === 1 ? ' has' : 's have'} a new price; today's price will be used.` : ''
+      ].join(' ')}</p>` : ''}
+      <ul class="history-order-items">
+        ${lines.map(check => {
+          const line = check.resolved || check.line;
+          const name = check.resolved ? line.name : sanitizeInput(line.name || 'Unknown item');
+          const note = check.resolved ? check.message : `${check.message} (will be skipped)`;
+          return `
+            <li class="import-line import-${check.status}">
+              <span>${Number.isInteger(line.quantity) ? `${line.quantity}× ` : ''}${name}</span>
+              <span>
+                ${check.resolved ? formatCurrency(line.price * line.quantity) : ''}
+                ${note ? `<span class="cart-item-warning">${note}</span>` : ''}
+              </span>
+            </li>
+          `;
+        }).join('')}
+      </ul>
+      <p class="history-order-meta"><strong>Total: ${formatCurrency(total)}</strong></p>
+    `;
+
+    if (nameInput) {
+      FormValidator.clearFieldError(nameInput);
+      nameInput.value = this.orderTransfer.suggestName(this.sharedPreview.name, this.cartManager.getAllOrderIds());
+    }
+  }
+
+  // Add the shared items as a new order ('new') or to the active one ('merge')
+  confirmSharedCart(mode) {
+    if (!this.sharedPreview) return;
+
+    if (!this.sharedPreview.lines.some(check => check.resolved)) {
+      this.cartManager.showNotification('None of these items are on our menu any more', 'error');
+      return;
+    }
+
+    let message;
+    if (mode === 'merge') {
+      const added = this.cartShare.mergeIntoActive(this.sharedPreview);
+      if (added === 0) return;
+      message = `Added ${added} item${added === 1 ? '' : 's'} to ${this.orderTransfer.plainText(this.cartManager.activeOrderId)}`;
+    } else {
+      const nameInput = document.getElementById('shared-cart-name');
+      const name = nameInput ? nameInput.value.trim() : this.sharedPreview.name;
+      if (!name) {
+        FormValidator.showFieldError(nameInput, 'Please enter an order name');
+        return;
+      }
+      const orderId = this.cartShare.importAsOrder(this.sharedPreview, name);
+      message = `Added shared order as ${orderId}`;
+    }
+
+    this.sharedPreview = null;
+    this.hideModal('shared-cart-modal');
+    this.updateDisplay();
+    this.cartManager.showNotification(message, 'success', this.cartManager.undoAction());
+  }
+
+  showOrderHistory() {
+    this.updateOrderHistoryDisplay();
+    this.showModal('order-history-modal');
+  }
+
+  updateOrderHistoryDisplay() {
+    const historyList = document.getElementById('order-history-list');
+    if (!historyList || !this.orderHistory) return;
+
+    const orders = this.orderHistory.getOrders(this.cartManager.getUserKey());
+
+    if (orders.length === 0) {
+      historyList.innerHTML = '<p class="empty-cart">You have not placed any orders yet</p>';
+      return;
+    }
+
+    historyList.innerHTML = orders.map(order => `
+      <div class="history-order" data-order-id="${order.id}">
+        <div class="history-order-header">
+          <div>
+            <div class="history-order-id">${order.id}</div>
+            <small>${new Date(order.placedAt).toLocaleString()}</small>
+          </div>
+          <span class="history-order-status status-${order.status}">${this.orderHistory.getStatusLabel(order.status)}</span>
+        </div>
+        <ul class="history-order-items">
+          ${order.items.map(item => this.renderHistoryLine(item)).join('')}
+        </ul>
+        <div class="history-order-meta">
+          <p><strong>Deliver to:</strong> ${sanitizeInput(order.address || 'Not specified')}</p>
+          <p><strong>Payment:</strong> ${sanitizeInput(order.payment.label || 'Not specified')}</p>
+          ${order.payment.refund ? `<p><strong>Refund:</strong> ${this.describeRefund(order.payment.refund)}</p>` : ''}
+          ${order.scheduledFor ? `<p><strong>Delivery:</strong> Scheduled for ${formatDeliverySlot(order.scheduledFor)}</p>` : ''}
+          ${order.delivery ? `<p><strong>From:</strong> ${sanitizeInput(formatDeliveryRoute(order.delivery))}</p>` : ''}
+          ${order.invoice ? `<p><strong>Invoice:</strong> ${sanitizeInput(order.invoice.number)}</p>` : ''}
+        </div>
+        ${order.bill ? this.cartManager.pricingEngine.renderBreakdown(order.bill) : ''}
+        ${order.split ? this.cartManager.pricingEngine.renderSplit(order.split) : ''}
+        <div class="history-order-actions">
+          <button class="btn-sm btn-secondary" onclick="window.orderManagementUI.trackOrder('${order.id}')">
+            <i class="fas fa-map-marker-alt"></i> Track
+          </button>
+          ${order.bill ? `
+            <a class="btn-sm btn-secondary" href="invoice.html?order=${encodeURIComponent(order.id)}" target="_blank" rel="noopener">
+              <i class="fas fa-file-invoice"></i> ${order.invoice ? 'Invoice' : 'Receipt'}
+            </a>
+            <button class="btn-sm btn-secondary" onclick="window.orderManagementUI.downloadInvoice('${order.id}')">
+              <i class="fas fa-file-pdf"></i> PDF
+            </button>
+          ` : ''}
+          ${order.split ? `
+            <button class="btn-sm btn-secondary" onclick="window.orderManagementUI.downloadHistorySplit('${order.id}')">
+              <i class="fas fa-file-csv"></i> Split
+            </button>
+          ` : ''}
+          ${order.scheduledFor && this.orderHistory.canCancel(order) ? `
+            <button class="btn-sm btn-danger" onclick="window.orderManagementUI.cancelOrder('${order.id}')">
+              <i class="fas fa-times"></i> Cancel
+            </button>
+          ` : ''}
+          <button class="btn-sm btn-primary" onclick="window.orderManagementUI.reorder('${order.id}')">
+            <i class="fas fa-redo"></i> Reorder
+          </button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  // A past order line, flagged when today's price differs or it is off the menu
+  renderHistoryLine(item) {
+    const modifiers = this.cartManager.formatModifiers(item);
+    const catalog = this.cartManager.menuCatalog;
+    let warning = '';
+
+    if (catalog && catalog.loaded) {
+      const current = this.cartManager.resolveLine(item);
+      if (current.unavailable) {
+        warning = '<span class="cart-item-warning">No longer on the menu</span>';
+      } else if (current.price !== item.price) {
+        warning = `<span class="cart-item-warning">Now ${formatCurrency(current.price)} each</span>`;
+      }
+    }
+
+    return `
+      <li>
+        <span>${item.quantity}× ${item.name}${modifiers ? ` <small>(${modifiers})</small>` : ''}</span>
+        <span>${formatCurrency(item.price * item.quantity)} ${warning}</span>
+      </li>
+    `;
+  }
+
+  downloadHistorySplit(orderId) {
+    const order = this.orderHistory && this.orderHistory.getOrder(this.cartManager.getUserKey(), orderId);
+    if (order && order.split) {
+      this.downloadSplit(order.split);
+    }
+  }
+
+  // The order's invoice (or receipt, for older orders) as a PDF
+  downloadInvoice(orderId) {
+    const order = this.orderHistory && this.orderHistory.getOrder(this.cartManager.getUserKey(), orderId);
+    if (order && order.bill) {
+      const invoice = buildInvoice(order);
+      downloadFile(invoiceFileName(invoice), invoiceToPdf(invoice), 'application/pdf');
+    }
+  }
+
+  reorder(orderId) {
+    const order = this.orderHistory && this.orderHistory.getOrder(this.cartManager.getUserKey(), orderId);
+    if (!order) {
+      this.cartManager.showNotification('Order not found', 'error');
+      return;
+    }
+
+    const result = this.cartManager.reorder(order.items);
+    if (result && result.added > 0) {
+      this.hideModal('order-history-modal');
+      this.updateDisplay();
+    }
+  }
+
+  trackOrder(orderId) {
+    this.trackedOrderId = orderId;
+    this.hideModal('order-history-modal');
+    this.updateTrackingDisplay();
+    this.showModal('order-tracking-modal');
+  }
+
+  updateTrackingDisplay() {
+    const tracking = document.getElementById('order-tracking');
+    if (!tracking || !this.orderHistory || !this.trackedOrderId) return;
+
+    const order = this.orderHistory.getOrder(this.cartManager.getUserKey(), this.trackedOrderId);
+    if (!order) {
+      tracking.innerHTML = '<p class="empty-cart">Order not found</p>';
+      return;
+    }
+
+    const timeline = this.orderHistory.getTimeline(order);
+    const reached = timeline.map(entry => entry.status);
+    const interrupted = ['cancelled', 'failed'].includes(order.status);
+
+    // Show the happy path up to where the order stopped, then how it ended
+    const steps = ORDER_FLOW
+      .filter(status => !interrupted || reached.includes(status))
+      .concat(interrupted ? [order.status] : []);
+
+    tracking.innerHTML = `
+      <div class="tracking-summary">
+        <div class="history-order-id">${order.id}</div>
+        <p>${order.estimatedDeliveryAt && !this.orderHistory.isFinal(order.status)
+          ? `Arriving by ${new Date(order.estimatedDeliveryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+          : this.orderHistory.getStatusLabel(order.status)}</p>
+        ${order.scheduledFor ? `<p>Scheduled for ${formatDeliverySlot(order.scheduledFor)}</p>` : ''}
+        ${order.delivery ? `<p>From ${sanitizeInput(formatDeliveryRoute(order.delivery))}</p>` : ''}
+      </div>
+      <ol class="tracking-timeline">
+        ${steps.map(status => {
+          const entry = timeline.find(item => item.status === status);
+          const state = status === order.status ? 'current' : (entry ? 'done' : 'pending');
+          return `
+            <li class="tracking-step ${state} status-${status}">
+              <span class="tracking-label">${this.orderHistory.getStatusLabel(status)}</span>
+              ${entry ? `<time datetime="${entry.at}">${new Date(entry.at).toLocaleTimeString()}</time>` : ''}
+              ${entry && entry.note ? `<small>${sanitizeInput(entry.note)}</small>` : ''}
+            </li>
+          `;
+        }).join('')}
+      </ol>
+      ${this.orderHistory.canCancel(order) ? `
+        <div class="history-order-actions">
+          <button class="btn-sm btn-danger" onclick="window.orderManagementUI.cancelOrder('${order.id}')">
+            <i class="fas fa-times"></i> Cancel Order
+          </button>
+        </div>
+      ` : ''}
+    `;
+  }
+
+  // Checkout cancels the order on the server, refunds it if it was paid
+  // online, and frees a scheduled order's slot
+  async cancelOrder(orderId) {
+    if (!confirm('Are you sure you want to cancel this order?')) return;
+
+    if (await window.orderManager.cancelOrder(orderId)) {
+      window.orderManager.refreshSlots();
+    }
+  }
+
+  // "₹450.00 refunded on 19 Oct 2026"
+  describeRefund(refund) {
+    const amount = refund.amount !== null && refund.amount !== undefined ? formatCurrency(refund.amount) : 'Payment';
+    const date = new Date(refund.at).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+    return refund.status === 'refunded'
+      ? `${amount} refunded on ${date}`
+      : `${amount} could not be refunded automatically. Please contact us.`;
+  }
+
   showModal(modalId) {
     const modal = document.getElementById(modalId);
     if (modal) {
@@ -1524,14 +10964,153 @@ class OrderManagementUI {
 // INITIALIZATION
 // ========================================
 
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
+  // Open storage first: everything below reads from it
+  window.appStorage = await createStorage();
+
   // Initialize managers
-  window.cartManager = new CartManager();
-  window.orderManager = new OrderManager(window.cartManager);
-  window.authManager = new AuthManager();
+  window.apiClient = createApiClient();
+  window.authManager = new AuthManager(window.apiClient);
+
+  // Tell the customer when saved data is damaged or cannot be saved
+  window.appStorage.onError(throttle(error => {
+    window.authManager.showNotification(error.userMessage, 'error');
+  }, 10000));
+  window.menuCatalog = new MenuCatalog('assets/data/menu.json', window.apiClient);
+  window.pricingEngine = new PricingEngine(window.menuCatalog);
+  window.promoEngine = new PromoEngine(window.menuCatalog);
+  window.cartManager = new CartManager({
+    menuCatalog: window.menuCatalog,
+    pricingEngine: window.pricingEngine,
+    promoEngine: window.promoEngine,
+    authManager: window.authManager
+  });
+  window.itemOptionsPicker = new ItemOptionsPicker(window.menuCatalog);
+  window.orderHistory = new OrderHistory();
+  window.orderManager = new OrderManager(window.cartManager, window.orderHistory, window.apiClient);
+
+  // Drive placed orders through their lifecycle until there is a backend
+  window.orderSimulator = new OrderSimulator(window.orderHistory);
+  window.orderSimulator.start();
   
+  // Turn recurring templates into orders ahead of their delivery slot
+  window.recurringOrders = new RecurringOrders(window.cartManager, window.orderManager.deliverySchedule);
+  window.recurringOrders.start();
+
   // Initialize order management UI
-  window.orderManagementUI = new OrderManagementUI(window.cartManager);
+  window.orderManagementUI = new OrderManagementUI(window.cartManager, window.orderHistory, undefined, undefined, window.recurringOrders);
+
+  // Development outbox viewer
+  const outboxContainer = document.getElementById('outbox-messages');
+  if (outboxContainer) {
+    const outbox = new LocalOutbox();
+    outbox.render(outboxContainer);
+
+    window.addEventListener('storage', (e) => {
+      if (e.key === 'rex-outbox') outbox.render(outboxContainer);
+    });
+
+    const clearOutboxBtn = document.getElementById('outbox-clear-btn');
+    if (clearOutboxBtn) {
+      clearOutboxBtn.addEventListener('click', () => {
+        outbox.clear();
+        outbox.render(outboxContainer);
+      });
+    }
+  }
+
+  // Feedback form
+  const feedbackForm = document.getElementById('feedback-form');
+  if (feedbackForm) {
+    const feedbackSchema = new FormSchema({
+      name: { label: 'Full name', required: true },
+      email: { label: 'Email', required: true, email: true },
+      rating: { label: 'Rating', required: true, messages: { required: 'Please select a rating' } },
+      comments: {
+        label: 'Feedback',
+        required: true,
+        minLength: 10,
+        messages: {
+          required: 'Please provide your feedback',
+          minLength: 'Please provide more detailed feedback (at least 10 characters)'
+        }
+      }
+    });
+
+    feedbackSchema.bind(feedbackForm, async (form) => {
+      const submitButton = form.querySelector('button[type="submit"]');
+      const buttonText = submitButton.querySelector('.btn-text');
+      const loading = submitButton.querySelector('.loading');
+      buttonText.textContent = 'Submitting...';
+      loading.style.display = 'inline-block';
+      submitButton.disabled = true;
+
+      const feedback = Object.fromEntries(new FormData(form).entries());
+      feedback.recommend = form.querySelector('#recommend').checked;
+
+      try {
+        await window.apiClient.submitFeedback(feedback);
+        form.reset();
+        window.authManager.showNotification('Thank you for your feedback! We appreciate your time.', 'success');
+      } catch (error) {
+        console.error('Feedback error:', error);
+        window.authManager.showNotification(error instanceof ApiError ? error.userMessage : 'Failed to send feedback. Please try again.', 'error');
+      } finally {
+        buttonText.textContent = 'Submit Feedback';
+        loading.style.display = 'none';
+        submitButton.disabled = false;
+      }
+    });
+  }
+
+  // Printable invoice (invoice.html?order=...) for one of the customer's orders
+  const invoiceContainer = document.getElementById('invoice');
+  if (invoiceContainer && window.authManager.requireAuth()) {
+    const orderId = new URLSearchParams(window.location.search).get('order');
+    const renderInvoicePage = () => {
+      const order = orderId ? window.orderHistory.getOrder(window.cartManager.getUserKey(), orderId) : null;
+      document.querySelectorAll('.invoice-actions button').forEach(button => {
+        button.disabled = !order || !order.bill;
+      });
+      if (!order || !order.bill) {
+        invoiceContainer.innerHTML = '<p class="empty-cart">Order not found. Open your invoices from My Orders.</p>';
+        return null;
+      }
+      const invoice = buildInvoice(order);
+      invoiceContainer.innerHTML = renderInvoice(invoice);
+      document.title = `${invoice.title} ${invoice.number || invoice.orderId} - REX Food Delivery`;
+      return invoice;
+    };
+
+    // Re-render when the order is cancelled, here or in another tab
+    let invoice = renderInvoicePage();
+    window.orderHistory.onChange(() => {
+      invoice = renderInvoicePage();
+    });
+
+    const printButton = document.getElementById('invoice-print-btn');
+    if (printButton) printButton.addEventListener('click', () => window.print());
+    const pdfButton = document.getElementById('invoice-pdf-btn');
+    if (pdfButton) {
+      pdfButton.addEventListener('click', () => {
+        if (invoice) downloadFile(invoiceFileName(invoice), invoiceToPdf(invoice), 'application/pdf');
+      });
+    }
+  }
+
+  // Render menu grids from the catalog
+  window.menuCatalog.load().then(catalog => {
+    const menuContainer = document.getElementById('menu-items');
+    const popularContainer = document.getElementById('popular-items');
+
+    if (menuContainer) {
+      catalog.renderMenu(menuContainer);
+    }
+
+    if (popularContainer) {
+      catalog.renderPopular(popularContainer);
+    }
+  });
 
   // Add to cart functionality
   document.addEventListener('click', function(e) {
@@ -1539,20 +11118,22 @@ document.addEventListener('DOMContentLoaded', function() {
       e.preventDefault();
       
       const menuItem = e.target.closest('.menu-item');
-      if (!menuItem) return;
-
-      const itemName = menuItem.querySelector('h4')?.textContent;
-      const itemPrice = menuItem.querySelector('.price')?.textContent.replace('₹', '').trim();
-
-      if (itemName && itemPrice) {
-        const itemData = {
-          name: itemName,
-          price: parseFloat(itemPrice),
-          quantity: 1
-        };
-
-        window.cartManager.addItem(itemData);
+      if (!menuItem || !menuItem.dataset.sku) return;
+
+      const catalogItem = window.menuCatalog.getItem(menuItem.dataset.sku);
+      if (catalogItem && window.menuCatalog.hasOptions(catalogItem)) {
+        window.itemOptionsPicker.show(catalogItem, selections => window.cartManager.addItem({
+          sku: catalogItem.sku,
+          quantity: 1,
+          options: selections
+        }));
+        return;
       }
+
+      window.cartManager.addItem({
+        sku: menuItem.dataset.sku,
+        quantity: 1
+      });
     }
   });
 
@@ -1590,30 +11171,37 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
-  // Form auto-save (for better UX)
+  // Form auto-save (for better UX), kept per user
   const forms = document.querySelectorAll('form');
   forms.forEach(form => {
-    const inputs = form.querySelectorAll('input, textarea, select');
+    const formKey = () => userStorageKey(`rex-form-${form.id || 'default'}`, window.cartManager.getUserKey());
+    // Never keep passwords in plain text (even while shown with the eye toggle)
+    const passwordFields = [...form.querySelectorAll('input[type="password"]')].map(field => field.name);
+    const inputs = form.querySelectorAll('input:not([type="password"]), textarea, select');
     inputs.forEach(input => {
       input.addEventListener('input', debounce(() => {
         const formData = new FormData(form);
-        localStorage.setItem(`form-${form.id || 'default'}`, JSON.stringify(Object.fromEntries(formData.entries())));
+        passwordFields.forEach(name => formData.delete(name));
+        window.appStorage.set(formKey(), Object.fromEntries(formData.entries()));
       }, 1000));
     });
 
     // Load saved form data
-    const savedData = localStorage.getItem(`form-${form.id || 'default'}`);
+    const savedData = window.appStorage.get(formKey());
     if (savedData) {
-      try {
-        const data = JSON.parse(savedData);
-        inputs.forEach(input => {
-          if (data[input.name || input.id]) {
-            input.value = data[input.name || input.id];
-          }
-        });
-      } catch (error) {
-        console.error('Error loading saved form data:', error);
-      }
+      inputs.forEach(input => {
+        const value = savedData[input.name || input.id];
+        if (!value) return;
+
+        // Radio buttons share a name, so pick the saved one instead of
+        // overwriting their values
+        if (input.type === 'radio') {
+          input.checked = input.value === value;
+          if (input.checked) input.dispatchEvent(new Event('change'));
+        } else {
+          input.value = value;
+        }
+      });
     }
   });
 
@@ -1636,13 +11224,88 @@ document.addEventListener('DOMContentLoaded', function() {
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    STORAGE_SCHEMA_VERSION,
+    STORAGE_KEYS,
+    STORAGE_MIGRATIONS,
+    USER_SCOPED_KEYS,
+    userStorageKey,
+    StorageError,
+    LocalStorageBackend,
+    MemoryBackend,
+    IndexedDBBackend,
+    AppStorage,
+    createStorage,
+    ApiError,
+    ApiClient,
+    CredentialStore,
+    OAUTH_PROVIDERS,
+    OAuthError,
+    OAuthClient,
+    MockIdentityProvider,
+    LocalOutbox,
+    MockApiServer,
+    createApiClient,
+    createOAuthClient,
+    MenuCatalog,
+    ItemOptionsPicker,
+    CommandHistory,
+    ORDER_EXPORT_VERSION,
+    ImportError,
+    OrderTransfer,
+    SHARE_LINK_VERSION,
+    CartShare,
+    RECURRENCE_DAYS,
+    RecurringOrders,
+    toCsv,
+    parseCsv,
+    PricingEngine,
+    PromoEngine,
+    ORDER_STATUSES,
+    ORDER_FLOW,
+    cloneData,
+    sameData,
+    mergeEntries,
+    mergeById,
+    ADDRESS_FIELDS,
+    PincodeDirectory,
+    AddressBook,
+    DeliverySchedule,
+    formatDeliveryDay,
+    formatDeliverySlot,
+    DeliveryZones,
+    distanceKm,
+    pointInPolygon,
+    formatDeliveryRoute,
+    QrCode,
+    CARD_NETWORKS,
+    CardValidator,
+    buildUpiLink,
+    PaymentError,
+    MockPaymentGateway,
+    PaymentProcessor,
+    createPaymentProcessor,
+    PdfDocument,
+    validateGstin,
+    amountInWords,
+    Invoicing,
+    buildInvoice,
+    renderInvoice,
+    invoiceToPdf,
+    OrderHistory,
+    OrderSimulator,
+    createOrderRecord,
     CartManager,
     OrderManager,
     AuthManager,
     FormValidator,
+    FormSchema,
     debounce,
     throttle,
     sanitizeInput,
-    formatCurrency
+    formatCurrency,
+    roundMoney,
+    wait,
+    base64UrlEncode,
+    base64UrlDecode
   };
 }
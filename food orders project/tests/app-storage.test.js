@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./browser-stubs');
+const { AppStorage, MemoryBackend, STORAGE_SCHEMA_VERSION } = require('../assets/js/app-optimized.js');
+
+const idli = { sku: 'BF-SAMBAR-IDLI', name: 'Sambar Idli', price: 60, modifiers: [], quantity: 2 };
+
+// Open storage over the given raw entries; returns it with its backend and
+// the errors it reported
+function open(entries, options = {}) {
+  const backend = new MemoryBackend(entries);
+  const storage = new AppStorage(backend, options).openSync();
+  const errors = [];
+  storage.onError(error => errors.push(error));
+  return { storage, backend, errors };
+}
+
+function stored(backend, key) {
+  const raw = backend.read(key);
+  return raw === null ? null : JSON.parse(raw);
+}
+
+test('data saved before versioning is upgraded to the current format', () => {
+  const { storage, backend } = open({
+    'form-order-form': JSON.stringify({ name: 'Asha' }),
+    'rex-orders': JSON.stringify({ default: [idli] }),
+    'rex-active-order-id': 'default'
+  });
+
+  assert.strictEqual(stored(backend, 'rex-schema-version'), STORAGE_SCHEMA_VERSION);
+  assert.strictEqual(backend.read('form-order-form'), null);
+  assert.deepStrictEqual(storage.get('rex-form-order-form'), { name: 'Asha' });
+  assert.deepStrictEqual(storage.get('rex-orders').default.items, [idli]);
+  assert.strictEqual(storage.get('rex-active-order-id'), 'default');
+});
+
+test('version 1 data moves to version 3, each order a record kept for its user', () => {
+  const { backend } = open({
+    'rex-schema-version': '1',
+    'rex-user': JSON.stringify({ email: 'Asha@Example.com', name: 'Asha' }),
+    'rex-orders': JSON.stringify({ default: [idli] }),
+    'rex-active-order-id': JSON.stringify('default'),
+    'rex-form-order-form': JSON.stringify({ name: 'Asha' }),
+    'rex-order-history': JSON.stringify({ 'asha@example.com': [] })
+  });
+
+  assert.strictEqual(stored(backend, 'rex-schema-version'), 3);
+  assert.strictEqual(backend.read('rex-orders'), null);
+  const orders = stored(backend, 'rex-orders:asha@example.com');
+  assert.deepStrictEqual(orders.default.items, [idli]);
+  assert.strictEqual(orders.default.createdAt, orders.default.updatedAt);
+  assert.deepStrictEqual(stored(backend, 'rex-orders:asha@example.com.bak'), orders);
+  assert.strictEqual(stored(backend, 'rex-active-order-id:asha@example.com'), 'default');
+  assert.deepStrictEqual(stored(backend, 'rex-form-order-form:asha@example.com'), { name: 'Asha' });
+  assert.deepStrictEqual(stored(backend, 'rex-order-history'), { 'asha@example.com': [] });
+});
+
+test('a failed migration leaves the data as it was', () => {
+  const entries = { 'rex-orders': JSON.stringify({ default: [idli] }) };
+  const { backend, errors } = open({ ...entries }, {
+    version: 1,
+    migrations: [{ version: 1, migrate() { throw new Error('Unexpected order'); } }]
+  });
+
+  assert.strictEqual(backend.read('rex-schema-version'), null);
+  assert.strictEqual(backend.read('rex-orders'), entries['rex-orders']);
+  assert.deepStrictEqual(errors.map(error => error.code), ['migration_failed']);
+});
+
+test('a corrupted value is restored from its .bak copy and set aside', () => {
+  const history = { 'asha@example.com': [{ id: 'REX1' }] };
+  const { storage, backend, errors } = open({
+    'rex-schema-version': String(STORAGE_SCHEMA_VERSION),
+    'rex-order-history': '{"asha@example.com": [{"id": "RE',
+    'rex-order-history.bak': JSON.stringify(history)
+  });
+
+  assert.deepStrictEqual(storage.get('rex-order-history', {}), history);
+  assert.deepStrictEqual(stored(backend, 'rex-order-history'), history);
+  const recovered = [...backend.entries.keys()].filter(key => key.startsWith('rex-recovery:rex-order-history:'));
+  assert.strictEqual(recovered.length, 1);
+  assert.strictEqual(backend.read(recovered[0]), '{"asha@example.com": [{"id": "RE');
+  assert.deepStrictEqual(errors.map(error => [error.code, error.key]), [['corrupted', 'rex-order-history']]);
+});
+
+test('a corrupted value without a backup falls back to the default', () => {
+  const { storage, backend, errors } = open({
+    'rex-schema-version': String(STORAGE_SCHEMA_VERSION),
+    'rex-promo-usage': '{"asha'
+  });
+
+  assert.deepStrictEqual(storage.get('rex-promo-usage', {}), {});
+  assert.strictEqual(backend.read('rex-promo-usage'), null);
+  assert.strictEqual([...backend.entries.keys()].filter(key => key.startsWith('rex-recovery:rex-promo-usage:')).length, 1);
+  assert.deepStrictEqual(errors.map(error => error.code), ['corrupted']);
+});
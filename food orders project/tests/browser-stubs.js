@@ -0,0 +1,63 @@
+// Stand-ins for the browser APIs app-optimized.js uses, so its classes run
+// under Node. Require this before the app. Everything in a test file shares
+// one localStorage, like tabs of one browser.
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+class MemoryStorage {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get length() {
+    return this.entries.size;
+  }
+
+  key(index) {
+    const keys = [...this.entries.keys()];
+    return index < keys.length ? keys[index] : null;
+  }
+
+  getItem(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+const localStorage = new MemoryStorage();
+
+globalThis.localStorage = localStorage;
+globalThis.window = {
+  localStorage,
+  location: { href: 'http://localhost/main.html' },
+  addEventListener() {}
+};
+globalThis.document = {
+  addEventListener() {},
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  getElementById: () => null
+};
+
+// Serves the project's own files, e.g. assets/data/menu.json
+globalThis.fetch = async url => {
+  const file = path.join(root, String(url));
+  return fs.existsSync(file)
+    ? new Response(fs.readFileSync(file), { status: 200 })
+    : new Response('', { status: 404 });
+};
+
+module.exports = { localStorage };
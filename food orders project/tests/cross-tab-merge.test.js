@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./browser-stubs');
+const { CartManager } = require('../assets/js/app-optimized.js');
+
+const cartManager = new CartManager();
+
+function line(sku, quantity, participant = null) {
+  return { sku, name: sku, price: 100, modifiers: [], quantity, ...(participant ? { participant } : {}) };
+}
+
+function cart(items, extra = {}) {
+  return { items, updatedAt: '2026-10-19T10:00:00.000Z', ...extra };
+}
+
+// Merge another tab's saved carts into this tab's, as a storage event does:
+// `base` is what both tabs last saw, `mine` this tab's carts
+function mergeCarts(base, mine, theirs) {
+  cartManager.synced.orders = base;
+  cartManager.orders = mine;
+  return cartManager.mergeOrders(theirs);
+}
+
+test('the same dish added in two tabs adds up', () => {
+  const base = { default: cart([line('IDLI', 1)]) };
+  const merged = mergeCarts(base, { default: cart([line('IDLI', 2)]) }, { default: cart([line('IDLI', 3), line('DOSA', 1)]) });
+
+  assert.deepStrictEqual(merged.default.items, [line('IDLI', 4), line('DOSA', 1)]);
+});
+
+test('a line removed in one tab stays removed while the other tab edits another', () => {
+  const base = { default: cart([line('IDLI', 1), line('DOSA', 1)]) };
+  const merged = mergeCarts(base, { default: cart([line('DOSA', 1)]) }, { default: cart([line('IDLI', 1), line('DOSA', 3)]) });
+
+  assert.deepStrictEqual(merged.default.items, [line('DOSA', 3)]);
+});
+
+test('a line removed in both tabs is gone', () => {
+  const base = { default: cart([line('IDLI', 2), line('DOSA', 1)]) };
+  const merged = mergeCarts(base, { default: cart([line('DOSA', 1)]) }, { default: cart([line('DOSA', 1)]) });
+
+  assert.deepStrictEqual(merged.default.items, [line('DOSA', 1)]);
+});
+
+test('a cart deleted in one tab and edited in the other keeps the edit', () => {
+  const base = { default: cart([line('IDLI', 1)]), lunch: cart([line('DOSA', 1)]) };
+  const merged = mergeCarts(base, { default: cart([line('IDLI', 1)]) }, { default: cart([line('IDLI', 1)]), lunch: cart([line('DOSA', 2)]) });
+
+  assert.deepStrictEqual(merged, { default: cart([line('IDLI', 1)]), lunch: cart([line('DOSA', 2)]) });
+});
+
+test('a group order locked in one tab stays locked while the other adds someone', () => {
+  const asha = { id: 'person-1', name: 'Asha' };
+  const ravi = { id: 'person-2', name: 'Ravi' };
+  const base = cart([line('IDLI', 1, asha.id)], { group: { host: asha.id, participants: [asha], locked: false } });
+  const mine = cart([line('IDLI', 1, asha.id)], { group: { host: asha.id, participants: [asha], locked: true } });
+  const theirs = cart([line('IDLI', 1, asha.id), line('DOSA', 1, ravi.id)], { group: { host: asha.id, participants: [asha, ravi], locked: false } });
+
+  const merged = mergeCarts({ default: base }, { default: mine }, { default: theirs }).default;
+  assert.deepStrictEqual(merged.group, { host: asha.id, participants: [asha, ravi], locked: true });
+  assert.deepStrictEqual(merged.items, [line('IDLI', 1, asha.id), line('DOSA', 1, ravi.id)]);
+  assert.deepStrictEqual(mergeCarts({ default: base }, { default: theirs }, { default: mine }).default.group, merged.group);
+});
+
+test('templates added in two tabs are all kept, and the later edit of a template wins', () => {
+  const template = (id, name, updatedAt) => ({ id, name, items: [line('IDLI', 1)], createdAt: '2026-10-19T09:00:00.000Z', updatedAt });
+  const base = [template('t1', 'Lunch', '2026-10-19T09:00:00.000Z')];
+  const mine = [template('t1', 'Team lunch', '2026-10-19T11:00:00.000Z'), template('t2', 'Breakfast', '2026-10-19T10:00:00.000Z')];
+  const theirs = [template('t1', 'Office lunch', '2026-10-19T10:30:00.000Z'), template('t3', 'Dinner', '2026-10-19T10:00:00.000Z')];
+
+  cartManager.synced.templates = base;
+  cartManager.orderTemplates = mine;
+  assert.deepStrictEqual(cartManager.mergeTemplates(theirs).map(entry => entry.name), ['Team lunch', 'Dinner', 'Breakfast']);
+
+  cartManager.orderTemplates = theirs;
+  assert.deepStrictEqual(cartManager.mergeTemplates(mine).map(entry => entry.name).sort(), ['Breakfast', 'Dinner', 'Team lunch']);
+});
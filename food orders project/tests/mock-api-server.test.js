@@ -0,0 +1,130 @@
+// Run with: node --test "food orders project/tests"
+const test = require('node:test');
+const assert = require('node:assert');
+const { localStorage } = require('./browser-stubs');
+const { ApiClient, MockApiServer, MockPaymentGateway } = require('../assets/js/app-optimized.js');
+
+// A tab: its own server instance and client over the shared storage
+function openTab() {
+  const server = new MockApiServer({ latency: 0 });
+  return new ApiClient({ retries: 0, fetchImpl: (url, init) => server.fetch(url, init) });
+}
+
+function order(name) {
+  return {
+    items: [{ sku: 'BF-SAMBAR-IDLI', quantity: 2 }],
+    subtotal: 400,
+    pincode: '560038',
+    state: 'Karnataka',
+    address: '1 Road, Indiranagar, Bengaluru Urban, Karnataka, India',
+    customer: { name }
+  };
+}
+
+function storedDb() {
+  return JSON.parse(localStorage.getItem('rex-mock-api'));
+}
+
+test.beforeEach(() => localStorage.clear());
+
+test('orders placed from two tabs at once get consecutive invoice numbers', async () => {
+  const first = openTab();
+  const second = openTab();
+
+  const placed = await Promise.all([
+    first.placeOrder(order('Asha'), first.createIdempotencyKey()),
+    second.placeOrder(order('Ravi'), second.createIdempotencyKey())
+  ]);
+
+  const numbers = placed.map(response => response.invoice.number).sort();
+  const series = numbers[0].slice(0, -7);
+  assert.deepStrictEqual(numbers, [`${series}/000001`, `${series}/000002`]);
+
+  const db = storedDb();
+  assert.deepStrictEqual(Object.keys(db.orders).sort(), placed.map(response => response.id).sort());
+  assert.strictEqual(db.invoiceSeries[series], 2);
+});
+
+test('a tab opened before another tab ordered continues its invoice series', async () => {
+  const first = openTab();
+  const second = openTab();
+
+  const earlier = await first.placeOrder(order('Asha'), first.createIdempotencyKey());
+  const later = await second.placeOrder(order('Ravi'), second.createIdempotencyKey());
+
+  assert.match(earlier.invoice.number, /\/000001$/);
+  assert.match(later.invoice.number, /\/000002$/);
+  assert.strictEqual(Object.keys(storedDb().orders).length, 2);
+});
+
+test('a repeated request from another tab gets the original order', async () => {
+  const first = openTab();
+  const second = openTab();
+  const key = first.createIdempotencyKey();
+
+  const original = await first.placeOrder(order('Asha'), key);
+  const repeated = await second.placeOrder(order('Asha'), key);
+
+  assert.deepStrictEqual(repeated, original);
+  assert.strictEqual(Object.keys(storedDb().orders).length, 1);
+});
+
+test('slot bookings from every tab count towards its capacity', async () => {
+  const tabs = [openTab(), openTab()];
+  const { days } = await tabs[0].getDeliverySlots();
+  const slots = days[days.length - 1].slots;
+  const slot = slots[slots.length - 1];
+
+  for (let booking = 0; booking < slot.capacity; booking++) {
+    const tab = tabs[booking % 2];
+    await tab.placeOrder({ ...order(`Guest ${booking}`), deliverySlot: slot.id }, tab.createIdempotencyKey());
+  }
+
+  // Sent from the tab that did not take the last booking
+  const next = tabs[slot.capacity % 2];
+  await assert.rejects(
+    next.placeOrder({ ...order('One too many'), deliverySlot: slot.id }, next.createIdempotencyKey()),
+    error => error.type === 'conflict'
+  );
+  assert.strictEqual(Object.keys(storedDb().orders).length, slot.capacity);
+});
+
+test('a cancellation in one tab keeps orders placed in another', async () => {
+  const first = openTab();
+  const second = openTab();
+
+  const placed = await first.placeOrder(order('Asha'), first.createIdempotencyKey());
+  const other = await second.placeOrder(order('Ravi'), second.createIdempotencyKey());
+  await first.cancelOrder(placed.id);
+
+  const db = storedDb();
+  assert.strictEqual(db.orders[placed.id].status, 'cancelled');
+  assert.strictEqual(db.orders[other.id].status, 'placed');
+  assert.strictEqual((await second.getOrder(placed.id)).status, 'cancelled');
+});
+
+test('accounts created in two tabs are both kept', async () => {
+  const first = openTab();
+  const second = openTab();
+
+  await Promise.all([
+    first.signup({ name: 'Asha', email: 'asha@example.com', password: 'secret1' }),
+    second.signup({ name: 'Ravi', email: 'ravi@example.com', password: 'secret2' })
+  ]);
+
+  assert.deepStrictEqual(Object.keys(JSON.parse(localStorage.getItem('rex-users'))).sort(), ['asha@example.com', 'ravi@example.com']);
+  assert.strictEqual((await first.login({ email: 'ravi@example.com', password: 'secret2' })).user.name, 'Ravi');
+  await assert.rejects(second.signup({ name: 'Asha', email: 'asha@example.com', password: 'secret3' }), error => error.type === 'conflict');
+});
+
+test('a payment taken in one tab can be refunded from another', async () => {
+  const first = new MockPaymentGateway({ latency: 0 });
+  const second = new MockPaymentGateway({ latency: 0 });
+
+  const payment = await first.createPayment({ amount: 450, method: 'card', reference: 'REX1', card: { number: '4111111111111111', last4: '1111', network: 'visa' } });
+  const refunded = await second.refundPayment(payment.id);
+
+  assert.strictEqual(refunded.status, 'refunded');
+  assert.strictEqual((await first.getPayment(payment.id)).status, 'refunded');
+  await assert.rejects(first.refundPayment(payment.id), error => error.type === 'unavailable');
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { localStorage } = require('./browser-stubs');
+const { ApiClient, MockApiServer, MockPaymentGateway, OrderManager, PaymentProcessor, wait } = require('../assets/js/app-optimized.js');
+
+const order = {
+  items: [{ sku: 'BF-SAMBAR-IDLI', quantity: 2 }],
+  subtotal: 400,
+  pincode: '560038',
+  state: 'Karnataka',
+  address: '1 Road, Indiranagar, Bengaluru Urban, Karnataka, India',
+  customer: { name: 'Asha' },
+  payment: { method: 'card' }
+};
+
+// Checkout over the mock server and gateway. The server handles requests
+// at once, even after the client gave up on them (after 50 ms), but its
+// answers take `network.delay` ms to arrive. `network.sent` keeps them.
+function openCheckout(network) {
+  const server = new MockApiServer({ latency: 0 });
+  const apiClient = new ApiClient({
+    retries: 0,
+    timeout: 50,
+    fetchImpl: (url, init) => {
+      const response = server.fetch(url, { ...init, signal: null }).then(async answer => {
+        await wait(network.delay);
+        return answer;
+      });
+      network.sent.push(response);
+      return response;
+    }
+  });
+  const gateway = new MockPaymentGateway({ latency: 0 });
+  const paymentProcessor = new PaymentProcessor(gateway);
+  const orderManager = new OrderManager(null, undefined, apiClient, undefined, undefined, undefined, undefined, paymentProcessor);
+
+  let payments = 0;
+  const collectPayment = () => {
+    payments++;
+    return paymentProcessor.pay({
+      amount: 450,
+      method: 'card',
+      reference: 'REX1',
+      card: { number: '4111 1111 1111 1111', name: 'Asha', expiry: '12/40', cvv: '123' }
+    });
+  };
+  return { orderManager, gateway, collectPayment, payments: () => payments };
+}
+
+function storedOrders() {
+  const db = JSON.parse(localStorage.getItem('rex-mock-api'));
+  return db ? Object.values(db.orders) : [];
+}
+
+test.beforeEach(() => localStorage.clear());
+
+test('a payment is kept, not refunded, when placing the order times out', async () => {
+  const network = { delay: 100, sent: [] };
+  const { orderManager, gateway, collectPayment, payments } = openCheckout(network);
+
+  await assert.rejects(orderManager.placePaidOrder(order, collectPayment), error => error.type === 'timeout' && !error.refund);
+  const payment = orderManager.pendingOrder.payment;
+  assert.strictEqual((await gateway.getPayment(payment.id)).status, 'succeeded');
+
+  // The server placed the order after the client stopped waiting
+  await Promise.all(network.sent);
+  assert.deepStrictEqual(storedOrders().map(stored => stored.payment.transactionId), [payment.id]);
+
+  // Trying again finishes that order with the same payment
+  network.delay = 0;
+  const { placed } = await orderManager.placePaidOrder(order, collectPayment);
+  assert.strictEqual(placed.id, storedOrders()[0].id);
+  assert.strictEqual(storedOrders().length, 1);
+  assert.strictEqual(payments(), 1);
+  assert.strictEqual((await gateway.getPayment(payment.id)).status, 'succeeded');
+  assert.strictEqual(orderManager.pendingOrder, null);
+});
+
+test('a payment is refunded when the server turns the order down', async () => {
+  const { orderManager, gateway, collectPayment } = openCheckout({ delay: 0, sent: [] });
+
+  let payment;
+  await assert.rejects(orderManager.placePaidOrder({ ...order, pincode: '999999' }, async () => (payment = await collectPayment())), error => {
+    assert.strictEqual(error.type, 'validation');
+    assert.deepStrictEqual(error.refund, { status: 'refunded', amount: 450 });
+    return true;
+  });
+  assert.strictEqual((await gateway.getPayment(payment.id)).status, 'refunded');
+  assert.strictEqual(orderManager.pendingOrder.payment, null);
+  assert.deepStrictEqual(storedOrders(), []);
+});
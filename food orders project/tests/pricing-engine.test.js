@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./browser-stubs');
+const { MenuCatalog, PricingEngine } = require('../assets/js/app-optimized.js');
+
+function createEngine(pricing = {}) {
+  const catalog = new MenuCatalog().setData({
+    pricing: { defaultGstRate: 5, maxPackagingCharge: 20, deliveryFee: 40, freeDeliveryAbove: 500, rounding: 'nearest', ...pricing },
+    categories: [
+      { id: 'meals', name: 'Meals', gstRate: 5, packagingCharge: 10 },
+      { id: 'drinks', name: 'Drinks', gstRate: 18, packagingCharge: 5 }
+    ],
+    items: [
+      { sku: 'THALI', name: 'Thali', price: 120, category: 'meals' },
+      { sku: 'SODA', name: 'Lime Soda', price: 50, category: 'drinks' },
+      { sku: 'PICKLE', name: 'Pickle', price: 20 }
+    ]
+  });
+  return new PricingEngine(catalog);
+}
+
+// A cart line for a catalog item
+function line(engine, sku, quantity) {
+  return { ...engine.menuCatalog.getItem(sku), quantity };
+}
+
+test('GST is charged at each category\'s rate, on the food and its packaging', () => {
+  const engine = createEngine();
+  const bill = engine.calculate([line(engine, 'THALI', 1), line(engine, 'SODA', 1)]);
+
+  assert.strictEqual(bill.subtotal, 170);
+  assert.strictEqual(bill.packaging, 15);
+  assert.deepStrictEqual(bill.taxes, [
+    { rate: 5, taxable: 130, amount: 6.5 },
+    { rate: 18, taxable: 55, amount: 9.9 }
+  ]);
+  assert.strictEqual(bill.tax, 16.4);
+});
+
+test('items outside any category use the default GST rate and have no packaging', () => {
+  const engine = createEngine();
+  const bill = engine.calculate([line(engine, 'PICKLE', 2)]);
+
+  assert.strictEqual(bill.packaging, 0);
+  assert.deepStrictEqual(bill.taxes, [{ rate: 5, taxable: 40, amount: 2 }]);
+});
+
+test('packaging is capped per order and the cap is shared out before tax', () => {
+  const engine = createEngine();
+  const bill = engine.calculate([line(engine, 'THALI', 3), line(engine, 'SODA', 2)]);
+
+  // 30 + 10 of packaging, capped at 20: three quarters of it is the thalis'
+  assert.strictEqual(bill.packaging, 20);
+  assert.deepStrictEqual(bill.taxes, [
+    { rate: 5, taxable: 375, amount: 18.75 },
+    { rate: 18, taxable: 105, amount: 18.9 }
+  ]);
+  assert.strictEqual(bill.deliveryFee, 40);
+  assert.strictEqual(bill.amountToFreeDelivery, 40);
+  assert.strictEqual(bill.total, 558);
+  assert.strictEqual(bill.roundOff, 0.35);
+});
+
+test('the total is rounded as configured and the round off is shown', () => {
+  const items = engine => [line(engine, 'THALI', 1), line(engine, 'SODA', 1)];
+  const totals = ['none', 'nearest', 'up', 'down'].map(rounding => {
+    const engine = createEngine({ rounding });
+    const bill = engine.calculate(items(engine));
+    return [rounding, bill.total, bill.roundOff];
+  });
+
+  // 170 + 15 packaging + 16.40 GST + 40 delivery = 241.40
+  assert.deepStrictEqual(totals, [
+    ['none', 241.4, 0],
+    ['nearest', 241, -0.4],
+    ['up', 242, 0.6],
+    ['down', 241, -0.4]
+  ]);
+});
+
+test('delivery is free once the item total reaches the threshold', () => {
+  const engine = createEngine();
+  const bill = engine.calculate([line(engine, 'THALI', 5)]);
+
+  assert.strictEqual(bill.subtotal, 600);
+  assert.strictEqual(bill.deliveryFee, 0);
+  assert.strictEqual(bill.amountToFreeDelivery, 0);
+});
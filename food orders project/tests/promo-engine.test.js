@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { localStorage } = require('./browser-stubs');
+const { AppStorage, LocalStorageBackend, MenuCatalog, PricingEngine, PromoEngine } = require('../assets/js/app-optimized.js');
+
+const catalog = new MenuCatalog().setData({
+  categories: [{ id: 'meals', name: 'Meals' }],
+  items: [{ sku: 'THALI', name: 'Thali', price: 120, category: 'meals' }]
+});
+const bill = new PricingEngine(catalog).calculate([{ ...catalog.getItem('THALI'), quantity: 2 }]);
+const customer = { userKey: 'asha@example.com' };
+
+// A tab: its own engine and storage over the shared localStorage
+function openTab() {
+  return new PromoEngine(catalog, null, new AppStorage(new LocalStorageBackend()).openSync()).setData({
+    promos: [
+      { code: 'WELCOME', type: 'flat', value: 50, firstOrderOnly: true },
+      { code: 'TWICE', type: 'percent', value: 10, perUserLimit: 2 }
+    ]
+  });
+}
+
+test.beforeEach(() => localStorage.clear());
+
+test('a first-order code used in one tab is refused in another', () => {
+  const first = openTab();
+  const second = openTab();
+
+  assert.strictEqual(second.evaluate('WELCOME', bill, customer).valid, true);
+  first.recordOrder(customer.userKey, 'WELCOME');
+
+  const result = second.evaluate('WELCOME', bill, customer);
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.message, 'WELCOME is only valid on your first order');
+});
+
+test('orders counted in two tabs are both kept', () => {
+  const first = openTab();
+  const second = openTab();
+
+  first.recordOrder(customer.userKey, 'TWICE');
+  second.recordOrder(customer.userKey, 'TWICE');
+
+  assert.deepStrictEqual(openTab().getUsage(customer.userKey), { orders: 2, codes: { TWICE: 2 } });
+  assert.strictEqual(first.evaluate('TWICE', bill, customer).message, 'You have already used TWICE 2 times');
+});